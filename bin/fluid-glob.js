@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/* eslint-env node */
+"use strict";
+var childProcess = require("child_process");
+var path         = require("path");
+
+// Infusion writes its own messages to stdout while it is loading, before its logging can be configured.  So that only
+// the results reach our stdout, the command runs in a child process whose stdout is discarded, and which writes its
+// results to file descriptor 3, i.e. our stdout (see `src/js/cli-runner.js`).
+var result = childProcess.spawnSync(process.execPath, [path.resolve(__dirname, "../src/js/cli-runner.js")].concat(process.argv.slice(2)), {
+    stdio: ["inherit", "ignore", "inherit", 1]
+});
+process.exitCode = result.status === null ? 1 : result.status;
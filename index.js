@@ -4,3 +4,18 @@ var fluid = require("infusion");
 fluid.module.register("fluid-glob", __dirname, require);
 
 require("./src/js/glob.js");
+require("./src/js/async.js");
+require("./src/js/explain.js");
+require("./src/js/watcher.js");
+require("./src/js/ignore.js");
+require("./src/js/symlinks.js");
+require("./src/js/roots.js");
+require("./src/js/cache.js");
+require("./src/js/cli.js");
+require("./src/js/file-set.js");
+require("./src/js/file-systems.js");
+require("./src/js/git.js");
+require("./src/js/content-filters.js");
+require("./src/js/analyse.js");
+require("./src/js/rule-profiles.js");
+require("./src/js/result-paths.js");
@@ -0,0 +1,312 @@
+"use strict";
+var fluid = require("infusion");
+
+var path = require("path");
+
+fluid.registerNamespace("fluid.glob");
+
+// The messages used to describe each type of finding, see `fluid.glob.analysePatterns`.
+fluid.glob.analysisMessages = {
+    unmatched: "does not match anything",
+    covered: "only matches material that is also matched by include '%coveredBy'",
+    neverRescues: "never brings back anything that would otherwise be excluded",
+    neverApplies: "never applies, as no include brings the material it matches into scope"
+};
+
+/**
+ *
+ * Analyse a set of includes and excludes against the material that is actually found beneath `rootPath`, to find
+ * patterns that no longer do anything useful.  The patterns are first checked using `fluid.glob.validatePatterns`.  If
+ * any patterns are invalid, no further analysis is performed, as invalid patterns may result in an unbounded scan.
+ * Otherwise, every file and directory that at least one include brings into scope is checked against every pattern.
+ * Directories that would never be entered by a scan, i.e. those that are excluded, and which contain nothing that a
+ * negated exclude could bring back, are checked but not entered (see `fluid.glob.isExcludedDir`), so that large
+ * excluded directories such as `node_modules` are not read.  Any other directory that an include brings into scope
+ * is entered, so that each exclude can be checked against all of the material it might apply to.
+ *
+ * The returned object contains:
+ *
+ * 1. `violations`: Any rule violations, see `fluid.glob.validatePatterns`.
+ * 2. `findings`: An array of patterns that have no effect (see below).
+ * 3. `errors`: Any errors collected when `onError` is set to "collect", see `fluid.glob.handleScanError`.
+ *
+ * Each finding contains the `pattern`, `index`, `role`, and `negated` elements used to describe violations, as well as
+ * an `issue`, a human-readable `message`, and (for "covered" includes) the include that covers it (`coveredBy`).
+ * Each issue is one of:
+ *
+ * 1. "unmatched": An include that does not match any file or directory.
+ * 2. "covered": An include whose matches are all also matched by a single other include.  Where two includes match
+ *    exactly the same material, only the later include is reported.
+ * 3. "neverRescues": A negated exclude that never matches anything that would otherwise be excluded.
+ * 4. "neverApplies": An exclude (or negated include) that never matches anything brought into scope by an include.
+ *
+ * As the contents of excluded directories are not checked, patterns that might match material within them are never
+ * reported.
+ *
+ * @param {String} rootPath - A full or package-relative path to search.
+ * @param {Array<String>} includes - An array of full or package-relative paths to include in the search results.
+ * @param {Array<String>} excludes - An array of full or package-relative paths to exclude from the search results.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions`.  Only `followSymlinks`, `brokenSymlinks`, `onError`, and `fileSystem` are used.
+ * @return {Object} - An object describing the analysis, as outlined above.
+ *
+ */
+fluid.glob.analysePatterns = function (rootPath, includes, excludes, minimatchOptions, rules, options) {
+    includes = fluid.makeArray(includes);
+    excludes = fluid.makeArray(excludes);
+
+    var analysis = {
+        violations: fluid.glob.validatePatterns(includes, excludes, rules),
+        findings: [],
+        errors: []
+    };
+    if (fluid.glob.filterViolations(analysis.violations, "error").length) {
+        return analysis;
+    }
+
+    var parsedPath = fluid.glob.parsePath(fluid.module.resolvePath(rootPath));
+    var resolvedPath = parsedPath.path;
+    var scanContext = fluid.glob.makeScanContext({ rootPath: resolvedPath, pathRoot: parsedPath.root, includes: [], excludes: [] }, minimatchOptions, options);
+    analysis.errors = scanContext.errors;
+
+    var patternRecords = fluid.glob.makePatternRecords(resolvedPath, includes, "include", minimatchOptions).concat(fluid.glob.makePatternRecords(resolvedPath, excludes, "exclude", minimatchOptions));
+    var positiveIncludes = patternRecords.filter(function (record) {
+        return record.role === "include" && !record.negated;
+    });
+
+    var rootStats;
+    try {
+        rootStats = scanContext.fileSystem.stat(resolvedPath);
+    }
+    catch (error) {
+        fluid.glob.handleScanError(error, resolvedPath, scanContext);
+    }
+    if (rootStats) {
+        fluid.glob.checkForCycle(resolvedPath, rootStats, scanContext);
+        fluid.glob.analyseSingleDir(resolvedPath, patternRecords, positiveIncludes, scanContext);
+    }
+
+    fluid.each(patternRecords, function (record) {
+        var finding = fluid.glob.describePatternRecord(record, positiveIncludes);
+        if (finding) {
+            analysis.findings.push(finding);
+        }
+    });
+    return analysis;
+};
+
+/**
+ *
+ * Prepare a "record" for each of an array of patterns, which holds the compiled (and pathed) versions of the pattern,
+ * and which is updated as material is checked, see `fluid.glob.analyseSinglePath`.  Patterns with brace sets are
+ * expanded, and the pattern is considered to match if any of the expanded patterns match.
+ *
+ * @param {String} rootPath - The full path to the root of the scan.
+ * @param {Array<String>} patterns - An array of patterns.
+ * @param {String} role - Either "include" or "exclude".
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @return {Array<Object>} - An array of pattern records.
+ *
+ */
+fluid.glob.makePatternRecords = function (rootPath, patterns, role, minimatchOptions) {
+    return patterns.map(function (pattern, index) {
+        var pathedPatterns = fluid.glob.addPathToPatterns(rootPath, fluid.glob.expandBraces([pattern]).patterns);
+        return {
+            pattern: pattern,
+            index: index,
+            role: role,
+            negated: fluid.glob.positivePattern(pattern) !== pattern,
+            compiledPatterns: pathedPatterns.map(function (pathedPattern) {
+                return fluid.glob.compilePattern(fluid.glob.positivePattern(pathedPattern), minimatchOptions);
+            }),
+            // Whether the pattern has ever matched, or (for negated excludes) brought anything back.
+            isUsed: false,
+            // The includes that have matched everything this include has matched so far, or `null` if it has matched nothing.
+            coveredBy: null
+        };
+    });
+};
+
+/**
+ *
+ * Check whether any of the compiled versions of a pattern match a single path.
+ *
+ * @param {String} singlePath - The full path to check.
+ * @param {Object} record - A pattern record, see `fluid.glob.makePatternRecords`.
+ * @param {Boolean} isDir - Whether or not the path refers to a directory.
+ * @param {Boolean} exact - Set to `true` to check whether a directory matches the pattern itself, rather than whether it might contain matches.
+ * @return {Boolean} - `true` if the pattern matches, `false` otherwise.
+ *
+ */
+fluid.glob.recordMatches = function (singlePath, record, isDir, exact) {
+    return record.compiledPatterns.some(function (compiledPattern) {
+        return fluid.glob.matchesCompiledPattern(singlePath, compiledPattern, isDir, exact);
+    });
+};
+
+/**
+ *
+ * Read a single directory, check each entry that is brought into scope by an include (see
+ * `fluid.glob.analyseSinglePath`), and descend into each sub-directory that might contain matches for an include,
+ * unless the sub-directory is excluded (see `fluid.glob.isExcludedDir`).  Patterns that might match material within
+ * an excluded sub-directory are marked as used, as that material is never checked.
+ *
+ * @param {String} dirPath - The full path to the directory.
+ * @param {Array<Object>} patternRecords - The records for all patterns, see `fluid.glob.makePatternRecords`.
+ * @param {Array<Object>} positiveIncludes - The records for the (non-negated) includes.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ *
+ */
+fluid.glob.analyseSingleDir = function (dirPath, patternRecords, positiveIncludes, scanContext) {
+    var fileNames;
+    try {
+        fileNames = scanContext.fileSystem.readdir(dirPath);
+    }
+    catch (error) {
+        fluid.glob.handleScanError(error, dirPath, scanContext);
+        return;
+    }
+
+    var dirPaths = fileNames.map(function (subPath) { return path.posix.resolve(dirPath, subPath); }).sort();
+    fluid.each(dirPaths, function (singlePath) {
+        var stats;
+        try {
+            stats = fluid.glob.statEntry(singlePath, scanContext);
+        }
+        catch (error) {
+            fluid.glob.handleScanError(error, singlePath, scanContext);
+        }
+        if (!stats) {
+            return;
+        }
+
+        var isDir = stats.isDirectory();
+        var isInScope = positiveIncludes.some(function (record) {
+            return fluid.glob.recordMatches(singlePath, record, isDir, false);
+        });
+        if (isInScope && !(isDir && fluid.glob.checkForCycle(singlePath, stats, scanContext))) {
+            fluid.glob.analyseSinglePath(singlePath, isDir, patternRecords, positiveIncludes);
+            if (isDir && fluid.glob.isExcludedDir(singlePath, patternRecords)) {
+                fluid.each(patternRecords, function (record) {
+                    record.isUsed = record.isUsed || fluid.glob.recordMatches(singlePath, record, true, false);
+                });
+            }
+            else if (isDir) {
+                fluid.glob.analyseSingleDir(singlePath, patternRecords, positiveIncludes, scanContext);
+            }
+        }
+    });
+};
+
+/**
+ *
+ * Check whether a directory would never be entered by a scan, i.e. whether it matches an exclude (or negated include)
+ * itself, and no negated exclude might match anything within it.  This uses the same precedence rules as a scan (see
+ * `fluid.glob.applyPrecedence`).
+ *
+ * @param {String} dirPath - The full path to the directory.
+ * @param {Array<Object>} patternRecords - The records for all patterns, see `fluid.glob.makePatternRecords`.
+ * @return {Boolean} - `true` if the directory is excluded, `false` otherwise.
+ *
+ */
+fluid.glob.isExcludedDir = function (dirPath, patternRecords) {
+    var isExcluded = false;
+    var mightBeRescued = false;
+    fluid.each(patternRecords, function (record) {
+        if (record.role === "exclude" && record.negated) {
+            mightBeRescued = mightBeRescued || fluid.glob.recordMatches(dirPath, record, true, false);
+        }
+        else if (record.role === "exclude" || record.negated) {
+            isExcluded = isExcluded || fluid.glob.recordMatches(dirPath, record, true, true);
+        }
+    });
+    return isExcluded && !mightBeRescued;
+};
+
+/**
+ *
+ * Check a single file or directory that is in scope against every pattern, and update each pattern's record:
+ *
+ * 1. Includes (and negated includes or excludes) that match the path are marked as used.  As in a scan, directories
+ *    must match these patterns themselves, rather than merely being able to contain matches.
+ * 2. Negated excludes are marked as used if they match a path that would otherwise be excluded.
+ * 3. The includes that "cover" each matching include are narrowed down to those that also match the path.
+ *
+ * @param {String} singlePath - The full path to the file or directory.
+ * @param {Boolean} isDir - Whether or not the path refers to a directory.
+ * @param {Array<Object>} patternRecords - The records for all patterns, see `fluid.glob.makePatternRecords`.
+ * @param {Array<Object>} positiveIncludes - The records for the (non-negated) includes.
+ *
+ */
+fluid.glob.analyseSinglePath = function (singlePath, isDir, patternRecords, positiveIncludes) {
+    var matchingIncludes = positiveIncludes.filter(function (record) {
+        return fluid.glob.recordMatches(singlePath, record, isDir, true);
+    });
+    fluid.each(matchingIncludes, function (record) {
+        record.isUsed = true;
+        record.coveredBy = (record.coveredBy || positiveIncludes).filter(function (otherRecord) {
+            return otherRecord !== record && matchingIncludes.indexOf(otherRecord) !== -1;
+        });
+    });
+
+    var isExcluded = false;
+    fluid.each(patternRecords, function (record) {
+        if (record.role === "exclude" ? !record.negated : record.negated) {
+            if (fluid.glob.recordMatches(singlePath, record, isDir, true)) {
+                record.isUsed = true;
+                isExcluded = true;
+            }
+        }
+    });
+
+    if (isExcluded) {
+        fluid.each(patternRecords, function (record) {
+            if (record.role === "exclude" && record.negated && fluid.glob.recordMatches(singlePath, record, isDir, false)) {
+                record.isUsed = true;
+            }
+        });
+    }
+};
+
+/**
+ *
+ * Describe the outcome of an analysis for a single pattern, see `fluid.glob.analysePatterns`.
+ *
+ * @param {Object} record - A pattern record, see `fluid.glob.makePatternRecords`.
+ * @param {Array<Object>} positiveIncludes - The records for the (non-negated) includes.
+ * @return {Object|undefined} - A finding describing the pattern, or `undefined` if the pattern has an effect.
+ *
+ */
+fluid.glob.describePatternRecord = function (record, positiveIncludes) {
+    var isPositiveInclude = positiveIncludes.indexOf(record) !== -1;
+    var issue, coveredBy;
+    if (!record.isUsed) {
+        issue = isPositiveInclude ? "unmatched" : (record.role === "exclude" && record.negated ? "neverRescues" : "neverApplies");
+    }
+    else if (isPositiveInclude) {
+        // Where two includes cover each other, only the later include is reported.
+        coveredBy = fluid.find(record.coveredBy, function (otherRecord) {
+            var coversEachOther = otherRecord.coveredBy.indexOf(record) !== -1;
+            return (!coversEachOther || otherRecord.index < record.index) ? otherRecord : undefined;
+        });
+        issue = coveredBy ? "covered" : undefined;
+    }
+
+    if (!issue) {
+        return undefined;
+    }
+
+    var finding = {
+        pattern: record.pattern,
+        index: record.index,
+        role: record.role,
+        negated: record.negated,
+        issue: issue,
+        message: "Pattern '" + record.pattern + "' " + fluid.stringTemplate(fluid.glob.analysisMessages[issue], { coveredBy: coveredBy && coveredBy.pattern }) + "."
+    };
+    if (coveredBy) {
+        finding.coveredBy = coveredBy.pattern;
+    }
+    return finding;
+};
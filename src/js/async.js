@@ -0,0 +1,599 @@
+/* eslint-env es6 */
+"use strict";
+var fluid = require("infusion");
+
+var path   = require("path");
+var stream = require("stream");
+
+fluid.registerNamespace("fluid.glob");
+
+fluid.glob.defaultAsyncOptions = {
+    // The maximum number of filesystem operations (directory reads and stats) that may be "in flight" at once.
+    concurrency: 8
+};
+
+fluid.glob.cancelledMessage = "The scan was cancelled before it could complete.";
+
+// The scan options that are only supported by `fluid.glob.findFiles`, see `fluid.glob.checkAsyncOptions`.
+fluid.glob.syncOnlyOptions = ["cacheFile"];
+
+/**
+ *
+ * Check a set of scan options for options that asynchronous scans do not support (see `fluid.glob.syncOnlyOptions`),
+ * so that they can be rejected rather than silently ignored.
+ *
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions`.
+ * @return {String|undefined} - A message describing the first unsupported option, or `undefined` if all options are supported.
+ *
+ */
+fluid.glob.checkAsyncOptions = function (options) {
+    var unsupportedOption = fluid.find(fluid.glob.syncOnlyOptions, function (optionName) {
+        return options && options[optionName] ? optionName : undefined;
+    });
+    return unsupportedOption && "The `" + unsupportedOption + "` option is not supported by asynchronous scans, use `fluid.glob.findFiles` instead.";
+};
+
+/**
+ *
+ * An asynchronous equivalent of `fluid.glob.findFiles`, which uses promises (see `fluid.glob.promisifyFileSystem`)
+ * rather than blocking the event loop.
+ * The results are identical to those returned by `fluid.glob.findFiles`, i.e. sorted depth-first.
+ *
+ * The returned promise can be cancelled by calling its `cancel` method, in which case no further directories are
+ * read, and the promise will never resolve or reject.  The promise is rejected if any patterns are invalid, or if an
+ * option that asynchronous scans do not support is set (see `fluid.glob.checkAsyncOptions`).
+ *
+ * @param {String} rootPath - A full or package-relative path to search.
+ * @param {Array<String>} includes - An array of full or package-relative paths to include in the search results.
+ * @param {Array<String>} excludes - An array of full or package-relative paths to exclude from the search results.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions` and `fluid.glob.defaultAsyncOptions`.
+ * @return {fluid.promise} - A promise that will be resolved with the same results as `fluid.glob.findFiles`.
+ *
+ */
+fluid.glob.findFilesAsync = function (rootPath, includes, excludes, minimatchOptions, rules, options) {
+    var togo = fluid.promise();
+
+    var errorMessage = fluid.glob.patternsAreValid(includes, excludes, rules) ? fluid.glob.checkAsyncOptions(options) : fluid.glob.invalidPatternsMessage;
+    if (errorMessage) {
+        togo.reject({ isError: true, message: errorMessage });
+        return togo;
+    }
+
+    var scanPatterns = fluid.glob.resolveScanPatterns(rootPath, includes, excludes);
+    var scanContext = fluid.glob.makeAsyncScanContext(scanPatterns, minimatchOptions, options);
+
+    togo.then(null, null, function () {
+        scanContext.throttle.cancel();
+    });
+
+    // Budgets must be counted in the same (sorted, depth-first) order as `fluid.glob.findFiles`, see `fluid.glob.scanInOrderAsync`.
+    var hasBudget = isFinite(scanContext.options.maxResults) || isFinite(scanContext.options.maxEntriesVisited);
+    var scanPromise = hasBudget ? fluid.glob.scanInOrderAsync(scanPatterns.rootPath, scanContext) : fluid.glob.scanSingleDirAsync(scanPatterns.rootPath, scanPatterns.includes, scanPatterns.excludes, minimatchOptions, scanContext);
+    scanPromise.then(function (matches) {
+        togo.resolve(fluid.glob.formatResults(matches, scanContext));
+    }, togo.reject);
+
+    return togo;
+};
+
+/**
+ *
+ * Create a scan context (see `fluid.glob.makeScanContext`) with a `throttle` that limits the number of filesystem
+ * operations that are in progress at once (see `fluid.glob.makeThrottle`), and the asynchronous methods of the scan's
+ * filesystem adapter (see `fluid.glob.promisifyFileSystem`).
+ *
+ * @param {Object} scanPatterns - The output of `fluid.glob.resolveScanPatterns`.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions` and `fluid.glob.defaultAsyncOptions`.
+ * @return {Object} The scan context.
+ *
+ */
+fluid.glob.makeAsyncScanContext = function (scanPatterns, minimatchOptions, options) {
+    var scanContext = fluid.glob.makeScanContext(scanPatterns, minimatchOptions, fluid.extend({}, fluid.glob.defaultAsyncOptions, options));
+    scanContext.throttle = fluid.glob.makeThrottle(scanContext.options.concurrency);
+    scanContext.asyncFileSystem = fluid.glob.promisifyFileSystem(scanContext.fileSystem);
+    return scanContext;
+};
+
+/**
+ *
+ * The asynchronous equivalent of `fluid.glob.scanSingleDir`.  Reads and stats are queued using `scanContext.throttle`,
+ * and the results for each entry are combined in (sorted) order once all sub-directories have been scanned.
+ *
+ * @param {String} dirPath - A full path to the directory to scan.
+ * @param {Array<String>} includes - An array of full or package-relative paths to include in the search results.
+ * @param {Array<String>} excludes - An array of full or package-relative paths to exclude from the search results.
+ * @param {Object} minimatchOptions - Options to pass to minimatch.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeAsyncScanContext`.
+ * @return {fluid.promise} - A promise that will be resolved with an array of matching paths (or match details).
+ *
+ */
+fluid.glob.scanSingleDirAsync = function (dirPath, includes, excludes, minimatchOptions, scanContext) {
+    var togo = fluid.promise();
+
+    fluid.glob.readAllowedEntriesAsync(dirPath, scanContext).then(function (allowedEntries) {
+        var entryPromises = [];
+        fluid.each(allowedEntries, function (entry) {
+            if (entry.isMatch && fluid.glob.recordMatch(scanContext)) {
+                entryPromises.push([fluid.glob.formatMatch(entry, scanContext)]);
+            }
+            if (entry.shouldEnter) {
+                entryPromises.push(fluid.glob.scanSingleDirAsync(entry.path, includes, excludes, minimatchOptions, scanContext));
+            }
+        });
+
+        fluid.glob.whenAll(entryPromises).then(function (entryMatches) {
+            togo.resolve([].concat.apply([], entryMatches));
+        }, togo.reject);
+    }, togo.reject);
+
+    return togo;
+};
+
+/**
+ *
+ * Scan a directory one directory at a time, in the same (sorted, depth-first) order as `fluid.glob.scanSingleDir`, so
+ * that the `maxResults` and `maxEntriesVisited` budgets are counted against the same entries as a synchronous scan.
+ * The entries within each directory are still statted in parallel.  Used by `fluid.glob.findFilesAsync` when a budget
+ * is set, as the order in which parallel reads complete would otherwise decide which matches are kept.
+ *
+ * @param {String} rootPath - A full path to the directory to scan.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeAsyncScanContext`.
+ * @return {fluid.promise} - A promise that will be resolved with an array of matching paths (or match details).
+ *
+ */
+fluid.glob.scanInOrderAsync = function (rootPath, scanContext) {
+    var togo = fluid.promise();
+    var matches = [];
+    var stack = [{ dirPath: rootPath, entries: null, index: 0 }];
+
+    // Read the entries for a frame, and return `true` if the loop must wait for the read to complete.
+    var readFrame = function (frame) {
+        var isWaiting = false;
+        fluid.glob.readAllowedEntriesAsync(frame.dirPath, scanContext).then(function (allowedEntries) {
+            frame.entries = allowedEntries;
+            // Only resume the loop if it has been left to wait for the read, to avoid recursing.
+            if (isWaiting) {
+                step();
+            }
+        }, togo.reject);
+        isWaiting = !frame.entries;
+        return isWaiting;
+    };
+
+    var step = function () {
+        while (!togo.disposition && stack.length) {
+            var frame = stack[stack.length - 1];
+            if (!frame.entries) {
+                if (readFrame(frame)) {
+                    return;
+                }
+            }
+            else if (frame.index >= frame.entries.length) {
+                stack.pop();
+            }
+            else {
+                var entry = frame.entries[frame.index];
+                frame.index++;
+                if (entry.isMatch && fluid.glob.recordMatch(scanContext)) {
+                    matches.push(fluid.glob.formatMatch(entry, scanContext));
+                }
+                // A directory's contents are scanned before the entries that follow it.
+                if (entry.shouldEnter) {
+                    stack.push({ dirPath: entry.path, entries: null, index: 0 });
+                }
+            }
+        }
+        if (!togo.disposition) {
+            togo.resolve(matches);
+        }
+    };
+
+    step();
+
+    return togo;
+};
+
+/**
+ *
+ * The asynchronous equivalent of `fluid.glob.readAllowedEntries`.
+ *
+ * @param {String} dirPath - A full path to the directory to read.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeAsyncScanContext`.
+ * @return {fluid.promise} - A promise that will be resolved with an array of allowed entries, see `fluid.glob.makeAllowedEntry`.
+ *
+ */
+fluid.glob.readAllowedEntriesAsync = function (dirPath, scanContext) {
+    var togo = fluid.promise();
+    if (scanContext.truncated) {
+        togo.resolve([]);
+        return togo;
+    }
+
+    // The files listed by git are loaded before the first directory is read, see `fluid.glob.loadGitFilesAsync`.
+    if (scanContext.options.gitFiles && !scanContext.gitFiles) {
+        fluid.glob.loadGitFilesAsync(scanContext).then(function () {
+            fluid.promise.follow(fluid.glob.readAllowedEntriesAsync(dirPath, scanContext), togo);
+        }, togo.reject);
+        return togo;
+    }
+
+    // Read the directory itself, and then any ignore files it contains.
+    var dirPromise = fluid.promise();
+    var readPromise = scanContext.throttle(function () {
+        return scanContext.asyncFileSystem.readdir(dirPath);
+    });
+    readPromise.then(function (fileNames) {
+        var ignorePromise = scanContext.options.ignoreFiles.length ? fluid.glob.loadIgnoreRulesAsync(dirPath, fileNames, scanContext) : undefined;
+        var rootStatPromise = dirPath === scanContext.rootPath ? scanContext.throttle(function () {
+            return scanContext.asyncFileSystem.stat(dirPath);
+        }) : undefined;
+
+        fluid.glob.whenAll([ignorePromise, rootStatPromise]).then(function (results) {
+            if (results[1]) {
+                fluid.glob.checkForCycle(dirPath, results[1], scanContext);
+            }
+            dirPromise.resolve(fileNames);
+        }, dirPromise.reject);
+    }, dirPromise.reject);
+
+    fluid.glob.recoverFromError(dirPromise, dirPath, scanContext).then(function (fileNames) {
+        if (!fileNames) {
+            togo.resolve([]);
+            return;
+        }
+
+        var dirPaths = fileNames.map(function (subPath) { return path.posix.resolve(dirPath, subPath); }).sort().filter(function (singlePath) {
+            return fluid.glob.isAllowedByGit(singlePath, undefined, scanContext) && fluid.glob.visitEntry(scanContext);
+        });
+        var statPromises = dirPaths.map(function (singlePath) {
+            return fluid.glob.recoverFromError(fluid.glob.statEntryAsync(singlePath, scanContext), singlePath, scanContext);
+        });
+
+        fluid.glob.whenAll(statPromises).then(function (allStats) {
+            var candidateEntries = [];
+            fluid.each(dirPaths, function (singlePath, index) {
+                var entry = allStats[index] && fluid.glob.makeAllowedEntry(singlePath, allStats[index], scanContext);
+                if (entry) {
+                    candidateEntries.push(entry);
+                }
+            });
+
+            // Check each match against the content filters, see `fluid.glob.checkContentFiltersAsync`.
+            var filterPromises = candidateEntries.map(function (entry) {
+                return entry.isMatch && fluid.glob.checkContentFiltersAsync(entry, scanContext);
+            });
+            fluid.glob.whenAll(filterPromises).then(function (filterResults) {
+                var allowedEntries = [];
+                fluid.each(candidateEntries, function (entry, index) {
+                    entry.isMatch = filterResults[index];
+                    if (entry.isMatch || entry.shouldEnter) {
+                        allowedEntries.push(entry);
+                    }
+                });
+                togo.resolve(allowedEntries);
+            }, togo.reject);
+        }, togo.reject);
+    }, togo.reject);
+
+    return togo;
+};
+
+/**
+ *
+ * Handle any rejection of a promise using `fluid.glob.handleScanError`.  If the error is skipped or collected, the
+ * returned promise is resolved with `undefined`.  If the error is thrown, the returned promise is rejected.
+ *
+ * @param {fluid.promise} promise - The promise to watch for rejections.
+ * @param {String} errorPath - The full path to the directory or entry that the promise relates to.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeAsyncScanContext`.
+ * @return {fluid.promise} - A promise that will be resolved with the original value, or `undefined` if an error was handled.
+ *
+ */
+fluid.glob.recoverFromError = function (promise, errorPath, scanContext) {
+    var togo = fluid.promise();
+    promise.then(togo.resolve, function (error) {
+        try {
+            fluid.glob.handleScanError(error, errorPath, scanContext);
+            togo.resolve(undefined);
+        }
+        catch (thrownError) {
+            togo.reject(thrownError);
+        }
+    });
+    return togo;
+};
+
+/**
+ *
+ * Create an asynchronous iterator that yields the full path to each matching file as the scan progresses, in the same
+ * (sorted, depth-first) order as `fluid.glob.findFiles`.  Only the listings of the directories between the root and the
+ * current position are held in memory, so memory use does not grow with the number of matches.  For example:
+ *
+ * `for await (const filePath of fluid.glob.iterateFiles(rootPath, includes, excludes)) { ... }`
+ *
+ * If any patterns are invalid, or if an unsupported option is set (see `fluid.glob.checkAsyncOptions`), the first call
+ * to `next()` is rejected.  If `options.onError` is set to "collect", any
+ * errors encountered so far can be found in the iterator's `errors` array.  If the scan is stopped early because a
+ * budget has run out, the iterator's `truncated` property holds the name of the budget (see `fluid.glob.truncateScan`).
+ *
+ * @param {String} rootPath - A full or package-relative path to search.
+ * @param {Array<String>} includes - An array of full or package-relative paths to include in the search results.
+ * @param {Array<String>} excludes - An array of full or package-relative paths to exclude from the search results.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions` and `fluid.glob.defaultAsyncOptions`.
+ * @return {Object} - An asynchronous iterator, whose `next` method returns a `fluid.promise`.
+ *
+ */
+fluid.glob.iterateFiles = function (rootPath, includes, excludes, minimatchOptions, rules, options) {
+    var iteratorState = {
+        requests: [],
+        busy: false,
+        finished: false,
+        stack: []
+    };
+
+    var errorMessage = fluid.glob.patternsAreValid(includes, excludes, rules) ? fluid.glob.checkAsyncOptions(options) : fluid.glob.invalidPatternsMessage;
+    if (!errorMessage) {
+        var scanPatterns = fluid.glob.resolveScanPatterns(rootPath, includes, excludes);
+        iteratorState.scanContext = fluid.glob.makeAsyncScanContext(scanPatterns, minimatchOptions, options);
+        iteratorState.stack.push({ dirPath: scanPatterns.rootPath, entries: null, index: 0 });
+    }
+    else {
+        iteratorState.scanContext = fluid.glob.makeAsyncScanContext({ rootPath: rootPath, includes: [], excludes: [] }, minimatchOptions, options);
+        iteratorState.error = { isError: true, message: errorMessage };
+    }
+
+    var iterator = {
+        next: function () {
+            var request = fluid.promise();
+            iteratorState.requests.push(request);
+            fluid.glob.processIteratorRequests(iteratorState);
+            return request;
+        },
+        "return": function (value) {
+            iteratorState.finished = true;
+            iteratorState.stack = [];
+            iteratorState.scanContext.throttle.cancel();
+            return fluid.toPromise({ done: true, value: value });
+        }
+    };
+    iterator.errors = iteratorState.scanContext.errors;
+    Object.defineProperty(iterator, "truncated", {
+        get: function () {
+            return iteratorState.scanContext.truncated;
+        }
+    });
+    iterator[Symbol.asyncIterator] = function () {
+        return iterator;
+    };
+
+    return iterator;
+};
+
+/**
+ *
+ * Work through the queued `next()` requests for an iterator created using `fluid.glob.iterateFiles`, one at a time.
+ *
+ * @param {Object} iteratorState - The internal state of the iterator.
+ *
+ */
+fluid.glob.processIteratorRequests = function (iteratorState) {
+    if (!iteratorState.busy && iteratorState.requests.length) {
+        iteratorState.busy = true;
+        var request = iteratorState.requests.shift();
+        fluid.glob.advanceIterator(iteratorState).then(function (result) {
+            iteratorState.busy = false;
+            request.resolve(result);
+            fluid.glob.processIteratorRequests(iteratorState);
+        }, function (error) {
+            iteratorState.busy = false;
+            request.reject(error);
+            fluid.glob.processIteratorRequests(iteratorState);
+        });
+    }
+};
+
+/**
+ *
+ * Walk the tree until the next matching file is found.  Directories are read when they are first encountered, and their
+ * allowed entries are held on a stack until they have been worked through.
+ *
+ * @param {Object} iteratorState - The internal state of the iterator.
+ * @return {fluid.promise} - A promise that will be resolved with an iterator result, i.e. an object with `done` and `value` elements.
+ *
+ */
+fluid.glob.advanceIterator = function (iteratorState) {
+    var togo = fluid.promise();
+
+    var step = function () {
+        while (!togo.disposition) {
+            if (iteratorState.error) {
+                var error = iteratorState.error;
+                iteratorState.finished = true;
+                delete iteratorState.error;
+                togo.reject(error);
+            }
+            else if (iteratorState.finished || !iteratorState.stack.length) {
+                iteratorState.finished = true;
+                togo.resolve({ done: true, value: undefined });
+            }
+            else {
+                var frame = iteratorState.stack[iteratorState.stack.length - 1];
+                if (!frame.entries) {
+                    fluid.glob.readIteratorFrame(iteratorState, frame).then(step, togo.reject);
+                    return;
+                }
+                else if (frame.index >= frame.entries.length) {
+                    iteratorState.stack.pop();
+                }
+                else {
+                    var entry = frame.entries[frame.index];
+                    frame.index++;
+                    // A directory's contents are read after the directory itself has been yielded.
+                    if (entry.shouldEnter) {
+                        iteratorState.stack.push({ dirPath: entry.path, entries: null, index: 0 });
+                    }
+                    if (entry.isMatch) {
+                        if (fluid.glob.recordMatch(iteratorState.scanContext)) {
+                            togo.resolve({ done: false, value: fluid.glob.formatMatch(entry, iteratorState.scanContext) });
+                        }
+                        else {
+                            iteratorState.finished = true;
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    step();
+
+    return togo;
+};
+
+/**
+ *
+ * Read the allowed entries for a single "frame" of an iterator's stack.  If the read fails, the iterator is finished.
+ *
+ * @param {Object} iteratorState - The internal state of the iterator.
+ * @param {Object} frame - The stack frame, which has a `dirPath` element, and whose `entries` will be populated.
+ * @return {fluid.promise} - A promise that will be resolved once the entries have been read.
+ *
+ */
+fluid.glob.readIteratorFrame = function (iteratorState, frame) {
+    var togo = fluid.promise();
+    var readPromise = fluid.glob.readAllowedEntriesAsync(frame.dirPath, iteratorState.scanContext);
+    readPromise.then(function (allowedEntries) {
+        frame.entries = allowedEntries;
+        togo.resolve();
+    }, function (error) {
+        iteratorState.finished = true;
+        iteratorState.stack = [];
+        togo.reject(error);
+    });
+    return togo;
+};
+
+/**
+ *
+ * Create a Node `Readable` stream (in "object mode") that emits the full path to each matching file as the scan
+ * progresses.  See `fluid.glob.iterateFiles` for details.
+ *
+ * @param {String} rootPath - A full or package-relative path to search.
+ * @param {Array<String>} includes - An array of full or package-relative paths to include in the search results.
+ * @param {Array<String>} excludes - An array of full or package-relative paths to exclude from the search results.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions` and `fluid.glob.defaultAsyncOptions`.
+ * @return {stream.Readable} - A readable stream of full paths to matching files.
+ *
+ */
+fluid.glob.createFileStream = function (rootPath, includes, excludes, minimatchOptions, rules, options) {
+    var iterator = fluid.glob.iterateFiles(rootPath, includes, excludes, minimatchOptions, rules, options);
+    return stream.Readable.from(iterator);
+};
+
+/**
+ *
+ * Wait for an array of promises (or plain values) to resolve, and resolve with an array of their values, in the same
+ * order.  Rejects with the first rejection encountered.  Unlike `fluid.promise.sequence`, this does not recurse once
+ * per element, and can safely be used with very large arrays.
+ *
+ * @param {Array} sources - An array of promises and/or values.
+ * @return {fluid.promise} - A promise that will be resolved with an array of values.
+ *
+ */
+fluid.glob.whenAll = function (sources) {
+    var togo = fluid.promise();
+    var values = new Array(sources.length);
+    var remaining = sources.length;
+
+    var settleOne = function (index, value) {
+        values[index] = value;
+        remaining--;
+        if (remaining === 0 && !togo.disposition) {
+            togo.resolve(values);
+        }
+    };
+    var rejectOnce = function (error) {
+        if (!togo.disposition) {
+            togo.reject(error);
+        }
+    };
+
+    if (remaining === 0) {
+        togo.resolve(values);
+    }
+    else {
+        fluid.each(sources, function (source, index) {
+            fluid.toPromise(source).then(function (value) {
+                settleOne(index, value);
+            }, rejectOnce);
+        });
+    }
+
+    return togo;
+};
+
+/**
+ *
+ * Create a function that limits the number of asynchronous tasks that can be "in flight" at once.  The returned
+ * function accepts a task (a function that returns a promise), and returns a `fluid.promise` that is resolved or
+ * rejected once the task has been run and has completed.  Calling the `cancel` method of the returned function rejects
+ * all queued tasks, and any that are queued later.
+ *
+ * @param {Number} concurrency - The maximum number of tasks to run at once.
+ * @return {Function} - A function that can be used to queue tasks.
+ *
+ */
+fluid.glob.makeThrottle = function (concurrency) {
+    var activeTasks = 0;
+    var queue = [];
+    var cancelled = false;
+
+    var runNext = function () {
+        while (!cancelled && activeTasks < concurrency && queue.length) {
+            runEntry(queue.shift());
+        }
+    };
+
+    var runEntry = function (entry) {
+        activeTasks++;
+        entry.task().then(function (value) {
+            activeTasks--;
+            entry.promise.resolve(value);
+            runNext();
+        }, function (error) {
+            activeTasks--;
+            entry.promise.reject(error);
+            runNext();
+        });
+    };
+
+    var throttle = function (task) {
+        var entry = { task: task, promise: fluid.promise() };
+        if (cancelled) {
+            entry.promise.reject({ isError: true, message: fluid.glob.cancelledMessage });
+        }
+        else {
+            queue.push(entry);
+            runNext();
+        }
+        return entry.promise;
+    };
+
+    throttle.cancel = function () {
+        cancelled = true;
+        var queuedEntries = queue;
+        queue = [];
+        fluid.each(queuedEntries, function (entry) {
+            entry.promise.reject({ isError: true, message: fluid.glob.cancelledMessage });
+        });
+    };
+
+    return throttle;
+};
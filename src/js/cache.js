@@ -0,0 +1,296 @@
+"use strict";
+var fluid = require("infusion");
+
+var path   = require("path");
+var fs     = require("fs");
+var crypto = require("crypto");
+
+fluid.registerNamespace("fluid.glob");
+
+fluid.glob.scanCacheVersion = 1;
+
+/**
+ *
+ * Generate the key used to store the results of a scan in a cache file.  The key is a hash of the resolved root path,
+ * the "pathed" includes and excludes, the minimatch options, and the scan options (other than `cacheFile` itself), so
+ * that scans with different patterns or options never share cached listings.
+ *
+ * @param {Object} scanPatterns - The output of `fluid.glob.resolveScanPatterns`.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions`.
+ * @return {String} The cache key.
+ *
+ */
+fluid.glob.getScanCacheKey = function (scanPatterns, minimatchOptions, options) {
+    var keyMaterial = fluid.glob.describeScan(scanPatterns, minimatchOptions, options);
+    return crypto.createHash("sha1").update(JSON.stringify(keyMaterial)).digest("hex");
+};
+
+/**
+ *
+ * Describe a scan using only JSON-safe values, for use in a cache key, and when inspecting a cache file.  Options
+ * whose values are regular expressions (for example, `contentPattern`) or dates (for example, `newerThan`) are
+ * described as strings and timestamps, as `JSON.stringify` would otherwise reduce them to `{}` or a local time.
+ *
+ * @param {Object} scanPatterns - The output of `fluid.glob.resolveScanPatterns`.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions`.
+ * @return {Object} An object with `rootPath`, `includes`, `excludes`, `minimatchOptions`, and `options` elements.
+ *
+ */
+fluid.glob.describeScan = function (scanPatterns, minimatchOptions, options) {
+    var keyOptions = fluid.transform(fluid.censorKeys(fluid.extend({}, fluid.glob.defaultScanOptions, options), ["cacheFile", "fileSystem"]), function (value) {
+        return value instanceof RegExp ? String(value) : (value instanceof Date ? value.getTime() : value);
+    });
+    return {
+        rootPath: (scanPatterns.pathRoot || "") + scanPatterns.rootPath,
+        includes: scanPatterns.includes,
+        excludes: scanPatterns.excludes,
+        minimatchOptions: minimatchOptions || {},
+        options: keyOptions
+    };
+};
+
+/**
+ *
+ * Read the full content of a cache file.  A missing file results in an empty cache.  An unreadable (or outdated) file
+ * is reported, and also results in an empty cache, so that it will be replaced by the next scan.
+ *
+ * @param {String} cacheFile - The full or package-relative path to the cache file.
+ * @return {Object} The content of the cache file, i.e. an object with a `version` and a map of `scans`, keyed by cache key.
+ *
+ */
+fluid.glob.readScanCacheFile = function (cacheFile) {
+    var emptyCache = { version: fluid.glob.scanCacheVersion, scans: {} };
+    var resolvedPath = fluid.module.resolvePath(cacheFile);
+    if (!fs.existsSync(resolvedPath)) {
+        return emptyCache;
+    }
+
+    try {
+        var content = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+        if (content.version !== fluid.glob.scanCacheVersion || !fluid.isPlainObject(content.scans)) {
+            fluid.log("WARNING: Ignoring scan cache file '" + resolvedPath + "', as it was written by a different version of fluid-glob.");
+            return emptyCache;
+        }
+        return content;
+    }
+    catch (error) {
+        fluid.log("WARNING: Ignoring unreadable scan cache file '" + resolvedPath + "': " + error.message);
+        return emptyCache;
+    }
+};
+
+/**
+ *
+ * Write the full content of a cache file.  The content is written to a temporary file first, so that a scan that is
+ * interrupted never leaves a partial cache file behind.
+ *
+ * @param {String} cacheFile - The full or package-relative path to the cache file.
+ * @param {Object} content - The content of the cache file, see `fluid.glob.readScanCacheFile`.
+ *
+ */
+fluid.glob.writeScanCacheFile = function (cacheFile, content) {
+    var resolvedPath = fluid.module.resolvePath(cacheFile);
+    var tempPath = resolvedPath + "." + process.pid + ".tmp";
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(content, null, 2));
+    fs.renameSync(tempPath, resolvedPath);
+};
+
+/**
+ *
+ * Prepare the cached listings for a single scan, for use by `fluid.glob.readCachedDir` and
+ * `fluid.glob.recordCachedDir`.  The returned object is stored as the scan context's `scanCache`.
+ *
+ * @param {Object} scanPatterns - The output of `fluid.glob.resolveScanPatterns`.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Object} An object with the `cacheFile`, the `cacheKey`, the `previous` listings (keyed by directory), and the `current` listings, which are populated during the scan.
+ *
+ */
+fluid.glob.loadScanCache = function (scanPatterns, scanContext) {
+    var cacheFile = scanContext.options.cacheFile;
+    var cacheKey = fluid.glob.getScanCacheKey(scanPatterns, scanContext.minimatchOptions, scanContext.options);
+    var cachedScan = fluid.glob.readScanCacheFile(cacheFile).scans[cacheKey];
+    return {
+        cacheFile: cacheFile,
+        cacheKey: cacheKey,
+        description: fluid.glob.describeScan(scanPatterns, scanContext.minimatchOptions, scanContext.options),
+        previous: cachedScan ? cachedScan.directories : {},
+        current: {},
+        mtimes: {}
+    };
+};
+
+/**
+ *
+ * Save the listings recorded during a scan to the cache file, replacing any listings previously saved for the same
+ * scan.  If the scan was truncated (see `fluid.glob.truncateScan`), the previous listings for directories that were
+ * not visited are kept.
+ *
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ *
+ */
+fluid.glob.saveScanCache = function (scanContext) {
+    var scanCache = scanContext.scanCache;
+    var content = fluid.glob.readScanCacheFile(scanCache.cacheFile);
+    content.scans[scanCache.cacheKey] = fluid.extend({}, scanCache.description, {
+        updated: new Date().toISOString(),
+        directories: scanContext.truncated ? fluid.extend({}, scanCache.previous, scanCache.current) : scanCache.current
+    });
+    fluid.glob.writeScanCacheFile(scanCache.cacheFile, content);
+};
+
+/**
+ *
+ * Look up the cached listing for a single directory.  The directory is statted, and the cached listing is only used
+ * if the directory's modification time is unchanged, i.e. if no entries have been added, removed, or renamed since the
+ * listing was recorded.
+ *
+ * @param {String} dirPath - The full path to the directory.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Object|undefined} An object with the `fileNames` in the directory, and a map of (cached) `stats` keyed by full path, or `undefined` if the directory must be read.
+ *
+ */
+fluid.glob.readCachedDir = function (dirPath, scanContext) {
+    var scanCache = scanContext.scanCache;
+    var mtimeMs = scanContext.fileSystem.stat(dirPath).mtimeMs;
+    scanCache.mtimes[dirPath] = mtimeMs;
+
+    var cachedDir = scanCache.previous[dirPath];
+    if (!cachedDir || cachedDir.mtimeMs !== mtimeMs) {
+        return undefined;
+    }
+
+    scanCache.current[dirPath] = cachedDir;
+    var statsByPath = {};
+    fluid.each(cachedDir.entries, function (cachedStats, fileName) {
+        statsByPath[path.posix.resolve(dirPath, fileName)] = fluid.glob.makeCachedStats(cachedStats);
+    });
+    return {
+        fileNames: Object.keys(cachedDir.entries),
+        stats: statsByPath
+    };
+};
+
+/**
+ *
+ * Record the listing for a directory that has just been read, so that it can be saved to the cache file.  Listings are
+ * only recorded if every entry in the directory was statted, i.e. if there were no errors, no skipped links, and the
+ * scan was not truncated part way through the directory.
+ *
+ * @param {String} dirPath - The full path to the directory.
+ * @param {Array<String>} fileNames - The names of the entries in the directory.
+ * @param {Object} statsByPath - The stats for each entry, keyed by full path.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ *
+ */
+fluid.glob.recordCachedDir = function (dirPath, fileNames, statsByPath, scanContext) {
+    var scanCache = scanContext.scanCache;
+    var entries = {};
+    var isComplete = fluid.find(fileNames, function (fileName) {
+        var stats = statsByPath[path.posix.resolve(dirPath, fileName)];
+        if (!stats) {
+            return false;
+        }
+        entries[fileName] = fluid.glob.serialiseStats(stats);
+    }) === undefined;
+
+    if (isComplete && fluid.isValue(scanCache.mtimes[dirPath])) {
+        scanCache.current[dirPath] = {
+            mtimeMs: scanCache.mtimes[dirPath],
+            entries: entries
+        };
+    }
+};
+
+/**
+ *
+ * Convert the stats for a single entry into a JSON-safe form for storage in the cache file.
+ *
+ * @param {fs.Stats} stats - The stats for the entry.
+ * @return {Object} An object with the entry's `type`, and its `dev`, `ino`, `mode`, `size`, and `mtimeMs`.
+ *
+ */
+fluid.glob.serialiseStats = function (stats) {
+    return {
+        type: stats.isDirectory() ? "directory" : (stats.isSymbolicLink() ? "symlink" : (stats.isFile() ? "file" : "other")),
+        dev: stats.dev,
+        ino: stats.ino,
+        mode: stats.mode,
+        size: stats.size,
+        mtimeMs: stats.mtimeMs
+    };
+};
+
+/**
+ *
+ * Convert stats stored in the cache file (see `fluid.glob.serialiseStats`) back into an object with the same
+ * `isFile`, `isDirectory`, and `isSymbolicLink` methods as `fs.Stats`.
+ *
+ * @param {Object} cachedStats - The stored stats.
+ * @return {Object} An object that can be used in place of `fs.Stats` when deciding whether an entry is allowed.
+ *
+ */
+fluid.glob.makeCachedStats = function (cachedStats) {
+    return fluid.extend({}, cachedStats, {
+        isCached: true,
+        isFile: function () {
+            return cachedStats.type === "file";
+        },
+        isDirectory: function () {
+            return cachedStats.type === "directory";
+        },
+        isSymbolicLink: function () {
+            return cachedStats.type === "symlink";
+        }
+    });
+};
+
+/**
+ *
+ * Summarise the scans stored in a cache file.
+ *
+ * @param {String} cacheFile - The full or package-relative path to the cache file.
+ * @return {Array<Object>} An array of objects, one per scan, each of which has a `key`, the `rootPath`, `includes`, `excludes`, `minimatchOptions`, and `options` used for the scan, the time it was `updated`, and the number of `directories` whose listings are stored.
+ *
+ */
+fluid.glob.inspectScanCache = function (cacheFile) {
+    var content = fluid.glob.readScanCacheFile(cacheFile);
+    return fluid.transform(Object.keys(content.scans).sort(), function (cacheKey) {
+        var cachedScan = content.scans[cacheKey];
+        return fluid.extend(fluid.censorKeys(cachedScan, ["directories"]), {
+            key: cacheKey,
+            directories: Object.keys(cachedScan.directories).length
+        });
+    });
+};
+
+/**
+ *
+ * Remove a single scan from a cache file, or (if no key is supplied) remove the cache file entirely.
+ *
+ * @param {String} cacheFile - The full or package-relative path to the cache file.
+ * @param {String} [cacheKey] - (Optional) the key of the scan to remove, as reported by `fluid.glob.inspectScanCache`.
+ * @return {Boolean} `true` if anything was removed, `false` otherwise.
+ *
+ */
+fluid.glob.invalidateScanCache = function (cacheFile, cacheKey) {
+    var resolvedPath = fluid.module.resolvePath(cacheFile);
+    if (!fs.existsSync(resolvedPath)) {
+        return false;
+    }
+
+    if (cacheKey === undefined) {
+        fs.unlinkSync(resolvedPath);
+        return true;
+    }
+
+    var content = fluid.glob.readScanCacheFile(cacheFile);
+    if (!content.scans[cacheKey]) {
+        return false;
+    }
+    delete content.scans[cacheKey];
+    fluid.glob.writeScanCacheFile(cacheFile, content);
+    return true;
+};
@@ -0,0 +1,23 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+
+var fs = require("fs");
+
+// Launched by `bin/fluid-glob.js`, which discards our stdout, so anything Infusion logs is written to stderr instead.
+fluid.loggingEvent.addListener(function (logArgs) {
+    process.stderr.write(logArgs.join("") + "\n");
+}, "log");
+
+// Only failures are logged while our own modules are registered.
+fluid.setLogging(fluid.logLevel.FAIL);
+require("../../index.js");
+fluid.popLogging();
+
+// The results are written to file descriptor 3, which `bin/fluid-glob.js` connects to its own stdout.
+var resultStream = {
+    write: function (content) {
+        fs.writeSync(3, content);
+    }
+};
+process.exitCode = fluid.glob.cli.run(process.argv.slice(2), { stdout: resultStream });
@@ -0,0 +1,261 @@
+"use strict";
+var fluid = require("infusion");
+
+var path  = require("path");
+var fs    = require("fs");
+var JSON5 = require("json5");
+
+fluid.registerNamespace("fluid.glob.cli");
+
+// Command-line flags that set a (boolean) minimatch option, keyed by flag name.
+fluid.glob.cli.minimatchFlags = {
+    "dot":        "dot",
+    "nocase":     "nocase",
+    "match-base": "matchBase",
+    "nobrace":    "nobrace",
+    "noext":      "noext",
+    "noglobstar": "noglobstar"
+};
+
+// Command-line flags that take a value, keyed by flag name and short alias.
+fluid.glob.cli.valueFlags = {
+    "include": "include",
+    "i":       "include",
+    "exclude": "exclude",
+    "e":       "exclude",
+    "config":  "config",
+    "c":       "config",
+    "rules":   "rules",
+    "r":       "rules"
+};
+
+// Command-line flags that control the output format, keyed by flag name and short alias.
+fluid.glob.cli.outputFlags = {
+    "null": "null",
+    "0":    "null",
+    "json": "json"
+};
+
+fluid.glob.cli.usage = [
+    "Usage: fluid-glob [rootPath] [options]",
+    "",
+    "Find all files beneath rootPath (by default, the current directory) that match the supplied patterns.",
+    "",
+    "Options:",
+    "  -i, --include <pattern>  A pattern to include in the results.  Can be repeated.",
+    "  -e, --exclude <pattern>  A pattern to exclude from the results.  Can be repeated.",
+    "  -c, --config <file>      A JSON or JSON5 file containing any of `rootPath`, `includes`, `excludes`,",
+    "                           `minimatchOptions`, `rules`, and (scan) `options`.",
+    "  -r, --rules <profile>    The name of the rule profile used to check patterns, for example `relaxed`.",
+    "  --dot, --nocase, --match-base, --nobrace, --noext, --noglobstar",
+    "                           Set the equivalent minimatch option.",
+    "  -0, --null               Separate results with a NUL character instead of a newline.",
+    "  --json                   Output the results as JSON.",
+    "  -h, --help               Display this message."
+].join("\n");
+
+/**
+ *
+ * Parse the command-line arguments passed to `fluid-glob`.  Flags that take a value can be written either as
+ * `--include pattern` or `--include=pattern`.  Any problems are reported using the `error` element of the result
+ * rather than by failing, so that they can be displayed alongside the usage instructions.
+ *
+ * @param {Array<String>} args - The command-line arguments, i.e. not including the path to node or the script.
+ * @return {Object} - An object with `rootPath`, `includes`, `excludes`, `minimatchOptions`, `configFile`, `rules`, `output`, and `help` elements, and an `error` element if the arguments are invalid.
+ *
+ */
+fluid.glob.cli.parseArgs = function (args) {
+    var parsed = {
+        includes: [],
+        excludes: [],
+        minimatchOptions: {},
+        output: "newline",
+        help: false
+    };
+
+    for (var index = 0; index < args.length && !parsed.error; index++) {
+        var arg = args[index];
+        var flagMatch = arg.match(/^--?([^=]+)(=(.*))?$/);
+        if (!flagMatch) {
+            if (parsed.rootPath !== undefined) {
+                parsed.error = "Only one root path can be supplied, found '" + parsed.rootPath + "' and '" + arg + "'.";
+            }
+            parsed.rootPath = arg;
+            continue;
+        }
+
+        var flag = flagMatch[1];
+        var inlineValue = flagMatch[3];
+        var valueFlag = fluid.glob.cli.valueFlags[flag];
+        if (valueFlag) {
+            var value = inlineValue !== undefined ? inlineValue : args[++index];
+            if (value === undefined) {
+                parsed.error = "The '" + arg + "' option requires a value.";
+            }
+            else if (valueFlag === "config") {
+                parsed.configFile = value;
+            }
+            else if (valueFlag === "rules") {
+                parsed.rules = value;
+            }
+            else {
+                parsed[valueFlag + "s"].push(value);
+            }
+        }
+        else if (inlineValue !== undefined) {
+            parsed.error = "The '--" + flag + "' option does not take a value.";
+        }
+        else if (fluid.glob.cli.minimatchFlags[flag]) {
+            parsed.minimatchOptions[fluid.glob.cli.minimatchFlags[flag]] = true;
+        }
+        else if (fluid.glob.cli.outputFlags[flag]) {
+            parsed.output = fluid.glob.cli.outputFlags[flag];
+        }
+        else if (flag === "help" || flag === "h") {
+            parsed.help = true;
+        }
+        else {
+            parsed.error = "Unknown option '" + arg + "'.";
+        }
+    }
+
+    return parsed;
+};
+
+/**
+ *
+ * Read a JSON or JSON5 configuration file.  Any relative `rootPath` in the file is resolved relative to the directory
+ * that contains the file (see `fluid.glob.cli.resolveRootPath`).
+ *
+ * @param {String} configFile - The full or relative path to the configuration file.
+ * @return {Object} - The content of the configuration file.
+ *
+ */
+fluid.glob.cli.loadConfig = function (configFile) {
+    var config = JSON5.parse(fs.readFileSync(configFile, "utf8"));
+    if (!fluid.isPlainObject(config)) {
+        fluid.fail("The configuration file must contain an object.");
+    }
+    if (config.rootPath !== undefined) {
+        config.rootPath = fluid.glob.cli.resolveRootPath(config.rootPath, path.dirname(path.resolve(configFile)));
+    }
+    return config;
+};
+
+/**
+ *
+ * Resolve a root path supplied on the command line or in a configuration file.  Package-relative paths (for example,
+ * `%my-package/src`) are left as is, so that they can be resolved in the usual way by `fluid.glob.findFiles`.
+ *
+ * @param {String} rootPath - A full, relative, or package-relative path.
+ * @param {String} basePath - The full path to the directory that relative paths are relative to.
+ * @return {String} - The resolved path.
+ *
+ */
+fluid.glob.cli.resolveRootPath = function (rootPath, basePath) {
+    return rootPath.indexOf("%") === 0 ? rootPath : path.resolve(basePath, rootPath);
+};
+
+/**
+ *
+ * Format the results of a scan for output.
+ *
+ * @param {Array<String>|Array<Object>|Object} results - The results of a scan, as returned by `fluid.glob.findFiles`.
+ * @param {String} output - The output format, one of "newline", "null", or "json".
+ * @return {String} - The formatted output.
+ *
+ */
+fluid.glob.cli.formatOutput = function (results, output) {
+    if (output === "json") {
+        return JSON.stringify(results, null, 2) + "\n";
+    }
+
+    var matches = fluid.isArrayable(results) ? results : results.matches;
+    var separator = output === "null" ? "\0" : "\n";
+    return matches.map(function (match) {
+        return (typeof match === "string" ? match : match.path) + separator;
+    }).join("");
+};
+
+/**
+ *
+ * Run the `fluid-glob` command.  Results are written to `io.stdout`.  Usage instructions, invalid pattern feedback, and
+ * anything logged during the scan are written to `io.stderr`, so that the output can safely be piped to other commands.
+ *
+ * @param {Array<String>} args - The command-line arguments, i.e. not including the path to node or the script.
+ * @param {Object} [io] - (Optional) an object with writable `stdout` and `stderr` streams, and the `cwd` that relative paths are relative to.  Defaults to those of the current process.
+ * @return {Number} - The exit code, i.e. 0 on success, 1 if the patterns are invalid or the scan fails, or 2 if the arguments are invalid.
+ *
+ */
+fluid.glob.cli.run = function (args, io) {
+    io = fluid.extend({ stdout: process.stdout, stderr: process.stderr, cwd: process.cwd() }, io);
+    var writeError = function (message) {
+        io.stderr.write(message + "\n");
+    };
+
+    var parsed = fluid.glob.cli.parseArgs(args);
+    if (parsed.help) {
+        io.stdout.write(fluid.glob.cli.usage + "\n");
+        return 0;
+    }
+    if (parsed.error) {
+        writeError("ERROR: " + parsed.error + "\n\n" + fluid.glob.cli.usage);
+        return 2;
+    }
+
+    var config = {};
+    if (parsed.configFile) {
+        try {
+            config = fluid.glob.cli.loadConfig(path.resolve(io.cwd, parsed.configFile));
+        }
+        catch (error) {
+            writeError("ERROR: Cannot read configuration file '" + parsed.configFile + "': " + error.message);
+            return 2;
+        }
+    }
+
+    var rootPath = parsed.rootPath !== undefined ? fluid.glob.cli.resolveRootPath(parsed.rootPath, io.cwd) : (config.rootPath || io.cwd);
+    var includes = fluid.makeArray(config.includes).concat(parsed.includes);
+    var excludes = fluid.makeArray(config.excludes).concat(parsed.excludes);
+    var minimatchOptions = fluid.extend({}, config.minimatchOptions, parsed.minimatchOptions);
+    if (!includes.length) {
+        writeError("ERROR: At least one include is required.\n\n" + fluid.glob.cli.usage);
+        return 2;
+    }
+
+    var rules = parsed.rules !== undefined ? parsed.rules : config.rules;
+    if (typeof rules === "string" && !fluid.glob.ruleProfiles[rules]) {
+        writeError("ERROR: Unknown rule profile '" + rules + "', expected one of: " + Object.keys(fluid.glob.ruleProfiles).join(", ") + ".\n\n" + fluid.glob.cli.usage);
+        return 2;
+    }
+
+    // Send everything logged while the command runs to stderr (without timestamps), and restore the standard logging
+    // level and listeners afterwards.
+    fluid.setLogging(true);
+    fluid.loggingEvent.addListener(fluid.identity, "addTimestampArg", "after:filterArgs");
+    fluid.loggingEvent.addListener(function (logArgs) {
+        writeError(logArgs.join(""));
+    }, "log");
+    try {
+        // Violations are logged in the same way as for `fluid.glob.findFiles`.  Warnings are reported, but only errors
+        // prevent the scan.
+        if (!fluid.glob.patternsAreValid(includes, excludes, rules)) {
+            writeError(fluid.glob.invalidPatternsMessage);
+            return 1;
+        }
+
+        // The patterns have already been checked, so they are not checked (and any warnings are not logged) again.
+        var results = fluid.glob.findFiles(rootPath, includes, excludes, minimatchOptions, {}, config.options);
+        io.stdout.write(fluid.glob.cli.formatOutput(results, parsed.output));
+        return 0;
+    }
+    catch (error) {
+        writeError("ERROR: " + error.message);
+        return 1;
+    }
+    finally {
+        fluid.loggingEvent.addListener(fluid.doNodeLog, "log");
+        fluid.loggingEvent.addListener(fluid.addTimestampArg, "addTimestampArg", "after:filterArgs");
+        fluid.popLogging();
+    }
+};
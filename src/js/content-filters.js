@@ -0,0 +1,210 @@
+"use strict";
+var fluid = require("infusion");
+
+fluid.registerNamespace("fluid.glob");
+
+// The values allowed for the `binaryFiles` scan option.
+fluid.glob.binaryFileModes = ["include", "exclude", "only"];
+
+/**
+ *
+ * Resolve a `newerThan` or `olderThan` scan option to a timestamp.  The option may be a `Date`, a number of
+ * milliseconds since the epoch, or the full or package-relative path to a "reference" file, whose modification time is
+ * used.
+ *
+ * @param {Date|Number|String} threshold - The value of the option.
+ * @param {String} optionName - The name of the option, used when reporting invalid values.
+ * @param {Object} fileSystem - The filesystem adapter used to stat reference files, see `fluid.glob.nodeFileSystem`.
+ * @return {Number} - The timestamp, in milliseconds since the epoch.
+ *
+ */
+fluid.glob.resolveTimeThreshold = function (threshold, optionName, fileSystem) {
+    var timestamp;
+    if (threshold instanceof Date) {
+        timestamp = threshold.getTime();
+    }
+    else if (typeof threshold === "number") {
+        timestamp = threshold;
+    }
+    else if (typeof threshold === "string") {
+        // The reference file is read using the original adapter, so its drive letter (if any) is preserved.
+        var referencePath = fluid.module.resolvePath(threshold);
+        try {
+            timestamp = fileSystem.stat(referencePath).mtime.getTime();
+        }
+        catch (error) {
+            fluid.fail("Cannot read the reference file for the `" + optionName + "` option: " + error.message);
+        }
+    }
+    else {
+        fluid.fail("Invalid `" + optionName + "` option '" + threshold + "', expected a date, a timestamp, or the path to a reference file.");
+    }
+    return timestamp;
+};
+
+/**
+ *
+ * Resolve the content filters in a set of scan options, i.e. `newerThan`, `olderThan`, `minSize`, `maxSize`,
+ * `contentPattern`, and `binaryFiles` (see `fluid.glob.defaultScanOptions`), so that they can be checked for each
+ * match (see `fluid.glob.checkContentFilters`).  Fails if any filter is invalid.
+ *
+ * @param {Object} options - The full set of scan options.
+ * @param {Object} fileSystem - The filesystem adapter used to stat reference files, see `fluid.glob.nodeFileSystem`.
+ * @return {Object|Boolean} - An object describing the active filters, or `false` if no filters are active.
+ *
+ */
+fluid.glob.resolveContentFilters = function (options, fileSystem) {
+    if (fluid.glob.binaryFileModes.indexOf(options.binaryFiles) === -1) {
+        fluid.fail("Invalid `binaryFiles` option '" + options.binaryFiles + "', expected one of: " + fluid.glob.binaryFileModes.join(", ") + ".");
+    }
+    if (!(options.contentBytes > 0 && isFinite(options.contentBytes))) {
+        fluid.fail("Invalid `contentBytes` option '" + options.contentBytes + "', expected a positive number.");
+    }
+
+    var contentFilters = {
+        newerThan: options.newerThan === false ? -Infinity : fluid.glob.resolveTimeThreshold(options.newerThan, "newerThan", fileSystem),
+        olderThan: options.olderThan === false ? Infinity : fluid.glob.resolveTimeThreshold(options.olderThan, "olderThan", fileSystem),
+        minSize: options.minSize,
+        maxSize: options.maxSize,
+        contentPattern: options.contentPattern === false ? false : new RegExp(options.contentPattern),
+        binaryFiles: options.binaryFiles,
+        contentBytes: Math.floor(options.contentBytes)
+    };
+    contentFilters.readsContent = !!contentFilters.contentPattern || contentFilters.binaryFiles !== "include";
+
+    var isActive = contentFilters.readsContent || contentFilters.newerThan !== -Infinity || contentFilters.olderThan !== Infinity ||
+        contentFilters.minSize > 0 || contentFilters.maxSize !== Infinity;
+    return isActive && contentFilters;
+};
+
+/**
+ *
+ * Check whether the start of a file is "binary", i.e. whether it contains a NUL byte, which is the same test used by
+ * git.
+ *
+ * @param {Buffer} fileStart - The first bytes of the file.
+ * @return {Boolean} - `true` if the file is binary, `false` otherwise.
+ *
+ */
+fluid.glob.isBinaryContent = function (fileStart) {
+    return fileStart.indexOf(0) !== -1;
+};
+
+/**
+ *
+ * Check the stats of a matching entry against the content filters that do not require the file to be read, i.e.
+ * `newerThan`, `olderThan`, `minSize`, and `maxSize`.
+ *
+ * @param {Object} entry - An allowed entry, see `fluid.glob.makeAllowedEntry`.
+ * @param {Object} contentFilters - The active content filters, see `fluid.glob.resolveContentFilters`.
+ * @return {Boolean} - `true` if the entry passes all of the filters, `false` otherwise.
+ *
+ */
+fluid.glob.checkStatFilters = function (entry, contentFilters) {
+    var mtime = entry.stats.mtime.getTime();
+    var size = entry.stats.size;
+    return mtime > contentFilters.newerThan && mtime < contentFilters.olderThan && size >= contentFilters.minSize && size <= contentFilters.maxSize;
+};
+
+/**
+ *
+ * Check the first bytes of a file against the `contentPattern` and `binaryFiles` filters.  The bytes are decoded as
+ * UTF-8 before being tested against `contentPattern`.
+ *
+ * @param {Buffer} fileStart - The first bytes of the file, see `fluid.glob.readFileStart`.
+ * @param {Object} contentFilters - The active content filters, see `fluid.glob.resolveContentFilters`.
+ * @return {Boolean} - `true` if the file passes both filters, `false` otherwise.
+ *
+ */
+fluid.glob.checkFileStart = function (fileStart, contentFilters) {
+    var isBinary = fluid.glob.isBinaryContent(fileStart);
+    if ((contentFilters.binaryFiles === "exclude" && isBinary) || (contentFilters.binaryFiles === "only" && !isBinary)) {
+        return false;
+    }
+    if (contentFilters.contentPattern) {
+        // Reset the position of any "global" or "sticky" pattern, so that each file is tested from the start.
+        contentFilters.contentPattern.lastIndex = 0;
+        return contentFilters.contentPattern.test(fileStart.toString("utf8"));
+    }
+    return true;
+};
+
+/**
+ *
+ * Read the first bytes of a file, using the `readStart` method of a filesystem adapter if it has one, or by reading the
+ * whole file if it does not (see `fluid.glob.nodeFileSystem`).
+ *
+ * @param {String} filePath - The full path to the file.
+ * @param {Number} length - The (maximum) number of bytes to read.
+ * @param {Object} fileSystem - A filesystem adapter, or the asynchronous methods of one (see `fluid.glob.promisifyFileSystem`).
+ * @return {Buffer|Promise} - The bytes read, or (for asynchronous methods) a promise that will be resolved with them.
+ *
+ */
+fluid.glob.readFileStart = function (filePath, length, fileSystem) {
+    if (fileSystem.readStart) {
+        return fileSystem.readStart(filePath, length);
+    }
+    var toBuffer = function (content) {
+        return Buffer.from(content).slice(0, length);
+    };
+    var content = fileSystem.readFile(filePath);
+    return typeof content.then === "function" ? content.then(toBuffer) : toBuffer(content);
+};
+
+/**
+ *
+ * Check a matching entry against the content filters in the scan context.  The filters only apply to files, so other
+ * matches (such as directories) always pass.  The start of each file is only read if the file passes the filters that
+ * can be checked using its stats.  If a file cannot be read, the error is handled according to the `onError` scan
+ * option (see `fluid.glob.handleScanError`), and the file does not pass.
+ *
+ * @param {Object} entry - An allowed entry, see `fluid.glob.makeAllowedEntry`.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Boolean} - `true` if the entry passes all of the filters, `false` otherwise.
+ *
+ */
+fluid.glob.checkContentFilters = function (entry, scanContext) {
+    var contentFilters = scanContext.contentFilters;
+    if (!contentFilters || !entry.stats.isFile()) {
+        return true;
+    }
+    if (!fluid.glob.checkStatFilters(entry, contentFilters)) {
+        return false;
+    }
+    if (!contentFilters.readsContent) {
+        return true;
+    }
+
+    try {
+        return fluid.glob.checkFileStart(fluid.glob.readFileStart(entry.path, contentFilters.contentBytes, scanContext.fileSystem), contentFilters);
+    }
+    catch (error) {
+        fluid.glob.handleScanError(error, entry.path, scanContext);
+        return false;
+    }
+};
+
+/**
+ *
+ * The asynchronous equivalent of `fluid.glob.checkContentFilters`.  Reads are queued using `scanContext.throttle`.
+ *
+ * @param {Object} entry - An allowed entry, see `fluid.glob.makeAllowedEntry`.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeAsyncScanContext`.
+ * @return {fluid.promise} - A promise that will be resolved with `true` if the entry passes all of the filters, or `false` otherwise.
+ *
+ */
+fluid.glob.checkContentFiltersAsync = function (entry, scanContext) {
+    var contentFilters = scanContext.contentFilters;
+    if (!contentFilters || !entry.stats.isFile() || !contentFilters.readsContent || !fluid.glob.checkStatFilters(entry, contentFilters)) {
+        return fluid.toPromise(fluid.glob.checkContentFilters(entry, scanContext));
+    }
+
+    var togo = fluid.promise();
+    var readPromise = scanContext.throttle(function () {
+        return fluid.glob.readFileStart(entry.path, contentFilters.contentBytes, scanContext.asyncFileSystem);
+    });
+    fluid.glob.recoverFromError(readPromise, entry.path, scanContext).then(function (fileStart) {
+        togo.resolve(!!fileStart && fluid.glob.checkFileStart(fileStart, contentFilters));
+    }, togo.reject);
+    return togo;
+};
@@ -0,0 +1,413 @@
+"use strict";
+var fluid = require("infusion");
+
+var path = require("path");
+
+fluid.registerNamespace("fluid.glob");
+
+/**
+ *
+ * Explain why a single path would (or would not) be returned by `fluid.glob.findFiles`.  Each directory between the
+ * root and the candidate is checked in the same way as during a scan, followed by the candidate itself.  Checking stops
+ * as soon as a directory is "pruned", as a real scan would never enter it.  The scan options are used in the same way as
+ * for a scan, so that (for example) the candidate is read using the `fileSystem` adapter and the `followSymlinks`
+ * option, the `ignoreFiles` found in each directory are taken into account, and each path is checked against the
+ * `maxDepth`, `minDepth`, and `gitFiles` options (see `fluid.glob.explainScanLimits`).  A candidate that exists is also
+ * checked against the content filters, such as `minSize` and `contentPattern` (see `fluid.glob.explainContentFilters`).
+ *
+ * The returned object contains:
+ *
+ * 1. `path`: The full path to the candidate.
+ * 2. `relativePath`: The path to the candidate relative to `rootPath`.
+ * 3. `included`: `true` if the candidate would be returned by `fluid.glob.findFiles`, `false` otherwise.
+ * 4. `prunedAt`: The full path to the directory that was never entered, if the candidate was never reached.
+ * 5. `steps`: An array of decision steps, see `fluid.glob.explainSinglePath`.
+ *
+ * @param {String} rootPath - A full or package-relative path to search.
+ * @param {Array<String>} includes - An array of full or package-relative paths to include in the search results.
+ * @param {Array<String>} excludes - An array of full or package-relative paths to exclude from the search results.
+ * @param {String} candidatePath - The path to explain, either a full path, or a path relative to `rootPath`.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions`.
+ * @return {Object} - An object describing each decision made about the candidate, as outlined above.
+ *
+ */
+fluid.glob.explain = function (rootPath, includes, excludes, candidatePath, minimatchOptions, rules, options) {
+    if (!fluid.glob.patternsAreValid(includes, excludes, rules)) {
+        fluid.fail(fluid.glob.invalidPatternsMessage);
+    }
+
+    var scanPatterns = fluid.glob.resolveScanPatterns(rootPath, includes, excludes);
+    var scanContext = fluid.glob.makeScanContext(scanPatterns, minimatchOptions, options);
+    if (scanContext.options.gitFiles) {
+        fluid.glob.loadGitFiles(scanContext);
+    }
+    var resolvedPath = fluid.glob.resolveCandidatePath(candidatePath, scanPatterns);
+    // Candidates on another drive are reported as they were supplied.
+    var fullPath = resolvedPath || candidatePath;
+    var relativePath = resolvedPath ? path.posix.relative(scanPatterns.rootPath, resolvedPath) : "";
+
+    var explanation = {
+        path: fullPath,
+        relativePath: relativePath,
+        included: false,
+        steps: []
+    };
+
+    if (!resolvedPath || relativePath === "" || relativePath === ".." || relativePath.indexOf("../") === 0 || path.posix.isAbsolute(relativePath)) {
+        explanation.steps.push({
+            path: fullPath,
+            isDir: true,
+            stage: "root",
+            outcome: "excluded",
+            message: "'" + fullPath + "' is not within the root path '" + scanPatterns.rootPath + "'."
+        });
+        return explanation;
+    }
+
+    // Check each of the directories between the root and the candidate.
+    var segments = relativePath.split("/");
+    var rootEntry = fluid.glob.statExplainEntry(scanPatterns.rootPath, scanContext);
+    if (rootEntry.stats) {
+        fluid.glob.checkForCycle(scanPatterns.rootPath, rootEntry.stats, scanContext);
+    }
+    for (var a = 1; a < segments.length; a++) {
+        var dirPath = path.posix.resolve(scanPatterns.rootPath, segments.slice(0, a).join("/"));
+        fluid.glob.loadExplainIgnoreRules(path.posix.dirname(dirPath), scanContext);
+        var dirSteps = fluid.glob.explainSinglePath(dirPath, true, scanContext);
+        var dirMessage = dirSteps[dirSteps.length - 1].outcome === "entered" && fluid.glob.explainUnenterableDir(dirPath, scanContext);
+        if (dirMessage) {
+            dirSteps.push({
+                path: dirPath,
+                isDir: true,
+                stage: "type",
+                outcome: "pruned",
+                message: dirMessage
+            });
+        }
+        explanation.steps = explanation.steps.concat(dirSteps);
+        if (dirSteps[dirSteps.length - 1].outcome === "pruned") {
+            explanation.prunedAt = dirPath;
+            explanation.steps.push({
+                path: fullPath,
+                isDir: false,
+                stage: "directory",
+                outcome: "excluded",
+                message: "'" + fullPath + "' was never reached, as '" + dirPath + "' was never entered."
+            });
+            return explanation;
+        }
+    }
+
+    // Check the candidate itself.  A candidate that does not exist is checked as a file.
+    fluid.glob.loadExplainIgnoreRules(path.posix.dirname(fullPath), scanContext);
+    var candidateEntry = fluid.glob.statExplainEntry(fullPath, scanContext);
+    var candidateStats = candidateEntry.stats;
+    var isDir = candidateStats ? candidateStats.isDirectory() : false;
+    var entryType = candidateEntry.exists && !candidateStats ? "skipped" : (!candidateStats || candidateStats.isFile() ? "files" : (isDir ? "directories" : (candidateStats.isSymbolicLink() ? "symlinks" : "other")));
+    var entryTypes = fluid.makeArray(scanContext.options.entryTypes);
+    var isAllowedType = entryTypes.indexOf(entryType) !== -1;
+    // Directories that can be returned are checked against the patterns themselves, rather than whether they might contain matches.
+    var candidateSteps = fluid.glob.explainSinglePath(fullPath, isDir, scanContext, isAllowedType);
+    explanation.steps = explanation.steps.concat(candidateSteps);
+
+    var finalOutcome = candidateSteps[candidateSteps.length - 1].outcome;
+    var typeMessage;
+    if (entryType === "skipped") {
+        typeMessage = "'" + fullPath + "' is a symbolic link that cannot be followed.";
+    }
+    else if (!isAllowedType) {
+        typeMessage = "'" + fullPath + "' is " + fluid.glob.entryTypeDescriptions[entryType] + ", and only " + entryTypes.join(", ") + " are returned.";
+    }
+    else if (isDir && fluid.glob.checkForCycle(fullPath, candidateStats, scanContext)) {
+        typeMessage = "'" + fullPath + "' is a directory that would create a cycle.";
+    }
+
+    if (typeMessage && (finalOutcome === "entered" || finalOutcome === "included")) {
+        explanation.steps.push({
+            path: fullPath,
+            isDir: isDir,
+            stage: "type",
+            outcome: "excluded",
+            message: typeMessage
+        });
+    }
+    else {
+        explanation.included = !typeMessage && finalOutcome === "included";
+    }
+
+    // The content filters can only be checked for a candidate that exists.
+    var contentMessage = explanation.included && candidateStats && fluid.glob.explainContentFilters(fullPath, candidateStats, scanContext);
+    if (contentMessage) {
+        explanation.steps.push({
+            path: fullPath,
+            isDir: isDir,
+            stage: "content",
+            outcome: "excluded",
+            message: contentMessage
+        });
+        explanation.included = false;
+    }
+
+    return explanation;
+};
+
+// How each type of entry is described when it cannot be returned, keyed by the `entryTypes` it corresponds to.
+fluid.glob.entryTypeDescriptions = {
+    files: "a file",
+    directories: "a directory",
+    symlinks: "a symbolic link that is not followed",
+    other: "neither a file, a directory, nor a symbolic link"
+};
+
+/**
+ *
+ * Stat a single entry in the same way as during a scan (see `fluid.glob.statEntry`).  Returns an object with two
+ * keys: `exists`, which is `true` if there is an entry at all, and `stats`, which holds the stats for the entry, or
+ * `undefined` if it does not exist or would be skipped (for example, a broken symbolic link).
+ *
+ * @param {String} singlePath - The full path to the entry.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Object} - An object describing the entry, as outlined above.
+ *
+ */
+fluid.glob.statExplainEntry = function (singlePath, scanContext) {
+    try {
+        scanContext.fileSystem.lstat(singlePath);
+    }
+    catch (error) {
+        return { exists: false };
+    }
+    try {
+        return { exists: true, stats: fluid.glob.statEntry(singlePath, scanContext) };
+    }
+    catch (error) {
+        return { exists: true };
+    }
+};
+
+/**
+ *
+ * Check whether a directory that might contain matches would actually be entered by a scan.  Symbolic links that are
+ * not followed (see `fluid.glob.statEntry`) are never entered, nor are directories that would create a cycle (see
+ * `fluid.glob.checkForCycle`).  Directories that do not exist are checked as though they did.
+ *
+ * @param {String} dirPath - The full path to the directory.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {String|undefined} - A message describing why the directory would not be entered, or `undefined` if it would be.
+ *
+ */
+fluid.glob.explainUnenterableDir = function (dirPath, scanContext) {
+    var dirEntry = fluid.glob.statExplainEntry(dirPath, scanContext);
+    if (dirEntry.exists && !(dirEntry.stats && dirEntry.stats.isDirectory())) {
+        return "'" + dirPath + "' is not a directory that can be entered.";
+    }
+    else if (dirEntry.stats && fluid.glob.checkForCycle(dirPath, dirEntry.stats, scanContext)) {
+        return "Entering '" + dirPath + "' would create a cycle.";
+    }
+    return undefined;
+};
+
+/**
+ *
+ * Check a matching entry against the content filters in the same way as during a scan (see
+ * `fluid.glob.checkContentFilters`).
+ *
+ * @param {String} singlePath - The full path to the entry.
+ * @param {fs.Stats} stats - The stats for the entry.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {String|undefined} - A message describing why the entry would not be returned, or `undefined` if it would be.
+ *
+ */
+fluid.glob.explainContentFilters = function (singlePath, stats, scanContext) {
+    var entry = { path: singlePath, stats: stats, isDir: stats.isDirectory() };
+    var description = "'" + singlePath + "'";
+    var errorCount = scanContext.errors.length;
+    try {
+        if (fluid.glob.checkContentFilters(entry, scanContext)) {
+            return undefined;
+        }
+    }
+    catch (error) {
+        return "The start of " + description + " cannot be read: " + error.message;
+    }
+
+    if (scanContext.errors.length > errorCount) {
+        return "The start of " + description + " cannot be read: " + scanContext.errors[errorCount].message;
+    }
+    else if (!fluid.glob.checkStatFilters(entry, scanContext.contentFilters)) {
+        return description + " (" + stats.size + " bytes, modified " + stats.mtime.toISOString() + ") does not pass the `newerThan`, `olderThan`, `minSize`, and `maxSize` filters.";
+    }
+    return "The start of " + description + " does not pass the `contentPattern` and `binaryFiles` filters.";
+};
+
+/**
+ *
+ * Check a single file or directory that the patterns allow against the `maxDepth`, `minDepth`, and `gitFiles` scan
+ * options, in the same way as `fluid.glob.makeAllowedEntry`.  Directories are only entered above `maxDepth`, and
+ * matches must be between `minDepth` and `maxDepth`.
+ *
+ * @param {String} singlePath - The full path to check.
+ * @param {Boolean} isDir - Whether or not the path refers to a directory.
+ * @param {Boolean} isTraversal - `true` if the directory is being checked to see whether it would be entered, `false` if the path is being checked as a match.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Object|undefined} - A decision step (see `fluid.glob.explainSinglePath`) if the path is not allowed, or `undefined` if it is.
+ *
+ */
+fluid.glob.explainScanLimits = function (singlePath, isDir, isTraversal, scanContext) {
+    var options = scanContext.options;
+    var depth = path.posix.relative(scanContext.rootPath, singlePath).split("/").length;
+    var description = "'" + singlePath + "' is at depth " + depth;
+    var step = {
+        path: singlePath,
+        isDir: isDir,
+        stage: "depth",
+        outcome: isTraversal ? "pruned" : "excluded"
+    };
+
+    if (isTraversal && depth >= options.maxDepth) {
+        step.message = description + ", and directories are only entered above the `maxDepth` of " + options.maxDepth + ".";
+    }
+    else if (depth > options.maxDepth) {
+        step.message = description + ", which is deeper than the `maxDepth` of " + options.maxDepth + ".";
+    }
+    else if (!isTraversal && depth < options.minDepth) {
+        step.message = description + ", which is shallower than the `minDepth` of " + options.minDepth + ".";
+    }
+    else if (!fluid.glob.isAllowedByGit(singlePath, isDir, scanContext)) {
+        step.stage = "git";
+        step.message = "'" + singlePath + "' " + (isDir ? "does not contain any of the " : "is not one of the ") + options.gitFiles + " files listed by git.";
+    }
+    return step.message ? step : undefined;
+};
+
+/**
+ *
+ * Load the ignore rules that apply to the contents of a single directory (see `fluid.glob.loadIgnoreRules`), if the
+ * `ignoreFiles` scan option is set.  A directory that cannot be read contributes no rules of its own.
+ *
+ * @param {String} dirPath - The full path to the directory.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ *
+ */
+fluid.glob.loadExplainIgnoreRules = function (dirPath, scanContext) {
+    if (!fluid.makeArray(scanContext.options.ignoreFiles).length || scanContext.ignoreRules[dirPath]) {
+        return;
+    }
+    var fileNames;
+    try {
+        fileNames = scanContext.fileSystem.readdir(dirPath);
+    }
+    catch (error) {
+        fileNames = [];
+    }
+    fluid.glob.loadIgnoreRules(dirPath, fileNames, scanContext);
+};
+
+/**
+ *
+ * Explain the decisions made about a single file or directory, using the same rules as `fluid.glob.matchPath`.  Each
+ * step contains:
+ *
+ * 1. `path`: The full path that was checked.
+ * 2. `isDir`: `true` if the path was checked as a directory, `false` otherwise.
+ * 3. `stage`: The type of pattern that was checked, one of "include", "negatedExclude", "negatedInclude", "exclude",
+ *    "ignore" (for the rules found in ignore files, see `fluid.glob.loadIgnoreRules`), or "depth" or "git" (for paths
+ *    that the patterns allow but the scan options do not, see `fluid.glob.explainScanLimits`).
+ * 4. `pattern`: The pattern that decided the outcome, as originally supplied, if there is one.  For ignore rules, this
+ *    is the `source` of the rule, see `fluid.glob.parseIgnoreFile`.
+ * 5. `outcome`: For directories, "entered" or "pruned".  For files (and directories that are checked as matches),
+ *    "included" or "excluded".
+ * 6. `message`: A human-readable description of the step.
+ *
+ * @param {String} singlePath - The full path to check.
+ * @param {Boolean} isDir - Whether or not the path refers to a directory.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @param {Boolean} [exact] - (Optional) set to `true` to check whether a directory matches the patterns itself, rather than whether it might contain matches.
+ * @return {Array<Object>} - An array of decision steps, as outlined above.
+ *
+ */
+fluid.glob.explainSinglePath = function (singlePath, isDir, scanContext, exact) {
+    var steps = [];
+    var categorisedPatterns = scanContext.categorisedPatterns;
+    var match = fluid.glob.matchPath(singlePath, isDir, categorisedPatterns, scanContext.minimatchOptions, exact);
+    var isTraversal = isDir && !exact;
+    var allowedOutcome = isTraversal ? "entered" : "included";
+    var deniedOutcome = isTraversal ? "pruned" : "excluded";
+    var description = "'" + singlePath + "'";
+
+    if (!match.include) {
+        steps.push({
+            path: singlePath,
+            isDir: isDir,
+            stage: "include",
+            outcome: deniedOutcome,
+            message: isTraversal ? description + " cannot contain matches for any include." : description + " does not match any include."
+        });
+        return steps;
+    }
+
+    var includeSource = fluid.glob.findPatternSource(scanContext.sources, match.include);
+    steps.push({
+        path: singlePath,
+        isDir: isDir,
+        stage: "include",
+        pattern: includeSource,
+        outcome: allowedOutcome,
+        message: isTraversal ? description + " might contain matches for include '" + includeSource + "'." : description + " matches include '" + includeSource + "'."
+    });
+
+    if (match.rescuedBy) {
+        var rescueSource = fluid.glob.findPatternSource(scanContext.sources, "!" + match.rescuedBy);
+        steps.push({
+            path: singlePath,
+            isDir: isDir,
+            stage: "negatedExclude",
+            pattern: rescueSource,
+            outcome: allowedOutcome,
+            message: description + " matches negated exclude '" + rescueSource + "', which takes precedence over all excludes and negated includes."
+        });
+    }
+    else if (match.excludedBy) {
+        var isNegatedInclude = categorisedPatterns.negativeIncludes.indexOf(match.excludedBy) !== -1;
+        var excludeSource = fluid.glob.findPatternSource(scanContext.sources, isNegatedInclude ? "!" + match.excludedBy : match.excludedBy);
+        steps.push({
+            path: singlePath,
+            isDir: isDir,
+            stage: isNegatedInclude ? "negatedInclude" : "exclude",
+            pattern: excludeSource,
+            outcome: deniedOutcome,
+            message: description + " matches " + (isNegatedInclude ? "negated include" : "exclude") + " '" + excludeSource + "', and no negated exclude matches."
+        });
+    }
+    else {
+        steps.push({
+            path: singlePath,
+            isDir: isDir,
+            stage: "exclude",
+            outcome: allowedOutcome,
+            message: description + " does not match any exclude or negated include."
+        });
+
+        // As with excludes, ignore rules only apply to material that is not brought back by a negated exclude.
+        var ignoreRule = fluid.glob.findIgnoreRule(singlePath, isDir, scanContext.ignoreRules[path.posix.dirname(singlePath)]);
+        if (ignoreRule) {
+            steps.push({
+                path: singlePath,
+                isDir: isDir,
+                stage: "ignore",
+                pattern: ignoreRule.source,
+                outcome: deniedOutcome,
+                message: description + " matches ignore rule '" + ignoreRule.source + "'."
+            });
+        }
+    }
+
+    var limitStep = steps[steps.length - 1].outcome === allowedOutcome && fluid.glob.explainScanLimits(singlePath, isDir, isTraversal, scanContext);
+    if (limitStep) {
+        steps.push(limitStep);
+    }
+
+    return steps;
+};
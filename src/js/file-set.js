@@ -0,0 +1,153 @@
+"use strict";
+var fluid = require("infusion");
+
+var path = require("path");
+
+fluid.registerNamespace("fluid.glob.fileSet");
+
+/**
+ *
+ * A component that represents a set of files, defined using the same root path, patterns, and options as
+ * `fluid.glob.findFiles`.  As these are component options, derived grades (and IoC configuration) can extend or
+ * override them.  The `includes` and `excludes` options can be supplied either as arrays, or as maps of patterns keyed
+ * by namespace, so that derived grades can add, replace, or remove (by setting the value to `null`) individual patterns
+ * (see `fluid.glob.fileSet.resolvePatterns`).
+ *
+ * The `onBeforeScan` event is fired with the settings that are about to be used for the scan, which listeners may
+ * modify.  The `onScanComplete` event is fired with the results of the scan and the settings used.
+ *
+ */
+fluid.defaults("fluid.glob.fileSet", {
+    gradeNames: ["fluid.component"],
+    rootPath: "",
+    includes: {},
+    excludes: {},
+    minimatchOptions: {},
+    rules: undefined,
+    // Scan options, see `fluid.glob.defaultScanOptions`.
+    scanOptions: {},
+    events: {
+        onBeforeScan: null,
+        onScanComplete: null
+    },
+    invokers: {
+        find: {
+            funcName: "fluid.glob.fileSet.find",
+            args: ["{that}"]
+        },
+        filter: {
+            funcName: "fluid.glob.fileSet.filter",
+            args: ["{that}", "{arguments}.0"] // paths
+        },
+        validate: {
+            funcName: "fluid.glob.fileSet.validate",
+            args: ["{that}"]
+        }
+    }
+});
+
+/**
+ *
+ * Convert a set of patterns to an array.  Arrays are returned as is.  For maps of patterns keyed by namespace, the
+ * values are returned in the order in which their keys were defined, skipping any that have been set to `null`.
+ *
+ * @param {Array<String>|Object<String>} patterns - An array of patterns, or a map of patterns keyed by namespace.
+ * @return {Array<String>} - An array of patterns.
+ *
+ */
+fluid.glob.fileSet.resolvePatterns = function (patterns) {
+    if (fluid.isArrayable(patterns)) {
+        return fluid.makeArray(patterns);
+    }
+    var resolvedPatterns = [];
+    fluid.each(patterns, function (pattern) {
+        if (typeof pattern === "string") {
+            resolvedPatterns.push(pattern);
+        }
+    });
+    return resolvedPatterns;
+};
+
+/**
+ *
+ * Gather the settings used to scan for (or filter) files from the component's options.
+ *
+ * @param {fluid.glob.fileSet} that - The file set component.
+ * @return {Object} - An object with `rootPath`, `includes`, `excludes`, `minimatchOptions`, `rules`, and `options` elements.
+ *
+ */
+fluid.glob.fileSet.getScanSettings = function (that) {
+    return {
+        rootPath: that.options.rootPath,
+        includes: fluid.glob.fileSet.resolvePatterns(that.options.includes),
+        excludes: fluid.glob.fileSet.resolvePatterns(that.options.excludes),
+        minimatchOptions: fluid.copy(that.options.minimatchOptions),
+        rules: that.options.rules,
+        options: fluid.copy(that.options.scanOptions)
+    };
+};
+
+/**
+ *
+ * Find all files in the set, using `fluid.glob.findFiles`.
+ *
+ * @param {fluid.glob.fileSet} that - The file set component.
+ * @return {Array<String>|Array<Object>|Object} - The results of the scan, see `fluid.glob.findFiles`.
+ *
+ */
+fluid.glob.fileSet.find = function (that) {
+    var scanSettings = fluid.glob.fileSet.getScanSettings(that);
+    that.events.onBeforeScan.fire(scanSettings, that);
+    var results = fluid.glob.findFiles(scanSettings.rootPath, scanSettings.includes, scanSettings.excludes, scanSettings.minimatchOptions, scanSettings.rules, scanSettings.options);
+    that.events.onScanComplete.fire(results, scanSettings, that);
+    return results;
+};
+
+/**
+ *
+ * Filter an array of paths, keeping only those that belong to the set, i.e. those that would be returned by a scan
+ * if they were found (see `fluid.glob.createMatcher`).  Each path is statted using the `fileSystem` scan option (if
+ * set), and paths that do not exist are treated as files.  As for a scan, only the types of entry listed in the
+ * `entryTypes` scan option are kept.  Other scan options (for example, `ignoreFiles`) are not taken into account.
+ *
+ * @param {fluid.glob.fileSet} that - The file set component.
+ * @param {Array<String>} paths - An array of full paths, or paths relative to the root of the set.
+ * @return {Array<String>} - The paths (in their original form) that belong to the set.
+ *
+ */
+fluid.glob.fileSet.filter = function (that, paths) {
+    var scanSettings = fluid.glob.fileSet.getScanSettings(that);
+    var matcher = fluid.glob.createMatcher(scanSettings.rootPath, scanSettings.includes, scanSettings.excludes, {
+        minimatchOptions: scanSettings.minimatchOptions,
+        rules: scanSettings.rules
+    });
+    var parsedRoot = fluid.glob.parsePath(fluid.module.resolvePath(scanSettings.rootPath));
+    var fileSystem = fluid.glob.createRootedFileSystem(scanSettings.options.fileSystem || fluid.glob.nodeFileSystem, parsedRoot.root);
+    var entryTypes = fluid.makeArray(scanSettings.options.entryTypes || fluid.glob.defaultScanOptions.entryTypes);
+    return fluid.makeArray(paths).filter(function (candidatePath) {
+        var isDir = false;
+        var entryType = "files";
+        try {
+            var stats = fileSystem.stat(path.posix.resolve(parsedRoot.path, fluid.glob.sanitisePath(candidatePath)));
+            isDir = stats.isDirectory();
+            entryType = isDir ? "directories" : (stats.isFile() ? "files" : false);
+        }
+        catch (error) {
+            // Paths that do not exist are treated as files.
+        }
+        return entryTypes.indexOf(entryType) !== -1 && matcher(candidatePath, isDir);
+    });
+};
+
+/**
+ *
+ * Check the set's includes and excludes against its rules, see `fluid.glob.validatePatterns`.
+ *
+ * @param {fluid.glob.fileSet} that - The file set component.
+ * @return {Array<Object>} - An array of violations, which is empty if all patterns are valid.
+ *
+ */
+fluid.glob.fileSet.validate = function (that) {
+    var scanSettings = fluid.glob.fileSet.getScanSettings(that);
+    return fluid.glob.validatePatterns(scanSettings.includes, scanSettings.excludes, scanSettings.rules);
+};
@@ -0,0 +1,301 @@
+/* eslint-env es6 */
+"use strict";
+var fluid = require("infusion");
+
+var path = require("path");
+var fs   = require("fs");
+
+fluid.registerNamespace("fluid.glob");
+
+// The methods that a filesystem adapter must provide, see `fluid.glob.nodeFileSystem`.
+fluid.glob.fileSystemMethods = ["readdir", "stat", "lstat", "realpath", "readFile"];
+
+// The methods that a filesystem adapter may optionally provide.
+fluid.glob.optionalFileSystemMethods = ["readStart"];
+
+/**
+ *
+ * The default filesystem adapter, which uses Node's `fs` module.  A filesystem adapter is an object with the following
+ * synchronous methods, each of which accepts a full path, and throws an error (with a `code` such as "ENOENT") if the
+ * operation fails:
+ *
+ * 1. `readdir`: Returns an array of the names of the entries in a directory.
+ * 2. `stat`: Returns the stats for an entry, following any symbolic links.
+ * 3. `lstat`: Returns the stats for an entry, without following symbolic links.
+ * 4. `realpath`: Returns the full path to an entry with all symbolic links resolved.
+ * 5. `readFile`: Returns the content of a file as a (UTF-8) string.
+ * 6. `readStart` (optional): Accepts a full path and a number of bytes, and returns a `Buffer` containing (at most) that
+ *    many bytes from the start of a file.  If this is not provided, content filters read the whole file, see
+ *    `fluid.glob.readFileStart`.
+ *
+ * Stats must provide `isFile`, `isDirectory`, and `isSymbolicLink` methods, `dev` and `ino` values that together
+ * uniquely identify each directory, and the `size` and `mtime` used by content filters.  An adapter may also provide a
+ * `promises` element with asynchronous equivalents of each method.  If it does not, the synchronous methods are used
+ * by asynchronous scans, see `fluid.glob.promisifyFileSystem`.
+ *
+ */
+fluid.glob.nodeFileSystem = {
+    readdir: function (dirPath) {
+        return fs.readdirSync(dirPath);
+    },
+    stat: function (singlePath) {
+        return fs.statSync(singlePath);
+    },
+    lstat: function (singlePath) {
+        return fs.lstatSync(singlePath);
+    },
+    realpath: function (singlePath) {
+        return fs.realpathSync(singlePath);
+    },
+    readFile: function (filePath) {
+        return fs.readFileSync(filePath, "utf8");
+    },
+    readStart: function (filePath, length) {
+        var fd = fs.openSync(filePath, "r");
+        try {
+            var buffer = Buffer.alloc(length);
+            return buffer.slice(0, fs.readSync(fd, buffer, 0, length, 0));
+        }
+        finally {
+            fs.closeSync(fd);
+        }
+    },
+    promises: {
+        readdir: function (dirPath) {
+            return fs.promises.readdir(dirPath);
+        },
+        stat: function (singlePath) {
+            return fs.promises.stat(singlePath);
+        },
+        lstat: function (singlePath) {
+            return fs.promises.lstat(singlePath);
+        },
+        realpath: function (singlePath) {
+            return fs.promises.realpath(singlePath);
+        },
+        readFile: function (filePath) {
+            return fs.promises.readFile(filePath, "utf8");
+        },
+        readStart: function (filePath, length) {
+            return fs.promises.open(filePath, "r").then(function (fileHandle) {
+                var buffer = Buffer.alloc(length);
+                return fileHandle.read(buffer, 0, length, 0).then(function (readResult) {
+                    return fileHandle.close().then(function () {
+                        return buffer.slice(0, readResult.bytesRead);
+                    });
+                }, function (error) {
+                    return fileHandle.close().then(function () {
+                        throw error;
+                    });
+                });
+            });
+        }
+    }
+};
+
+/**
+ *
+ * Look up the asynchronous methods of a filesystem adapter (see `fluid.glob.nodeFileSystem`).  If the adapter has no
+ * `promises` element, each of its synchronous methods (including any optional methods it provides) is wrapped so that
+ * it returns a promise.  The wrapped methods are always run later, so that deep or wide trees do not exhaust the stack.
+ *
+ * @param {Object} fileSystem - A filesystem adapter.
+ * @return {Object} - An object with the same methods as the adapter, each of which returns a promise.
+ *
+ */
+fluid.glob.promisifyFileSystem = function (fileSystem) {
+    if (fileSystem.promises) {
+        return fileSystem.promises;
+    }
+
+    var promiseMethods = {};
+    var methodNames = fluid.glob.fileSystemMethods.concat(fluid.glob.optionalFileSystemMethods.filter(function (methodName) {
+        return !!fileSystem[methodName];
+    }));
+    fluid.each(methodNames, function (methodName) {
+        promiseMethods[methodName] = function () {
+            var args = arguments;
+            return Promise.resolve().then(function () {
+                return fileSystem[methodName].apply(fileSystem, args);
+            });
+        };
+    });
+    return promiseMethods;
+};
+
+/**
+ *
+ * Wrap a filesystem adapter (see `fluid.glob.nodeFileSystem`) so that the drive letter or UNC root of a scan (see
+ * `fluid.glob.parsePath`) is added to each full path, which is then passed to the adapter as a windows path.  This
+ * allows scans to work with the POSIX-style paths used for matching, while still reading from roots other than the
+ * current drive.  Paths that already have a root (such as those returned by `realpath`) are passed on as they are.  If
+ * there is no root, the original adapter is returned.
+ *
+ * @param {Object} fileSystem - A filesystem adapter.
+ * @param {String} [pathRoot] - (Optional) the drive letter or UNC root to add to each path.
+ * @return {Object} - A filesystem adapter.
+ *
+ */
+fluid.glob.createRootedFileSystem = function (fileSystem, pathRoot) {
+    if (!pathRoot) {
+        return fileSystem;
+    }
+
+    var wrapMethods = function (methods) {
+        var wrappedMethods = {};
+        var methodNames = fluid.glob.fileSystemMethods.concat(fluid.glob.optionalFileSystemMethods.filter(function (methodName) {
+            return !!methods[methodName];
+        }));
+        fluid.each(methodNames, function (methodName) {
+            wrappedMethods[methodName] = function (singlePath) {
+                var args = Array.prototype.slice.call(arguments);
+                // Only full POSIX-style paths (i.e. a single leading slash) are missing their root.
+                args[0] = singlePath.match(/^\/(?!\/)/) ? fluid.glob.formatPath(singlePath, pathRoot, "win32") : singlePath;
+                return methods[methodName].apply(methods, args);
+            };
+        });
+        return wrappedMethods;
+    };
+
+    var rootedFileSystem = wrapMethods(fileSystem);
+    if (fileSystem.promises) {
+        rootedFileSystem.promises = wrapMethods(fileSystem.promises);
+    }
+    return rootedFileSystem;
+};
+
+/**
+ *
+ * Create an error that resembles those thrown by Node's `fs` module.
+ *
+ * @param {String} code - The error code, for example "ENOENT".
+ * @param {String} description - A description of the error, for example "no such file or directory".
+ * @param {String} syscall - The name of the failed operation, for example "stat".
+ * @param {String} errorPath - The path that the operation was attempted on.
+ * @return {Error} - The error.
+ *
+ */
+fluid.glob.makeFileSystemError = function (code, description, syscall, errorPath) {
+    var error = new Error(code + ": " + description + ", " + syscall + " '" + errorPath + "'");
+    error.code = code;
+    error.syscall = syscall;
+    error.path = errorPath;
+    return error;
+};
+
+/**
+ *
+ * Create a filesystem adapter (see `fluid.glob.nodeFileSystem`) that reads from an in-memory tree, which is useful for
+ * testing, and for scanning "virtual" trees such as the contents of an archive.  The tree is a plain object, in which
+ * each key is the name of an entry.  Each value is either a string (or `Buffer`) containing the content of a file, or
+ * a plain object describing a directory, for example:
+ *
+ * { "package.json": "{}", src: { "index.js": "\"use strict\";" } }
+ *
+ * The tree is "mounted" at `mountPath`, so that, for example, the file above is found at `/src/index.js` by default.
+ * In-memory trees have no symbolic links, and the stats for every entry share the same modification time.
+ *
+ * @param {Object} tree - The tree of directories and files.
+ * @param {String} [mountPath] - (Optional) the full path to the root of the tree.  Defaults to "/".
+ * @return {Object} - A filesystem adapter.
+ *
+ */
+fluid.glob.createMemoryFileSystem = function (tree, mountPath) {
+    mountPath = path.posix.resolve("/", fluid.glob.sanitisePath(mountPath || "/"));
+    var mtime = new Date();
+    var nextIno = 1;
+
+    var makeNode = function (content) {
+        var isDir = fluid.isPlainObject(content);
+        var node = { isDir: isDir, ino: nextIno++ };
+        if (isDir) {
+            // Children are held without a prototype, so that names such as "constructor" are not found unless they exist.
+            node.children = Object.create(null);
+            fluid.each(content, function (childContent, childName) {
+                node.children[childName] = makeNode(childContent);
+            });
+        }
+        else {
+            node.content = content;
+            node.size = Buffer.byteLength(content);
+        }
+        return node;
+    };
+    var rootNode = makeNode(tree);
+
+    var findNode = function (singlePath, syscall) {
+        var relativePath = path.posix.relative(mountPath, path.posix.resolve(mountPath, fluid.glob.sanitisePath(singlePath)));
+        if (relativePath === ".." || relativePath.indexOf("../") === 0) {
+            throw fluid.glob.makeFileSystemError("ENOENT", "no such file or directory", syscall, singlePath);
+        }
+
+        var node = rootNode;
+        fluid.each(relativePath.split("/"), function (segment) {
+            if (!segment.length) {
+                return;
+            }
+            if (!node.isDir) {
+                throw fluid.glob.makeFileSystemError("ENOTDIR", "not a directory", syscall, singlePath);
+            }
+            node = node.children[segment];
+            if (!node) {
+                throw fluid.glob.makeFileSystemError("ENOENT", "no such file or directory", syscall, singlePath);
+            }
+        });
+        return node;
+    };
+
+    var makeStats = function (node) {
+        return {
+            dev: 0,
+            ino: node.ino,
+            mode: node.isDir ? 16877 : 33188,
+            size: node.isDir ? 0 : node.size,
+            mtime: mtime,
+            mtimeMs: mtime.getTime(),
+            isFile: function () {
+                return !node.isDir;
+            },
+            isDirectory: function () {
+                return node.isDir;
+            },
+            isSymbolicLink: function () {
+                return false;
+            }
+        };
+    };
+
+    var stat = function (singlePath) {
+        return makeStats(findNode(singlePath, "stat"));
+    };
+
+    return {
+        readdir: function (dirPath) {
+            var node = findNode(dirPath, "scandir");
+            if (!node.isDir) {
+                throw fluid.glob.makeFileSystemError("ENOTDIR", "not a directory", "scandir", dirPath);
+            }
+            return Object.keys(node.children);
+        },
+        stat: stat,
+        lstat: stat,
+        realpath: function (singlePath) {
+            findNode(singlePath, "realpath");
+            return path.posix.resolve(mountPath, fluid.glob.sanitisePath(singlePath));
+        },
+        readFile: function (filePath) {
+            var node = findNode(filePath, "open");
+            if (node.isDir) {
+                throw fluid.glob.makeFileSystemError("EISDIR", "illegal operation on a directory", "read", filePath);
+            }
+            return node.content.toString();
+        },
+        readStart: function (filePath, length) {
+            var node = findNode(filePath, "open");
+            if (node.isDir) {
+                throw fluid.glob.makeFileSystemError("EISDIR", "illegal operation on a directory", "read", filePath);
+            }
+            return Buffer.from(node.content).slice(0, length);
+        }
+    };
+};
@@ -0,0 +1,158 @@
+"use strict";
+var fluid = require("infusion");
+
+var path         = require("path");
+var childProcess = require("child_process");
+
+fluid.registerNamespace("fluid.glob");
+
+// The maximum amount of output (in bytes) to accept from git, enough for a listing of several million files.
+fluid.glob.gitMaxBuffer = 512 * 1024 * 1024;
+
+// The git arguments used to list files for each value of the `gitFiles` scan option.  All paths are relative to the
+// root of the scan, and deleted files are never listed.
+fluid.glob.gitFileArgs = {
+    tracked: ["ls-files", "-z"],
+    staged:  ["diff", "--cached", "--name-only", "--relative", "--diff-filter=d", "-z"],
+    changed: ["diff", "--name-only", "--relative", "--diff-filter=d", "-z"]
+};
+
+/**
+ *
+ * Work out the git command needed to list the files allowed by the `gitFiles` scan option:
+ *
+ * 1. "tracked": All files tracked by git.
+ * 2. "staged": Files with changes staged for the next commit.
+ * 3. "changed": Files that differ from the commit named by the `gitRef` scan option (by default, "HEAD"), including any
+ *    uncommitted changes.
+ *
+ * @param {Object} options - The scan options, see `fluid.glob.defaultScanOptions`.
+ * @return {Array<String>} - The arguments to pass to git.
+ *
+ */
+fluid.glob.getGitArgs = function (options) {
+    var gitArgs = fluid.glob.gitFileArgs[options.gitFiles];
+    if (!gitArgs) {
+        fluid.fail("Invalid `gitFiles` option '" + options.gitFiles + "', expected one of: " + Object.keys(fluid.glob.gitFileArgs).join(", ") + ".");
+    }
+    if (options.gitFiles === "changed") {
+        var gitRef = options.gitRef || "HEAD";
+        if (gitRef.indexOf("-") === 0) {
+            fluid.fail("Invalid `gitRef` option '" + gitRef + "'.");
+        }
+        gitArgs = gitArgs.concat([gitRef, "--"]);
+    }
+    return gitArgs;
+};
+
+/**
+ *
+ * Convert the (NUL-separated) output of a git command into the sets of files and directories that a scan may visit.
+ * A directory may only be entered if it contains at least one of the files, so that untracked material (including
+ * anything ignored by git) is never read.
+ *
+ * @param {String} gitOutput - The output of the git command, i.e. paths relative to the root of the scan, separated by NUL characters.
+ * @param {String} rootPath - The full path to the root of the scan.
+ * @return {Object} - An object with `files` and `dirs` elements, each of which is a map whose keys are full paths.
+ *
+ */
+fluid.glob.parseGitFiles = function (gitOutput, rootPath) {
+    var gitFiles = { files: {}, dirs: {} };
+    fluid.each(gitOutput.split("\0"), function (relativePath) {
+        if (relativePath.length) {
+            var filePath = path.posix.resolve(rootPath, relativePath);
+            gitFiles.files[filePath] = true;
+            for (var dirPath = path.posix.dirname(filePath); dirPath !== rootPath && !gitFiles.dirs[dirPath]; dirPath = path.posix.dirname(dirPath)) {
+                gitFiles.dirs[dirPath] = true;
+            }
+        }
+    });
+    return gitFiles;
+};
+
+/**
+ *
+ * Describe a failed git command.
+ *
+ * @param {Error} error - The error returned when running git.
+ * @param {String} rootPath - The full path to the root of the scan.
+ * @return {String} - A description of the failure.
+ *
+ */
+fluid.glob.describeGitError = function (error, rootPath) {
+    var details = error.stderr ? error.stderr.toString().trim() : error.message;
+    return "Cannot list files using git in '" + rootPath + "': " + details;
+};
+
+/**
+ *
+ * Run git to find the files allowed by the `gitFiles` scan option (see `fluid.glob.getGitArgs`), and store them in the
+ * scan context (see `fluid.glob.parseGitFiles`).  Fails if git cannot be run, for example if the root of the scan is
+ * not within a git repository.
+ *
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ *
+ */
+fluid.glob.loadGitFiles = function (scanContext) {
+    var gitArgs = fluid.glob.getGitArgs(scanContext.options);
+    var nativeRootPath = fluid.glob.formatPath(scanContext.rootPath, scanContext.pathRoot);
+    var gitOutput;
+    try {
+        gitOutput = childProcess.execFileSync("git", gitArgs, { cwd: nativeRootPath, encoding: "utf8", maxBuffer: fluid.glob.gitMaxBuffer, stdio: "pipe" });
+    }
+    catch (error) {
+        fluid.fail(fluid.glob.describeGitError(error, nativeRootPath));
+    }
+    scanContext.gitFiles = fluid.glob.parseGitFiles(gitOutput, scanContext.rootPath);
+};
+
+/**
+ *
+ * The asynchronous equivalent of `fluid.glob.loadGitFiles`.
+ *
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeAsyncScanContext`.
+ * @return {fluid.promise} - A promise that will be resolved once the files have been stored in the scan context.
+ *
+ */
+fluid.glob.loadGitFilesAsync = function (scanContext) {
+    var togo = fluid.promise();
+    try {
+        var gitArgs = fluid.glob.getGitArgs(scanContext.options);
+        var nativeRootPath = fluid.glob.formatPath(scanContext.rootPath, scanContext.pathRoot);
+        childProcess.execFile("git", gitArgs, { cwd: nativeRootPath, encoding: "utf8", maxBuffer: fluid.glob.gitMaxBuffer }, function (error, gitOutput) {
+            if (error) {
+                togo.reject({ isError: true, message: fluid.glob.describeGitError(error, nativeRootPath) });
+            }
+            else {
+                scanContext.gitFiles = fluid.glob.parseGitFiles(gitOutput, scanContext.rootPath);
+                togo.resolve();
+            }
+        });
+    }
+    catch (error) {
+        togo.reject(error);
+    }
+    return togo;
+};
+
+/**
+ *
+ * Check whether a single entry is allowed by the `gitFiles` scan option, i.e. whether it is one of the files listed by
+ * git, or a directory that contains one of them.  If `isDir` is not supplied (i.e. before the entry has been statted),
+ * the entry is allowed if it is either.
+ *
+ * @param {String} singlePath - The full path to the entry.
+ * @param {Boolean} [isDir] - (Optional) whether or not the entry is a directory.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Boolean} - `true` if the entry is allowed, or if the `gitFiles` option is not set, `false` otherwise.
+ *
+ */
+fluid.glob.isAllowedByGit = function (singlePath, isDir, scanContext) {
+    var gitFiles = scanContext.gitFiles;
+    if (!gitFiles) {
+        return true;
+    }
+    var isListedFile = !!gitFiles.files[singlePath];
+    var isListedDir = !!gitFiles.dirs[singlePath];
+    return isDir === undefined ? isListedFile || isListedDir : (isDir ? isListedDir : isListedFile);
+};
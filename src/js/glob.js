@@ -2,44 +2,354 @@
 var fluid = require("infusion");
 
 var path      = require("path");
-var fs        = require("fs");
 var minimatch = require("minimatch");
 
 fluid.registerNamespace("fluid.glob");
 
+fluid.glob.defaultScanOptions = {
+    // Set to "details" to return an object describing each match instead of its full path, see `fluid.glob.formatMatch`.
+    resultMode: "paths",
+    // The names of "ignore" files (such as ".gitignore") whose rules should be treated as excludes, see `fluid.glob.parseIgnoreFile`.
+    ignoreFiles: [],
+    // Whether to follow symbolic links, one of "always", "withinRoot", or "never", see `fluid.glob.statEntry`.
+    followSymlinks: "always",
+    // What to do with symbolic links whose target does not exist, one of "fail", "report", or "skip".
+    brokenSymlinks: "fail",
+    // What to do when a file or directory cannot be read, one of "throw", "skip", or "collect", see `fluid.glob.handleScanError`.
+    onError: "throw",
+    // The types of entry that may be returned as matches, any combination of "files", "directories", and "symlinks", see `fluid.glob.makeAllowedEntry`.
+    entryTypes: ["files"],
+    // The deepest level (relative to the root, whose contents are at depth 1) that may be scanned, see `fluid.glob.makeAllowedEntry`.
+    maxDepth: Infinity,
+    // The shallowest level (relative to the root, whose contents are at depth 1) at which matches may be returned.
+    minDepth: 0,
+    // The maximum number of matches to return before stopping the scan, see `fluid.glob.recordMatch`.
+    maxResults: Infinity,
+    // The maximum number of files, directories, and links to check before stopping the scan, see `fluid.glob.visitEntry`.
+    maxEntriesVisited: Infinity,
+    // The full or package-relative path to a file in which to cache directory listings between scans, see `fluid.glob.loadScanCache`.
+    cacheFile: false,
+    // A filesystem adapter to read from instead of Node's `fs` module, see `fluid.glob.nodeFileSystem`.
+    fileSystem: false,
+    // Set to "tracked", "staged", or "changed" to only return files that git considers relevant, see `fluid.glob.getGitArgs`.
+    gitFiles: false,
+    // The commit to compare against when `gitFiles` is set to "changed".
+    gitRef: "HEAD",
+    // Only match files modified after this date, timestamp, or reference file, see `fluid.glob.resolveTimeThreshold`.
+    newerThan: false,
+    // Only match files modified before this date, timestamp, or reference file.
+    olderThan: false,
+    // The smallest size (in bytes) of file that may be matched.
+    minSize: 0,
+    // The largest size (in bytes) of file that may be matched.
+    maxSize: Infinity,
+    // A regular expression (or its source) that the start of each matching file must contain, see `fluid.glob.checkFileStart`.
+    contentPattern: false,
+    // What to do with binary files, one of "include", "exclude", or "only", see `fluid.glob.isBinaryContent`.
+    binaryFiles: "include",
+    // The number of bytes at the start of each file checked by `contentPattern` and `binaryFiles`.
+    contentBytes: 8000,
+    // The style of the paths returned, one of "native", "posix", or "win32", see `fluid.glob.formatPath`.
+    pathStyle: "native",
+    // Set to `true` to return paths relative to the root, or to a path to return paths relative to it, see `fluid.glob.formatResultPath`.
+    relativeTo: false,
+    // Whether to prefix relative paths with "./", so that they can be used as patterns anchored to the root.
+    dotPrefix: false,
+    // Set to `true` to return paths within registered modules in package-relative form, see `fluid.glob.toPackagePath`.
+    packagePaths: false
+};
+
 /**
  *
  * Find all files beneath a root directory based on a list of includes and excludes.  Includes and excludes can be
  * full, package-relative, or "glob" paths, see the README for examples.  All paths are "pathed", i.e. resolved relative
  * to `rootPath`, and then passed to `fluid.glob.scanSingleDir` to begin a recursive scan (see those docs for more
- * details).
+ * details).  If the `cacheFile` option is set, directory listings from earlier scans are reused where possible, and the
+ * listings from this scan are saved for next time (see `fluid.glob.loadScanCache`).
  *
  * @param {String} rootPath - A full or package-relative path to search.
  * @param {Array<String>} includes - An array of full or package-relative paths to include in the search results.
  * @param {Array<String>} excludes - An array of full or package-relative paths to exclude from the search results.
  * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
- * @param {Object|Array<String>} [rules] - An optional set of custom rules defining invalid patterns as regular expressions.
- * @return {Array<String>} - An array of full paths to all matching files.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions`.
+ * @return {Array<String>|Array<Object>|Object} - An array of full paths to all matching files, or an array of objects describing each match if `options.resultMode` is set to "details".  If `options.onError` is set to "collect", or if `options.maxResults` or `options.maxEntriesVisited` is set, an object with `matches`, `errors`, and `truncated` is returned instead, see `fluid.glob.formatResults`.
  *
  */
-fluid.glob.findFiles = function (rootPath, includes, excludes, minimatchOptions, rules) {
-    var invalidIncludes = fluid.glob.validatePatternArray(includes, rules);
-    var invalidExcludes = fluid.glob.validatePatternArray(excludes, rules);
-    if (invalidIncludes.length || invalidExcludes.length) {
-        if (invalidIncludes.length) {
-            fluid.glob.logInvalidRuleFeedback(invalidIncludes);
-        }
-        if (invalidExcludes.length) {
-            fluid.glob.logInvalidRuleFeedback(invalidExcludes);
-        }
+fluid.glob.findFiles = function (rootPath, includes, excludes, minimatchOptions, rules, options) {
+    if (!fluid.glob.patternsAreValid(includes, excludes, rules)) {
+        fluid.fail(fluid.glob.invalidPatternsMessage);
+    }
+
+    var scanPatterns = fluid.glob.resolveScanPatterns(rootPath, includes, excludes);
+    var scanContext = fluid.glob.makeScanContext(scanPatterns, minimatchOptions, options);
+    if (scanContext.options.cacheFile) {
+        scanContext.scanCache = fluid.glob.loadScanCache(scanPatterns, scanContext);
+    }
+    var matches = fluid.glob.scanSingleDir(scanPatterns.rootPath, scanPatterns.includes, scanPatterns.excludes, minimatchOptions, scanContext);
+    if (scanContext.scanCache) {
+        fluid.glob.saveScanCache(scanContext);
+    }
+    return fluid.glob.formatResults(matches, scanContext);
+};
+
+/**
+ *
+ * Combine the matches from a scan with any other information that the scan options request.  If `onError` is set to
+ * "collect", or if either the `maxResults` or `maxEntriesVisited` budget is set, an object is returned with:
+ *
+ * 1. `matches`: The matches found by the scan.
+ * 2. `errors`: An array of errors, see `fluid.glob.handleScanError`.
+ * 3. `truncated`: `false` if the scan was completed, or the name of the budget that ran out (see
+ *    `fluid.glob.truncateScan`) if the scan was stopped early.
+ *
+ * Otherwise the matches are returned as they are.
+ *
+ * @param {Array<String>|Array<Object>} matches - The matches found by the scan.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Array<String>|Array<Object>|Object} - The matches, or an object with `matches`, `errors`, and `truncated`.
+ *
+ */
+fluid.glob.formatResults = function (matches, scanContext) {
+    var options = scanContext.options;
+    if (options.onError === "collect" || isFinite(options.maxResults) || isFinite(options.maxEntriesVisited)) {
+        return {
+            matches: matches,
+            errors: scanContext.errors,
+            truncated: scanContext.truncated
+        };
+    }
+    else {
+        return matches;
+    }
+};
+
+/**
+ *
+ * Handle an error encountered while reading a directory, or while reading or statting one of its entries, using the
+ * `onError` scan option:
+ *
+ * 1. If `onError` is set to "throw", the error is thrown, and the scan stops.
+ * 2. If `onError` is set to "skip", the directory or entry is silently skipped.
+ * 3. If `onError` is set to "collect", the directory or entry is skipped, and the error is recorded (see
+ *    `fluid.glob.collectError`).
+ *
+ * @param {Error} error - The error encountered.
+ * @param {String} errorPath - The full path to the directory or entry that could not be read.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ *
+ */
+fluid.glob.handleScanError = function (error, errorPath, scanContext) {
+    var onError = scanContext.options.onError;
+    if (onError === "collect") {
+        fluid.glob.collectError(error, errorPath, scanContext);
+    }
+    else if (onError !== "skip") {
+        throw error;
+    }
+};
+
+/**
+ *
+ * Record a structured description of an error in the scan context's `errors` array.  Each description contains the
+ * `path` that could not be read, and the `syscall`, `code` and `message` from the original error.
+ *
+ * @param {Error} error - The error encountered.
+ * @param {String} errorPath - The full path to the directory or entry that could not be read.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ *
+ */
+fluid.glob.collectError = function (error, errorPath, scanContext) {
+    scanContext.errors.push({
+        path: fluid.glob.formatScanPath(errorPath, scanContext),
+        syscall: error.syscall,
+        code: error.code,
+        message: error.message
+    });
+};
+
+/**
+ *
+ * Stop a scan early because one of its budgets has run out.  A warning is logged the first time this happens, and the
+ * name of the budget is recorded in the scan context's `truncated` element.  No further directories are read once a
+ * scan has been truncated (see `fluid.glob.readAllowedEntries`).
+ *
+ * @param {String} budget - The name of the option whose budget has run out, i.e. "maxResults" or "maxEntriesVisited".
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ *
+ */
+fluid.glob.truncateScan = function (budget, scanContext) {
+    if (!scanContext.truncated) {
+        fluid.log("WARNING: Stopping scan of '" + fluid.glob.formatScanPath(scanContext.rootPath, scanContext) + "' early, as the " + budget + " limit of " + scanContext.options[budget] + " was reached.  The results are incomplete.");
+        scanContext.truncated = budget;
+    }
+};
+
+/**
+ *
+ * Count a single file, directory, or link against the `maxEntriesVisited` budget.  If the budget has run out, the scan
+ * is truncated (see `fluid.glob.truncateScan`).
+ *
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Boolean} `true` if the entry can be visited, `false` if the budget has run out.
+ *
+ */
+fluid.glob.visitEntry = function (scanContext) {
+    if (scanContext.entriesVisited >= scanContext.options.maxEntriesVisited) {
+        fluid.glob.truncateScan("maxEntriesVisited", scanContext);
+        return false;
+    }
+    scanContext.entriesVisited++;
+    return true;
+};
 
-        fluid.fail("One or more glob patterns you have entered are invalid.  Cannot continue.");
+/**
+ *
+ * Count a single match against the `maxResults` budget.  If the budget has run out, the scan is truncated (see
+ * `fluid.glob.truncateScan`).
+ *
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Boolean} `true` if the match can be added to the results, `false` if the budget has run out.
+ *
+ */
+fluid.glob.recordMatch = function (scanContext) {
+    if (scanContext.matchCount >= scanContext.options.maxResults) {
+        fluid.glob.truncateScan("maxResults", scanContext);
+        return false;
+    }
+    scanContext.matchCount++;
+    return true;
+};
+
+fluid.glob.invalidPatternsMessage = "One or more glob patterns you have entered are invalid.  Cannot continue.";
+
+/**
+ *
+ * Check both includes and excludes against the supplied (or default) rules, and log any violations.  Violations of
+ * rules whose `severity` is "warning" are logged, but do not make the patterns invalid.
+ *
+ * @param {Array<String>} includes - An array of include patterns.
+ * @param {Array<String>} excludes - An array of exclude patterns.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @return {Boolean} `true` if all patterns are valid, `false` otherwise.
+ *
+ */
+fluid.glob.patternsAreValid = function (includes, excludes, rules) {
+    var violations = fluid.glob.validatePatterns(fluid.makeArray(includes), fluid.makeArray(excludes), rules);
+    if (violations.length) {
+        fluid.glob.logInvalidRuleFeedback(violations);
     }
+    return fluid.glob.filterViolations(violations, "error").length === 0;
+};
 
-    var resolvedPath = fluid.glob.sanitisePath(fluid.module.resolvePath(rootPath));
-    var pathedIncludes = fluid.glob.addPathToPatterns(resolvedPath, includes);
-    var pathedExcludes = fluid.glob.addPathToPatterns(resolvedPath, excludes);
-    return fluid.glob.scanSingleDir(resolvedPath, pathedIncludes, pathedExcludes, minimatchOptions);
+/**
+ *
+ * Resolve a full or package-relative root path, expand any brace sets in the supplied includes and excludes (see
+ * `fluid.glob.expandBraces`), and add the root path to each of the results (see `fluid.glob.addPathToPatterns`).
+ *
+ * @param {String} rootPath - A full or package-relative path to search.
+ * @param {Array<String>} includes - An array of full or package-relative paths to include in the search results.
+ * @param {Array<String>} excludes - An array of full or package-relative paths to exclude from the search results.
+ * @return {Object} An object with the resolved (POSIX-style) `rootPath`, its drive letter or UNC root (`pathRoot`, see `fluid.glob.parsePath`), and the "pathed" `includes` and `excludes`.
+ *
+ */
+fluid.glob.resolveScanPatterns = function (rootPath, includes, excludes) {
+    var parsedPath = fluid.glob.parsePath(fluid.module.resolvePath(rootPath));
+    var resolvedPath = parsedPath.path;
+    var expandedIncludes = fluid.glob.expandBraces(includes);
+    var expandedExcludes = fluid.glob.expandBraces(excludes);
+    var pathedIncludes = fluid.glob.addPathToPatterns(resolvedPath, expandedIncludes.patterns);
+    var pathedExcludes = fluid.glob.addPathToPatterns(resolvedPath, expandedExcludes.patterns);
+    return {
+        rootPath: resolvedPath,
+        pathRoot: parsedPath.root,
+        includes: pathedIncludes,
+        excludes: pathedExcludes,
+        sources: fluid.extend(fluid.glob.mapPatternSources(expandedIncludes.sources, pathedIncludes), fluid.glob.mapPatternSources(expandedExcludes.sources, pathedExcludes))
+    };
+};
+
+/**
+ *
+ * Expand any brace sets in an array of patterns, so that (for example) `./src/*.{js,mjs}` becomes `./src/*.js` and
+ * `./src/*.mjs`.  Patterns without brace sets are left alone.  The original pattern that each expanded pattern came
+ * from is also returned, so that matches can be traced back to the patterns supplied by the user.
+ *
+ * @param {Array<String>} patterns - An array of patterns.
+ * @return {Object} An object with an array of expanded `patterns`, and an array of the original `sources` of each.
+ *
+ */
+fluid.glob.expandBraces = function (patterns) {
+    var expanded = { patterns: [], sources: [] };
+    fluid.each(patterns, function (pattern) {
+        fluid.each(minimatch.braceExpand(pattern), function (expandedPattern) {
+            expanded.patterns.push(expandedPattern);
+            expanded.sources.push(pattern);
+        });
+    });
+    return expanded;
+};
+
+/**
+ *
+ * Create a map of "pathed" patterns (see `fluid.glob.addPathToPatterns`) to the original patterns they were derived from.
+ *
+ * @param {Array<String>} originalPatterns - An array of patterns as supplied by the user.
+ * @param {Array<String>} pathedPatterns - The same patterns, with the root path added.
+ * @return {Object} A map of pathed patterns to original patterns.
+ *
+ */
+fluid.glob.mapPatternSources = function (originalPatterns, pathedPatterns) {
+    var sources = {};
+    fluid.each(pathedPatterns, function (pathedPattern, index) {
+        sources[pathedPattern] = originalPatterns[index];
+    });
+    return sources;
+};
+
+/**
+ *
+ * Create the "scan context" shared by every level of a single scan, which holds the resolved patterns and options.
+ *
+ * @param {Object} scanPatterns - The output of `fluid.glob.resolveScanPatterns`, i.e. an object with `rootPath`, `includes`, `excludes`, and (optionally) `pathRoot` and `sources`.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions`.
+ * @return {Object} The scan context.
+ *
+ */
+fluid.glob.makeScanContext = function (scanPatterns, minimatchOptions, options) {
+    var fullOptions = fluid.extend({}, fluid.glob.defaultScanOptions, options);
+    if (!fluid.glob.pathStyles[fullOptions.pathStyle]) {
+        fluid.fail("Invalid `pathStyle` option '" + fullOptions.pathStyle + "', expected one of: " + Object.keys(fluid.glob.pathStyles).join(", ") + ".");
+    }
+    var fileSystem = fullOptions.fileSystem || fluid.glob.nodeFileSystem;
+    var pathRoot = scanPatterns.pathRoot || "";
+    return {
+        rootPath: scanPatterns.rootPath,
+        // The drive letter or UNC root of the scan, if any, see `fluid.glob.parsePath`.
+        pathRoot: pathRoot,
+        // How the path to each match is returned, see `fluid.glob.resolveResultFormat`.
+        resultFormat: fluid.glob.resolveResultFormat(fullOptions, scanPatterns.rootPath, pathRoot),
+        categorisedPatterns: fluid.glob.categorisePatterns(scanPatterns.includes, scanPatterns.excludes),
+        sources: scanPatterns.sources || {},
+        minimatchOptions: minimatchOptions,
+        options: fullOptions,
+        // The filesystem adapter used for all reads, see `fluid.glob.nodeFileSystem` and `fluid.glob.createRootedFileSystem`.
+        fileSystem: fluid.glob.createRootedFileSystem(fileSystem, pathRoot),
+        // The filters applied to the stats and content of each match, see `fluid.glob.resolveContentFilters`.
+        contentFilters: fluid.glob.resolveContentFilters(fullOptions, fileSystem),
+        // The ignore rules that apply to the contents of each directory, see `fluid.glob.loadIgnoreRules`.
+        ignoreRules: {},
+        // The device and inode of each directory entered, used to detect cycles, see `fluid.glob.checkForCycle`.
+        dirIds: {},
+        // Any errors collected when `onError` is set to "collect", or broken links reported when `brokenSymlinks` is set to "report".
+        errors: [],
+        // The number of matches and entries counted against the `maxResults` and `maxEntriesVisited` budgets.
+        matchCount: 0,
+        entriesVisited: 0,
+        // The name of the budget that ran out, if any, see `fluid.glob.truncateScan`.
+        truncated: false
+    };
 };
 
 /**
@@ -52,39 +362,259 @@ fluid.glob.findFiles = function (rootPath, includes, excludes, minimatchOptions,
  *
  * Each file encountered is added to the overall list if all of the above are true.  Directories are handled a bit
  * differently, as we attempt to interpret whether the directory MIGHT contain content that matches an include.  If so,
- * the directory is scanned using this same function, and any sub-matches are added to our results.
+ * the directory is scanned using this same function, and any sub-matches are added to our results.  If the
+ * `entryTypes` scan option allows it, directories that match an include themselves are also added to our results,
+ * ahead of their contents.
  *
  * @param {String} dirPath - A full path to the directory to scan.
  * @param {Array<String>} includes - An array of full or package-relative paths to include in the search results.
  * @param {Array<String>} excludes - An array of full or package-relative paths to exclude from the search results.
  * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
- * @return {Array<String>} An array of matching paths.
+ * @param {Object} [scanContext] - (Optional) the context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Array<String>|Array<Object>} An array of matching paths (or match details, see `fluid.glob.formatMatch`).
  *
  */
-fluid.glob.scanSingleDir = function (dirPath, includes, excludes, minimatchOptions) {
-    var matchingPaths = [];
+fluid.glob.scanSingleDir = function (dirPath, includes, excludes, minimatchOptions, scanContext) {
+    scanContext = scanContext || fluid.glob.makeScanContext({ rootPath: dirPath, includes: includes, excludes: excludes }, minimatchOptions);
 
-    var dirPaths = fs.readdirSync(dirPath).map(function (subPath) { return path.posix.resolve(dirPath, subPath); }).sort();
-
-    // Check to see if this path should be included or excluded
-    var allowedPaths = fluid.glob.filterPaths(dirPaths, includes, excludes, minimatchOptions);
+    var matchingPaths = [];
 
-    fluid.each(allowedPaths, function (singlePath) {
-        var itemStats = fs.statSync(singlePath);
-        if (itemStats.isDirectory()) {
-            var subMatches = fluid.glob.scanSingleDir(singlePath, includes, excludes, minimatchOptions);
+    fluid.each(fluid.glob.readAllowedEntries(dirPath, scanContext), function (entry) {
+        if (entry.isMatch && fluid.glob.recordMatch(scanContext)) {
+            matchingPaths.push(fluid.glob.formatMatch(entry, scanContext));
+        }
+        if (entry.shouldEnter) {
+            var subMatches = fluid.glob.scanSingleDir(entry.path, includes, excludes, minimatchOptions, scanContext);
             if (subMatches.length) {
                 matchingPaths = matchingPaths.concat(subMatches);
             }
         }
-        else if (itemStats.isFile()) {
-            matchingPaths.push(singlePath);
-        }
     });
 
     return matchingPaths;
 };
 
+/**
+ *
+ * Read and stat the contents of a single directory, and return the (sorted) files and sub-directories that are allowed
+ * by the patterns in the scan context.  Matching files that do not pass the content filters in the scan context (see
+ * `fluid.glob.checkContentFilters`) are no longer treated as matches.  Once a scan has been truncated (see `fluid.glob.truncateScan`), no further
+ * directories are read, and no further entries are statted.
+ *
+ * @param {String} dirPath - A full path to the directory to read.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Array<Object>} An array of allowed entries, see `fluid.glob.makeAllowedEntry`.
+ *
+ */
+fluid.glob.readAllowedEntries = function (dirPath, scanContext) {
+    if (scanContext.truncated) {
+        return [];
+    }
+
+    if (scanContext.options.gitFiles && !scanContext.gitFiles) {
+        fluid.glob.loadGitFiles(scanContext);
+    }
+
+    var fileNames, cachedDir;
+    try {
+        // Reuse the listing stored in the scan cache if the directory is unchanged, see `fluid.glob.readCachedDir`.
+        cachedDir = scanContext.scanCache && fluid.glob.readCachedDir(dirPath, scanContext);
+        fileNames = cachedDir ? cachedDir.fileNames : fluid.glob.readFromListingCache("readdir:" + dirPath, scanContext, function () {
+            return scanContext.fileSystem.readdir(dirPath);
+        });
+        if (dirPath === scanContext.rootPath) {
+            fluid.glob.checkForCycle(dirPath, scanContext.fileSystem.stat(dirPath), scanContext);
+        }
+        if (scanContext.options.ignoreFiles.length) {
+            fluid.glob.loadIgnoreRules(dirPath, fileNames, scanContext);
+        }
+    }
+    catch (error) {
+        fluid.glob.handleScanError(error, dirPath, scanContext);
+        return [];
+    }
+
+    var dirPaths = fileNames.map(function (subPath) { return path.posix.resolve(dirPath, subPath); }).sort().filter(function (singlePath) {
+        return fluid.glob.isAllowedByGit(singlePath, undefined, scanContext);
+    });
+
+    var allowedEntries = [];
+    var statsByPath = {};
+    for (var a = 0; a < dirPaths.length && fluid.glob.visitEntry(scanContext); a++) {
+        var singlePath = dirPaths[a];
+        var stats;
+        try {
+            stats = cachedDir ? cachedDir.stats[singlePath] : fluid.glob.readFromListingCache("stat:" + singlePath, scanContext, fluid.glob.statEntry, [singlePath, scanContext]);
+        }
+        catch (error) {
+            // `stats` is shared by every iteration, so it must not keep the stats of the previous entry.
+            stats = undefined;
+            fluid.glob.handleScanError(error, singlePath, scanContext);
+        }
+        statsByPath[singlePath] = stats;
+        var entry = stats && fluid.glob.makeAllowedEntry(singlePath, stats, scanContext);
+        if (entry && entry.isMatch && stats.isCached && (scanContext.options.resultMode === "details" || scanContext.contentFilters)) {
+            // Cached stats do not reflect changes to the content of files, so the stats for each match are read again.
+            entry.stats = fluid.glob.statEntry(singlePath, scanContext) || entry.stats;
+        }
+        if (entry && entry.isMatch) {
+            entry.isMatch = fluid.glob.checkContentFilters(entry, scanContext);
+        }
+        if (entry && (entry.isMatch || entry.shouldEnter)) {
+            allowedEntries.push(entry);
+        }
+    }
+
+    if (scanContext.scanCache && !cachedDir) {
+        fluid.glob.recordCachedDir(dirPath, fileNames, statsByPath, scanContext);
+    }
+    return allowedEntries;
+};
+
+/**
+ *
+ * Perform a single filesystem read, or reuse the outcome of an earlier identical read.  Reads are only reused if the
+ * scan context has a `listingCache`, which is shared between the scan contexts of a multi-root scan (see
+ * `fluid.glob.findFilesInRoots`) so that directories common to more than one root are only read once.  Errors are
+ * cached along with successful reads, and are thrown each time the read is repeated.
+ *
+ * @param {String} cacheKey - A key that uniquely identifies the read, such as "readdir:/path/to/dir".
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @param {Function} readFunction - The function that performs the read.
+ * @param {Array} [readArgs] - (Optional) the arguments to pass to `readFunction`.
+ * @return {Any} The result of the read.
+ *
+ */
+fluid.glob.readFromListingCache = function (cacheKey, scanContext, readFunction, readArgs) {
+    var listingCache = scanContext.listingCache;
+    if (!listingCache) {
+        return readFunction.apply(null, readArgs);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(listingCache, cacheKey)) {
+        try {
+            listingCache[cacheKey] = { value: readFunction.apply(null, readArgs) };
+        }
+        catch (error) {
+            listingCache[cacheKey] = { error: error };
+        }
+    }
+
+    if (listingCache[cacheKey].error) {
+        throw listingCache[cacheKey].error;
+    }
+    return listingCache[cacheKey].value;
+};
+
+/**
+ *
+ * Check a single file, directory, or symbolic link against the patterns in the scan context, and return an "entry"
+ * describing it if it is allowed.  An entry may be a match in its own right, and (for directories) may be entered:
+ *
+ * 1. Files are matches if they are allowed, and the `entryTypes` scan option includes "files".
+ * 2. Directories are entered if they might contain matches (see `fluid.glob.dirMightMatch`).  They are also matches if
+ *    they match an include themselves, and `entryTypes` includes "directories".
+ * 3. Symbolic links that are not followed (see `fluid.glob.statEntry`) are matched in the same way as files, but only
+ *    if `entryTypes` includes "symlinks".
+ *
+ * The contents of the root are at a depth of 1, their contents are at a depth of 2, and so on.  Entries deeper than the
+ * `maxDepth` scan option are never allowed, and directories at `maxDepth` are never entered.  Entries shallower than
+ * the `minDepth` scan option are never matches, although directories may still be entered.
+ *
+ * Any ignore rules that apply to the path (see `fluid.glob.loadIgnoreRules`) are treated as excludes, i.e. they remove
+ * material unless it is brought back by a negated exclude.  Directories that would create a cycle (see
+ * `fluid.glob.checkForCycle`) are never allowed.  If the `gitFiles` scan option is set, only the files listed by git,
+ * and the directories that contain them, are allowed (see `fluid.glob.isAllowedByGit`).
+ *
+ * @param {String} singlePath - A full path to the file, directory, or symbolic link.
+ * @param {fs.Stats} stats - The stats for the file, directory, or symbolic link.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Object|undefined} An object with `path`, `stats`, `isDir`, `isMatch`, `shouldEnter`, and `match` (see `fluid.glob.matchPath`) elements, or `undefined` if the path is not allowed.
+ *
+ */
+fluid.glob.makeAllowedEntry = function (singlePath, stats, scanContext) {
+    var options = scanContext.options;
+    var entryTypes = fluid.makeArray(options.entryTypes);
+    var isDir = stats.isDirectory();
+    var entryType = isDir ? "directories" : (stats.isSymbolicLink() ? "symlinks" : (stats.isFile() ? "files" : false));
+    var depth = path.posix.relative(scanContext.rootPath, singlePath).split("/").length;
+    if (!entryType || (!isDir && entryTypes.indexOf(entryType) === -1) || depth > options.maxDepth || !fluid.glob.isAllowedByGit(singlePath, isDir, scanContext)) {
+        return undefined;
+    }
+
+    var ignoreRules = scanContext.ignoreRules[path.posix.dirname(singlePath)];
+    var isAllowed = function (match) {
+        return match.allowed && (match.rescuedBy || !fluid.glob.findIgnoreRule(singlePath, isDir, ignoreRules));
+    };
+
+    var traversalMatch = isDir && fluid.glob.matchPath(singlePath, true, scanContext.categorisedPatterns, scanContext.minimatchOptions);
+    var shouldEnter = !!traversalMatch && depth < options.maxDepth && isAllowed(traversalMatch);
+
+    var ownMatch = entryTypes.indexOf(entryType) !== -1 && depth >= options.minDepth && fluid.glob.matchPath(singlePath, isDir, scanContext.categorisedPatterns, scanContext.minimatchOptions, true);
+    var isMatch = !!ownMatch && isAllowed(ownMatch);
+
+    if ((!shouldEnter && !isMatch) || (isDir && fluid.glob.checkForCycle(singlePath, stats, scanContext))) {
+        return undefined;
+    }
+
+    return {
+        path: singlePath,
+        stats: stats,
+        isDir: isDir,
+        isMatch: isMatch,
+        shouldEnter: shouldEnter,
+        match: isMatch ? ownMatch : traversalMatch
+    };
+};
+
+/**
+ *
+ * Convert an allowed entry (see `fluid.glob.makeAllowedEntry`) into the format requested in the scan options.  By
+ * default, this is the full path to the entry.  If `resultMode` is set to "details", an object is returned with:
+ *
+ * 1. `path`: The path to the entry, as requested in the scan options (see `fluid.glob.formatResultPath`).
+ * 2. `relativePath`: The (POSIX-style) path to the entry relative to the root of the scan.
+ * 3. `type`: The type of entry, i.e. "file", "directory", or "symlink".
+ * 4. `stats`: The stats for the entry, including its `size`, `mtime`, and `mode`.
+ * 5. `include`: The include pattern that matched the entry, as originally supplied.
+ * 6. `rescuedBy`: The negated exclude that brought the entry back into the results, if there is one.
+ *
+ * @param {Object} entry - An allowed entry.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {String|Object} The full path to the entry, or an object describing the match.
+ *
+ */
+fluid.glob.formatMatch = function (entry, scanContext) {
+    if (scanContext.options.resultMode === "details") {
+        var sources = scanContext.sources;
+        var rescuedBy = entry.match.rescuedBy;
+        return {
+            path: fluid.glob.formatResultPath(entry.path, scanContext.pathRoot, scanContext.resultFormat),
+            relativePath: path.posix.relative(scanContext.rootPath, entry.path),
+            type: entry.isDir ? "directory" : (entry.stats.isSymbolicLink() ? "symlink" : "file"),
+            stats: entry.stats,
+            include: fluid.glob.findPatternSource(sources, entry.match.include),
+            rescuedBy: rescuedBy && fluid.glob.findPatternSource(sources, "!" + rescuedBy)
+        };
+    }
+    else {
+        return fluid.glob.formatResultPath(entry.path, scanContext.pathRoot, scanContext.resultFormat);
+    }
+};
+
+/**
+ *
+ * Look up the original form of a "pathed" pattern, falling back to the pathed pattern if there is no record of it.
+ *
+ * @param {Object} sources - A map of pathed patterns to original patterns, see `fluid.glob.mapPatternSources`.
+ * @param {String} pathedPattern - The pathed pattern.
+ * @return {String} The original pattern.
+ *
+ */
+fluid.glob.findPatternSource = function (sources, pathedPattern) {
+    return fluid.isValue(sources[pathedPattern]) ? sources[pathedPattern] : pathedPattern;
+};
+
 /**
  *
  * Filter a list of paths using "includes" and "excludes" and return paths that:
@@ -99,128 +629,361 @@ fluid.glob.scanSingleDir = function (dirPath, includes, excludes, minimatchOptio
  * @param {Array<String>} includes - An array of full or package-relative paths to include in the search results.
  * @param {Array<String>} excludes - An array of full or package-relative paths to exclude from the search results.
  * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Object} [fileSystem] - (Optional) the filesystem adapter used to stat each path, see `fluid.glob.nodeFileSystem`.
  * @return {Array<String>} An array of paths allowed by the include and exclude filters.
  *
  */
-fluid.glob.filterPaths = function (dirPaths, includes, excludes, minimatchOptions) {
-    var matchingPaths = [];
-    var positiveIncludes = fluid.glob.positivePatterns(includes);
-    var negativeIncludes = fluid.glob.negativePatterns(includes);
-    var positiveExcludes = fluid.glob.positivePatterns(excludes);
-    var negativeExcludes = fluid.glob.negativePatterns(excludes);
+fluid.glob.filterPaths = function (dirPaths, includes, excludes, minimatchOptions, fileSystem) {
+    fileSystem = fileSystem || fluid.glob.nodeFileSystem;
+    var categorisedPatterns = fluid.glob.categorisePatterns(includes, excludes);
+    return dirPaths.filter(function (singlePath) {
+        var stats = fileSystem.stat(singlePath);
+        return fluid.glob.isPathAllowed(singlePath, stats.isDirectory(), categorisedPatterns, minimatchOptions);
+    });
+};
 
-    fluid.each(dirPaths, function (singlePath) {
-        var stats = fs.statSync(singlePath);
-        var isDir = stats.isDirectory();
+/**
+ *
+ * Create a function that decides whether a single path would be selected by a scan, without reading anything from the
+ * filesystem.  This allows the same rules to be applied to lists of paths from other sources, such as the output of
+ * `git diff`, the content of an archive, or a virtual file list.  The patterns are validated and compiled once, when
+ * the matcher is created.
+ *
+ * The returned function accepts a full path (or a path relative to `rootPath`), and an optional flag indicating that
+ * the path refers to a directory.  It returns `true` if the path would be selected by `fluid.glob.findFiles`, using
+ * the same precedence rules (see `fluid.glob.filterPaths`).  As during a scan, a path is only selected if each of the
+ * directories between the root and the path would be entered.  A directory is selected if it matches a pattern itself,
+ * as when `entryTypes` includes "directories".  Paths outside the root (including those on another drive, see
+ * `fluid.glob.resolveCandidatePath`) are never selected.
+ *
+ * @param {String} rootPath - A full or package-relative path that patterns are relative to.
+ * @param {Array<String>} includes - An array of full or package-relative paths to include.
+ * @param {Array<String>} [excludes] - An optional array of full or package-relative paths to exclude.
+ * @param {Object} [options] - (Optional) an object with `minimatchOptions` (options to pass to minimatch) and `rules` (a custom set of rules defining invalid patterns) elements.
+ * @return {Function} - A function that accepts a path and an optional `isDir` flag, and returns `true` if the path is selected.
+ *
+ */
+fluid.glob.createMatcher = function (rootPath, includes, excludes, options) {
+    options = options || {};
+    if (!fluid.glob.patternsAreValid(includes, excludes, options.rules)) {
+        fluid.fail(fluid.glob.invalidPatternsMessage);
+    }
 
-        var matchesPositiveInclude = fluid.find(positiveIncludes, function (positivePattern) {
-            return fluid.glob.matchesSinglePattern(singlePath, positivePattern, minimatchOptions, isDir) || undefined;
+    var scanPatterns = fluid.glob.resolveScanPatterns(rootPath, includes, fluid.makeArray(excludes));
+    var compiledPatterns = fluid.transform(fluid.glob.categorisePatterns(scanPatterns.includes, scanPatterns.excludes), function (patterns) {
+        return patterns.map(function (pattern) {
+            return fluid.glob.compilePattern(pattern, options.minimatchOptions);
         });
+    });
 
-        if (matchesPositiveInclude) {
-            // Check negated excludes for a match.
-            var matchesNegatedExclude = fluid.find(negativeExcludes, function (negatedExcludePattern) {
-                return fluid.glob.matchesSinglePattern(singlePath, negatedExcludePattern, minimatchOptions, isDir) || undefined;
-            });
+    var isAllowed = function (singlePath, isDir, exact) {
+        return fluid.glob.applyPrecedence(compiledPatterns, function (compiledPattern, isExclude) {
+            return fluid.glob.matchesCompiledPattern(singlePath, compiledPattern, isDir, exact || isExclude);
+        }).allowed;
+    };
 
-            // Negated excludes trump excludes and negated includes.
-            if (matchesNegatedExclude) {
-                matchingPaths.push(singlePath);
-            }
-            // Check negated includes and regular excludes together.
-            else {
-                var combinedExcludes = negativeIncludes.concat(positiveExcludes);
-                var matchesExclude = fluid.find(combinedExcludes, function (excludePattern) {
-                    // Excludes should not use the special handling for directories.
-                    return fluid.glob.matchesSinglePattern(singlePath, excludePattern, minimatchOptions) || undefined;
-                });
-
-                if (!matchesExclude) {
-                    matchingPaths.push(singlePath);
-                }
-            }
+    // The outcome for each directory, which is shared by everything beneath it.
+    var enteredDirs = {};
+    var isEntered = function (dirPath) {
+        if (dirPath === scanPatterns.rootPath) {
+            return true;
+        }
+        if (enteredDirs[dirPath] === undefined) {
+            enteredDirs[dirPath] = isEntered(path.posix.dirname(dirPath)) && isAllowed(dirPath, true, false);
+        }
+        return enteredDirs[dirPath];
+    };
+
+    return function (candidatePath, isDir) {
+        var fullPath = fluid.glob.resolveCandidatePath(candidatePath, scanPatterns);
+        var relativePath = fullPath && path.posix.relative(scanPatterns.rootPath, fullPath);
+        if (!fullPath || relativePath === "" || relativePath.indexOf("../") === 0 || relativePath === ".." || path.posix.isAbsolute(relativePath)) {
+            return false;
         }
+        return isEntered(path.posix.dirname(fullPath)) && isAllowed(fullPath, !!isDir, true);
+    };
+};
+
+/**
+ *
+ * Resolve a candidate path, i.e. a full path or a path relative to the root of a scan, to a full POSIX-style path that
+ * can be matched against the patterns for the scan.  Candidates with a different drive letter or UNC root to that of the
+ * scan (see `fluid.glob.parsePath`) cannot be within the root, and are not resolved.
+ *
+ * @param {String} candidatePath - A full path, or a path relative to the root of the scan.
+ * @param {Object} scanPatterns - The output of `fluid.glob.resolveScanPatterns`.
+ * @return {String|Boolean} - The full POSIX-style path, or `false` if the candidate has a different root.
+ *
+ */
+fluid.glob.resolveCandidatePath = function (candidatePath, scanPatterns) {
+    var parsedPath = fluid.glob.parsePath(candidatePath);
+    if (parsedPath.root && parsedPath.root.toLowerCase() !== (scanPatterns.pathRoot || "").toLowerCase()) {
+        return false;
+    }
+    return path.posix.resolve(scanPatterns.rootPath, parsedPath.path);
+};
+
+/**
+ *
+ * Split includes and excludes into their "positive" and "negative" variants, for use with `fluid.glob.isPathAllowed`.
+ *
+ * @param {Array<String>} includes - An array of full or package-relative paths to include in the search results.
+ * @param {Array<String>} excludes - An array of full or package-relative paths to exclude from the search results.
+ * @return {Object} An object with `positiveIncludes`, `negativeIncludes`, `positiveExcludes`, and `negativeExcludes`.
+ *
+ */
+fluid.glob.categorisePatterns = function (includes, excludes) {
+    return {
+        positiveIncludes: fluid.glob.positivePatterns(includes),
+        negativeIncludes: fluid.glob.negativePatterns(includes),
+        positiveExcludes: fluid.glob.positivePatterns(excludes),
+        negativeExcludes: fluid.glob.negativePatterns(excludes)
+    };
+};
+
+/**
+ *
+ * Check a single path against a set of categorised patterns (see `fluid.glob.categorisePatterns`), using the rules
+ * outlined in `fluid.glob.filterPaths`.
+ *
+ * @param {String} singlePath - A full path to check.
+ * @param {Boolean} isDir - Whether or not the path refers to a directory.
+ * @param {Object} categorisedPatterns - The output of `fluid.glob.categorisePatterns`.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @return {Boolean} `true` if the path is allowed, `false` otherwise.
+ *
+ */
+fluid.glob.isPathAllowed = function (singlePath, isDir, categorisedPatterns, minimatchOptions) {
+    return fluid.glob.matchPath(singlePath, isDir, categorisedPatterns, minimatchOptions).allowed;
+};
+
+/**
+ *
+ * Check a single path against a set of categorised patterns (see `fluid.glob.categorisePatterns`), and return details
+ * about which patterns decided the outcome.  By default, directories are checked to see whether they MIGHT contain
+ * matches (see `fluid.glob.dirMightMatch`).  If `exact` is `true`, directories are instead checked to see whether they
+ * match a pattern themselves, as when returning directories as matches.  The returned object contains:
+ *
+ * 1. `allowed`: `true` if the path is allowed, `false` otherwise.
+ * 2. `include`: The first (positive) include that matched the path, if any.
+ * 3. `rescuedBy`: The first negated exclude (without its leading exclamation point) that matched the path, if any.
+ * 4. `excludedBy`: The first negated include or exclude (without any leading exclamation point) that matched the path, if any.
+ *
+ * @param {String} singlePath - A full path to check.
+ * @param {Boolean} isDir - Whether or not the path refers to a directory.
+ * @param {Object} categorisedPatterns - The output of `fluid.glob.categorisePatterns`.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Boolean} [exact] - (Optional) set to `true` to check whether a directory matches a pattern itself.
+ * @return {Object} An object describing the match, as outlined above.
+ *
+ */
+fluid.glob.matchPath = function (singlePath, isDir, categorisedPatterns, minimatchOptions, exact) {
+    return fluid.glob.applyPrecedence(categorisedPatterns, function (pattern, isExclude) {
+        // Excludes should not use the special handling for directories.
+        return fluid.glob.matchesSinglePattern(singlePath, pattern, minimatchOptions, isDir, exact || isExclude);
     });
+};
 
-    return matchingPaths;
+/**
+ *
+ * Decide whether a path is allowed by a set of categorised patterns, using the precedence rules outlined in
+ * `fluid.glob.filterPaths`.  The patterns themselves are only ever checked using `matchesPattern`, so that the same
+ * rules can be applied to raw patterns (see `fluid.glob.matchPath`) and to compiled patterns (see
+ * `fluid.glob.createMatcher`).
+ *
+ * @param {Object} categorisedPatterns - The output of `fluid.glob.categorisePatterns`, or an equivalent object whose arrays contain compiled patterns.
+ * @param {Function} matchesPattern - A function that is called with a single (positive) pattern, and `true` if the pattern is a negated include or an exclude, and which returns `true` if the path matches the pattern.
+ * @return {Object} An object describing the match, see `fluid.glob.matchPath`.
+ *
+ */
+fluid.glob.applyPrecedence = function (categorisedPatterns, matchesPattern) {
+    var matchDetails = { allowed: false };
+    var findMatch = function (patterns, isExclude) {
+        return fluid.find(patterns, function (pattern) {
+            return matchesPattern(pattern, isExclude) ? pattern : undefined;
+        });
+    };
+
+    matchDetails.include = findMatch(categorisedPatterns.positiveIncludes, false);
+    if (!matchDetails.include) {
+        return matchDetails;
+    }
+
+    // Check negated excludes for a match.
+    matchDetails.rescuedBy = findMatch(categorisedPatterns.negativeExcludes, false);
+
+    // Negated excludes trump excludes and negated includes.
+    if (matchDetails.rescuedBy) {
+        matchDetails.allowed = true;
+        return matchDetails;
+    }
+
+    // Check negated includes and regular excludes together.
+    matchDetails.excludedBy = findMatch(categorisedPatterns.negativeIncludes.concat(categorisedPatterns.positiveExcludes), true);
+
+    matchDetails.allowed = !matchDetails.excludedBy;
+    return matchDetails;
 };
 
 /**
  *
- * Check a single path against a single "glob" pattern.
+ * Check a single path against a single "glob" pattern.  Patterns that end with a slash (such as `./src/`) only
+ * match directories.
  *
  * @param {String} pathToMatch - A full path to evaluate.
  * @param {String} pattern - A single "glob" pattern.
  * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
  * @param {Boolean} [isDir] - (Optional) Whether or not the path refers to a directory.
+ * @param {Boolean} [exact] - (Optional) set to `true` to check whether a directory matches the pattern itself, rather than whether it might contain matches.
  * @return {Boolean} `true` if the pattern matches, `false` if not.
  *
  */
-fluid.glob.matchesSinglePattern = function (pathToMatch, pattern, minimatchOptions, isDir) {
+fluid.glob.matchesSinglePattern = function (pathToMatch, pattern, minimatchOptions, isDir, exact) {
+    return fluid.glob.matchesCompiledPattern(pathToMatch, fluid.glob.compilePattern(pattern, minimatchOptions), isDir, exact);
+};
+
+/**
+ *
+ * Compile a single "glob" pattern so that it can be checked repeatedly without any further parsing, see
+ * `fluid.glob.matchesCompiledPattern`.
+ *
+ * @param {String} pattern - A single "glob" pattern.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @return {Object} An object with the original `pattern`, a `dirOnly` flag (see `fluid.glob.isDirOnlyPattern`), a `hasSlash` flag, the `minimatchOptions`, and the compiled `minimatch` object.
+ *
+ */
+fluid.glob.compilePattern = function (pattern, minimatchOptions) {
     minimatchOptions = minimatchOptions || {};
+    var dirOnly = fluid.glob.isDirOnlyPattern(pattern);
+    var globPattern = dirOnly ? pattern.substring(0, pattern.length - 1) : pattern;
+    return {
+        pattern: pattern,
+        dirOnly: dirOnly,
+        hasSlash: globPattern.indexOf("/") !== -1,
+        minimatchOptions: minimatchOptions,
+        minimatch: fluid.glob.getMinimatch(globPattern, minimatchOptions)
+    };
+};
 
-    if (isDir) {
-        return fluid.glob.dirMightMatch(pathToMatch, pattern);
+/**
+ *
+ * Check a single path against a compiled pattern (see `fluid.glob.compilePattern`), using the same rules as
+ * `fluid.glob.matchesSinglePattern`.  Directories are checked to see whether they might contain matches (see
+ * `fluid.glob.dirMightMatch`) unless `exact` is `true`.
+ *
+ * @param {String} pathToMatch - A full path to evaluate.
+ * @param {Object} compiledPattern - The output of `fluid.glob.compilePattern`.
+ * @param {Boolean} [isDir] - (Optional) Whether or not the path refers to a directory.
+ * @param {Boolean} [exact] - (Optional) set to `true` to check whether a directory matches the pattern itself, rather than whether it might contain matches.
+ * @return {Boolean} `true` if the pattern matches, `false` if not.
+ *
+ */
+fluid.glob.matchesCompiledPattern = function (pathToMatch, compiledPattern, isDir, exact) {
+    if (compiledPattern.dirOnly && !isDir) {
+        return false;
+    }
+
+    if (isDir && !exact) {
+        // minimatch's "partial" mode checks whether the path could be the start of a match.
+        return compiledPattern.hasSlash ? compiledPattern.minimatch.match(pathToMatch, true) : !!compiledPattern.minimatchOptions.matchBase;
     }
     else {
-        return minimatch(pathToMatch, pattern, minimatchOptions);
+        return compiledPattern.minimatch.match(pathToMatch);
     }
 };
 
 /**
  *
- * Match a directory against a pattern and return true if it might contain material that matches the pattern.
+ * Check whether a pattern only matches directories, i.e. whether it ends with a slash.
+ *
+ * @param {String} pattern - A single "glob" pattern.
+ * @return {Boolean} `true` if the pattern only matches directories, `false` otherwise.
+ *
+ */
+fluid.glob.isDirOnlyPattern = function (pattern) {
+    return pattern.length > 1 && pattern.lastIndexOf("/") === pattern.length - 1;
+};
+
+/**
+ *
+ * Match a directory against a pattern and return true if it might contain material that matches the pattern.  The
+ * directory is compared with the pattern one segment at a time, using the same rules (and the same minimatch options)
+ * as for files.  So, for example, `*` and `?` only match a single directory name, and `**` only matches directories
+ * whose names start with a dot if the `dot` option is set.  This ensures that a directory is only pruned if nothing
+ * within it could match the pattern.
+ *
+ * Patterns with no slashes can only match if the `matchBase` option is set, in which case any directory might contain
+ * matches.
  *
  * @param {String} pathToDir - The full path to the directory.
  * @param {String} pattern - The (positive) pattern to test the path against.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
  * @return {Boolean} `true` if the directory might contain matches, `false` otherwise.
  *
  */
-fluid.glob.dirMightMatch = function (pathToDir, pattern) {
-    // We use the equivalent of the basePath option in minimatch, i.e. any directory might contain a pattern with no slashes.
-    if (pattern.indexOf("/") !== -1) {
-        var patternSegments = pattern.split("/");
-        var pathSegments    = pathToDir.split(path.posix.sep);
+fluid.glob.dirMightMatch = function (pathToDir, pattern, minimatchOptions) {
+    return fluid.glob.matchesCompiledPattern(pathToDir, fluid.glob.compilePattern(pattern, minimatchOptions), true);
+};
 
-        for (var a = 0; a < pathSegments.length; a++) {
-            var patternSegment = patternSegments[a];
+// Compiled minimatch objects, keyed by their options and pattern, see `fluid.glob.getMinimatch`.
+fluid.glob.minimatchCache = {};
+fluid.glob.minimatchCacheSize = 0;
+// The number of compiled patterns that may be held in `fluid.glob.minimatchCache` before it is emptied.
+fluid.glob.minimatchCacheLimit = 1000;
 
-            // If we make it to a directory wildcard, there may be matches in the dir or one of its children.
-            if (patternSegment === "**") {
-                return true;
-            }
-
-            var pathSegment = pathSegments[a];
-            if (pathSegment !== patternSegment) {
-                return false;
-            }
+/**
+ *
+ * Compile a pattern into a `minimatch.Minimatch` object, or reuse one that has already been compiled with the same
+ * options.  As the cache is shared by every scan in the process, it is emptied once it holds
+ * `fluid.glob.minimatchCacheLimit` patterns, so that long-running processes that use many different patterns do not
+ * hold on to all of them.
+ *
+ * @param {String} pattern - A single "glob" pattern.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @return {minimatch.Minimatch} The compiled pattern.
+ *
+ */
+fluid.glob.getMinimatch = function (pattern, minimatchOptions) {
+    var cacheKey = JSON.stringify(minimatchOptions || {}) + ":" + pattern;
+    if (!fluid.glob.minimatchCache[cacheKey]) {
+        if (fluid.glob.minimatchCacheSize >= fluid.glob.minimatchCacheLimit) {
+            fluid.glob.minimatchCache = {};
+            fluid.glob.minimatchCacheSize = 0;
         }
+        fluid.glob.minimatchCache[cacheKey] = new minimatch.Minimatch(pattern, minimatchOptions || {});
+        fluid.glob.minimatchCacheSize++;
     }
-
-    return true;
+    return fluid.glob.minimatchCache[cacheKey];
 };
 
-// The default list of regular expressions that describe "invalid globs".
+// The default list of regular expressions that describe "invalid globs".  Each rule may also include a `suggestion`
+// that describes how to fix a pattern that violates the rule.
 fluid.glob.invalidGlobRules = {
     noLeadingWildcard: {
         message: "contains a leading wildcard",
-        pattern: /^(\.\/)?\*\*/
+        pattern: /^(\.\/)?\*\*/,
+        suggestion: "Start the pattern with one or more directory names, as in './src/**/*.js', or use a filename pattern such as '*.js'"
     },
     noWindowsSeparator: {
         message: "contains a windows separator",
-        pattern: /\\/
+        pattern: /\\/,
+        suggestion: "Replace each backslash with a forward slash"
     },
     noParentDir: {
         message: "contains a reference to a parent directory",
-        pattern: /^\.\./
+        pattern: /^\.\./,
+        suggestion: "Use a root path that contains all the material you wish to match"
     },
+    // Brace sets, character classes and extglobs such as `@(lib|src)` are allowed, but bare groups and alternations are not.
     noRegexp: {
         message: "contains a character used to define a regular expression",
-        pattern: /[\[\](){}|]/
+        pattern: /(^|[^@!?+*])\(|^[^(]*\|/,
+        suggestion: "Use a brace set such as '{lib,src}', or an extglob such as '@(lib|src)'"
     },
     noWholeRoot: {
         message: "contains a reference to the whole of the root directory",
-        pattern: /^\.\/$/
+        pattern: /^\.\/$/,
+        suggestion: "Use one or more specific patterns, such as './*.js' or './src/**/*.js'"
     }
 };
 
@@ -232,21 +995,38 @@ fluid.glob.invalidGlobRules = {
  * 2. It must not contain windows-style separators, i.e. backslashes.
  * 3. It must not begin with a "parent" operator, i.e. "../"
  *
+ * If the pattern contains brace sets, each of the patterns it expands to is checked (see `fluid.glob.expandBraces`),
+ * and each rule is reported at most once.  If the `role` of the pattern is supplied, rules that do not apply to that
+ * role (or to includes that are paired with excludes) are skipped, see `fluid.glob.ruleApplies`.
+ *
  * @param {String} pattern - A pattern to evaluate.
- * @param {Object|Array<String>} [rules] - An optional set of custom rules defining invalid patterns as regular expressions.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @param {String} [role] - (Optional) the role of the pattern, i.e. "include" or "exclude".
+ * @param {Boolean} [hasExcludes] - (Optional) `true` if the pattern is paired with at least one exclude or negated include.
  * @return {Array<Object>} An array of invalid patterns and details about why they are invalid..
  *
  */
-fluid.glob.validatePattern = function (pattern, rules) {
+fluid.glob.validatePattern = function (pattern, rules, role, hasExcludes) {
     var positivePattern = fluid.glob.positivePattern(pattern);
-    rules = rules || fluid.glob.invalidGlobRules;
+    var resolvedRules = fluid.glob.resolveRules(rules);
+
+    var expandedPatterns = [positivePattern].concat(minimatch.braceExpand(positivePattern));
 
     var failures = [];
-    fluid.each(rules, function (invalidGlobRule) {
-        if (positivePattern.match(invalidGlobRule.pattern)) {
+    fluid.each(resolvedRules, function (invalidGlobRule, ruleKey) {
+        if (!fluid.glob.ruleApplies(invalidGlobRule, role, hasExcludes)) {
+            return;
+        }
+        var isViolated = fluid.find(expandedPatterns, function (expandedPattern) {
+            return expandedPattern.match(invalidGlobRule.pattern) ? true : undefined;
+        });
+        if (isViolated) {
             failures.push({
-                glob:  positivePattern,
-                error: invalidGlobRule.message
+                glob:       positivePattern,
+                error:      invalidGlobRule.message,
+                rule:       ruleKey,
+                suggestion: invalidGlobRule.suggestion,
+                severity:   invalidGlobRule.severity || "error"
             });
         }
     });
@@ -259,18 +1039,87 @@ fluid.glob.validatePattern = function (pattern, rules) {
  * Scan an entire array of patterns using fluid.glob.validatePattern (see above) and combine the results.
  *
  * @param {Array<String>} patternArray - An array of patterns to evaluate.
- * @param {Object|Array<String>} [rules] - An optional set of custom rules defining invalid patterns as regular expressions.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @param {String} [role] - (Optional) the role of the patterns, i.e. "include" or "exclude".
+ * @param {Boolean} [hasExcludes] - (Optional) `true` if the patterns are paired with at least one exclude or negated include.
  * @return {Array<Object>} An array of invalid patterns and details about why they are invalid..
  *
  */
-fluid.glob.validatePatternArray = function (patternArray, rules) {
+fluid.glob.validatePatternArray = function (patternArray, rules, role, hasExcludes) {
     var failures = [];
     fluid.each(patternArray, function (pattern) {
-        failures = failures.concat(fluid.glob.validatePattern(pattern, rules));
+        failures = failures.concat(fluid.glob.validatePattern(pattern, rules, role, hasExcludes));
     });
     return failures;
 };
 
+/**
+ *
+ * Check both includes and excludes, and return a structured report of every violation.  Unlike `fluid.glob.findFiles`,
+ * this does not log or fail, so that the results can be displayed elsewhere, for example as inline feedback in an
+ * editor.  Each violation contains:
+ *
+ * 1. `pattern`: The original pattern, including any leading negation operator.
+ * 2. `glob`: The positive version of the pattern.
+ * 3. `index`: The position of the pattern in the original array.
+ * 4. `role`: Either "include" or "exclude".
+ * 5. `negated`: `true` if the pattern is negated, `false` otherwise.
+ * 6. `rule`: The key of the rule that the pattern violates.
+ * 7. `error`: The message associated with the rule.
+ * 8. `suggestion`: A suggested fix, if the rule provides one.
+ * 9. `severity`: Either "error" or "warning", see `fluid.glob.ruleProfiles`.
+ *
+ * @param {Array<String>} includes - An array of include patterns.
+ * @param {Array<String>} excludes - An array of exclude patterns.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @return {Array<Object>} An array of violations, as described above.
+ *
+ */
+fluid.glob.validatePatterns = function (includes, excludes, rules) {
+    var violations = [];
+    var patternsByRole = { include: includes, exclude: excludes };
+    var hasExcludes = fluid.glob.positivePatterns(fluid.makeArray(excludes)).length + fluid.glob.negativePatterns(fluid.makeArray(includes)).length > 0;
+    fluid.each(patternsByRole, function (patterns, role) {
+        fluid.each(patterns, function (pattern, index) {
+            fluid.each(fluid.glob.validatePattern(pattern, rules, role, hasExcludes), function (failure) {
+                violations.push(fluid.extend({
+                    pattern: pattern,
+                    index:   index,
+                    role:    role,
+                    negated: fluid.glob.positivePattern(pattern) !== pattern
+                }, failure));
+            });
+        });
+    });
+    return violations;
+};
+
+/**
+ *
+ * Check whether a single pattern is valid, i.e. whether it violates none of the supplied (or default) rules, other than
+ * those whose `severity` is "warning".
+ *
+ * @param {String} pattern - A pattern to evaluate.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @return {Boolean} `true` if the pattern is valid, `false` otherwise.
+ *
+ */
+fluid.glob.isValidPattern = function (pattern, rules) {
+    return fluid.glob.filterViolations(fluid.glob.validatePattern(pattern, rules), "error").length === 0;
+};
+
+/**
+ *
+ * Describe a single invalid rule in a human-readable way.
+ *
+ * @param {Object} violation - A violation object, which contains a `glob` element (the failing pattern), an `error` element (detailing why the pattern is invalid), and an optional `severity`.
+ * @return {String} - A description of the violation.
+ *
+ */
+fluid.glob.describeViolation = function (violation) {
+    return (violation.severity === "warning" ? "WARNING" : "ERROR") + ": Pattern '" + violation.glob + "' " + violation.error + ".";
+};
+
 /**
  *
  * Log any invalid rules.
@@ -279,7 +1128,7 @@ fluid.glob.validatePatternArray = function (patternArray, rules) {
  */
 fluid.glob.logInvalidRuleFeedback = function (violations) {
     fluid.each(violations, function (violation) {
-        fluid.log("ERROR: Pattern '" + violation.glob + "' " + violation.error + ".");
+        fluid.log(fluid.glob.describeViolation(violation));
     });
 };
 
@@ -287,7 +1136,7 @@ fluid.glob.logInvalidRuleFeedback = function (violations) {
  *
  * Create a callback function to filter an array for valid/invalid patterns using `fluid.glob.isValidPattern`.
  *
- * @param {Object|Array<String>} [rules] - An optional set of custom rules defining invalid patterns as regular expressions.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
  * @param {Boolean} [showInvalid] - Set to true to include only invalid patterns.  By default, valid patterns are returned.
  * @return {Function} A callback function that can be used with `Array.filter()`.
  *
@@ -349,7 +1198,8 @@ fluid.glob.positivePattern = function (pattern) {
  * 2. Paths that represent more than one directory level, as "subdir/filename.js"
  *
  * Note that as with minimatch itself, single-level patterns such as "filename.js" are left alone, so that they
- * can be used to represent any file with a given name.
+ * can be used to represent any file with a given name.  Any trailing slash (which indicates that a pattern only
+ * matches directories) is preserved.
  *
  * @param {String} rootPath - The full path to the root.
  * @param {Array<String>} patterns - One or more patterns to prepend the path to.
@@ -370,7 +1220,8 @@ fluid.glob.addPathToPatterns = function (rootPath, patterns) {
             var remainingSegments = patternSegments.slice(isFullPath ? 2 : 1);
             // We explicitly resolve paths using the "posix" implementation on all platforms.
             var resolvedPath = path.posix.resolve(sanitisedPath, firstSegment, remainingSegments.join("/"));
-            return (isNegated ? "!" : "") + resolvedPath;
+            var trailingSlash = fluid.glob.isDirOnlyPattern(positivePattern) && resolvedPath !== "/" ? "/" : "";
+            return (isNegated ? "!" : "") + resolvedPath + trailingSlash;
         }
         // handle patterns like "file.js"
         else {
@@ -383,22 +1234,89 @@ fluid.glob.addPathToPatterns = function (rootPath, patterns) {
 /**
  *
  * Convert windows-style paths (e.g. `c:\\path\\to\\filename.js`) to glob-compatible patterns,
- * (e.g. `/path/to/filename.js`).
+ * (e.g. `/path/to/filename.js`).  Any drive letter or UNC root is removed, use `fluid.glob.parsePath` to preserve it.
  *
  * @param {String} rawPath - The original path.
  * @return {String} The sanitised path.
  *
  */
 fluid.glob.sanitisePath = function (rawPath) {
-    // Windows
-    if (rawPath.match(/[\:\\]/)) {
-        var pathSegments      = rawPath.split(/[\/\\]+/);
-        var firstSegment      = pathSegments[0].match(/^[a-zA-Z]:$/) ? "" : pathSegments[0];
-        var sanitisedSegments = [firstSegment].concat(pathSegments.slice(1));
-        return sanitisedSegments.join("/");
-    }
-    // Everything else.
-    else {
-        return rawPath;
+    return fluid.glob.parsePath(rawPath).path;
+};
+
+// The path modules used to format paths in each of the styles allowed by the `pathStyle` scan option.
+fluid.glob.pathStyles = {
+    native: path,
+    posix: path.posix,
+    win32: path.win32
+};
+
+/**
+ *
+ * Split a full or relative path into its "root" and a POSIX-style path that can be matched against patterns.  The root
+ * is a drive letter (e.g. `c:`), a UNC root (e.g. `//server/share`), or an empty string for POSIX paths.  For
+ * example, `c:\\path\\to\\filename.js` becomes `{ root: "c:", path: "/path/to/filename.js" }`, and
+ * `\\\\server\\share\\filename.js` becomes `{ root: "//server/share", path: "/filename.js" }`.  Any "long path"
+ * prefix (i.e. `\\\\?\\`) is removed.  Paths that contain neither a colon nor a backslash are only treated as windows
+ * paths (so that, for example, `//server/share` is a UNC root) if `pathModule` uses windows separators.  The original
+ * path can be recreated using `fluid.glob.formatPath`.
+ *
+ * @param {String} rawPath - The original path.
+ * @param {Object} [pathModule] - (Optional) the path module for the platform the path comes from, i.e. `path.win32` or `path.posix`.  Defaults to that of the current platform.
+ * @return {Object} An object with the `root` and the POSIX-style `path`.
+ *
+ */
+fluid.glob.parsePath = function (rawPath, pathModule) {
+    pathModule = pathModule || path;
+    if (pathModule.sep !== "\\" && !rawPath.match(/[\:\\]/)) {
+        return { root: "", path: rawPath };
+    }
+
+    var slashedPath = rawPath.replace(/\\/g, "/").replace(/^\/\/[?.]\/UNC\//i, "//").replace(/^\/\/[?.]\/(?=[a-zA-Z]:)/, "");
+    var root = "";
+    var uncMatch = slashedPath.match(/^\/\/+([^/]+)\/+([^/]+)/);
+    var driveMatch = slashedPath.match(/^[a-zA-Z]:(?=\/|$)/);
+    if (uncMatch) {
+        root = "//" + uncMatch[1] + "/" + uncMatch[2];
+        slashedPath = slashedPath.substring(uncMatch[0].length) || "/";
     }
+    else if (driveMatch) {
+        root = driveMatch[0];
+        slashedPath = slashedPath.substring(root.length) || "/";
+    }
+    return { root: root, path: slashedPath.replace(/\/+/g, "/") };
+};
+
+/**
+ *
+ * Recombine a POSIX-style path with its root (see `fluid.glob.parsePath`), and convert it to one of the styles allowed by
+ * the `pathStyle` scan option:
+ *
+ * 1. "native": The style of the current platform.
+ * 2. "posix": Forward slashes, as in `c:/path/to/filename.js` or `//server/share/filename.js`.
+ * 3. "win32": Backslashes, as in `c:\\path\\to\\filename.js` or `\\\\server\\share\\filename.js`.
+ *
+ * @param {String} posixPath - The POSIX-style path.
+ * @param {String} [pathRoot] - (Optional) the drive letter or UNC root, if any.
+ * @param {String} [pathStyle] - (Optional) the style of the returned path.  Defaults to "native".
+ * @return {String} The formatted path.
+ *
+ */
+fluid.glob.formatPath = function (posixPath, pathRoot, pathStyle) {
+    var fullPath = (pathRoot || "") + posixPath;
+    return fluid.glob.pathStyles[pathStyle || "native"].sep === "\\" ? fullPath.replace(/\//g, "\\") : fullPath;
+};
+
+/**
+ *
+ * Format a full path encountered during a scan using the `pathRoot` of the scan and its `pathStyle` option, see
+ * `fluid.glob.formatPath`.
+ *
+ * @param {String} posixPath - The full POSIX-style path.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {String} The formatted path.
+ *
+ */
+fluid.glob.formatScanPath = function (posixPath, scanContext) {
+    return fluid.glob.formatPath(posixPath, scanContext.pathRoot, scanContext.options.pathStyle);
 };
@@ -0,0 +1,149 @@
+"use strict";
+var fluid = require("infusion");
+
+var path      = require("path");
+var minimatch = require("minimatch");
+
+fluid.registerNamespace("fluid.glob");
+
+/**
+ *
+ * Parse the content of a single "ignore" file (such as `.gitignore`), and convert each rule into a full-path pattern.
+ * The rules follow the same syntax as `.gitignore` files, i.e.:
+ *
+ * 1. Blank lines and lines starting with `#` are ignored.
+ * 2. Rules that start with `!` re-include material excluded by an earlier rule.
+ * 3. Rules that end with `/` only match directories.
+ * 4. Rules that contain a `/` (other than a trailing slash) are anchored to the directory containing the ignore file,
+ *    all other rules match at any depth beneath that directory.
+ *
+ * @param {String} content - The content of the ignore file.
+ * @param {String} basePath - The full path to the directory that contains the ignore file.
+ * @param {String} [fileName] - (Optional) the name of the ignore file, used when reporting which rule matched.
+ * @return {Array<Object>} - An array of rules, each of which has a `pattern`, `matcher`, `negated`, `dirOnly`, and `source` element.
+ *
+ */
+fluid.glob.parseIgnoreFile = function (content, basePath, fileName) {
+    var rules = [];
+    fluid.each(content.split(/\r?\n/), function (rawLine, index) {
+        // Remove trailing whitespace, unless it is escaped.
+        var line = rawLine.replace(/([^\\\s])\s+$/, "$1").replace(/\\ $/, " ");
+        if (!line.trim().length || line.indexOf("#") === 0) {
+            return;
+        }
+
+        var negated = line.indexOf("!") === 0;
+        if (negated) {
+            line = line.substring(1);
+        }
+        else if (line.indexOf("\\!") === 0 || line.indexOf("\\#") === 0) {
+            line = line.substring(1);
+        }
+
+        var dirOnly = line.length > 1 && line.lastIndexOf("/") === line.length - 1;
+        if (dirOnly) {
+            line = line.substring(0, line.length - 1);
+        }
+
+        var isAnchored = line.indexOf("/") !== -1;
+        var pattern = isAnchored ? path.posix.join(basePath, line) : path.posix.join(basePath, "**", line);
+
+        rules.push({
+            pattern: pattern,
+            matcher: new minimatch.Minimatch(pattern, { dot: true }),
+            negated: negated,
+            dirOnly: dirOnly,
+            source: (fileName ? path.posix.join(basePath, fileName) + ":" + (index + 1) + ": " : "") + rawLine.trim()
+        });
+    });
+    return rules;
+};
+
+/**
+ *
+ * Find the rule that decides whether a path is ignored.  As with `.gitignore` files, the last matching rule wins, and
+ * a matching negated rule means that the path is not ignored.
+ *
+ * @param {String} singlePath - The full path to check.
+ * @param {Boolean} isDir - Whether or not the path refers to a directory.
+ * @param {Array<Object>} ignoreRules - An array of rules, as returned by `fluid.glob.parseIgnoreFile`.
+ * @return {Object|undefined} - The (non-negated) rule that causes the path to be ignored, or `undefined` if the path is not ignored.
+ *
+ */
+fluid.glob.findIgnoreRule = function (singlePath, isDir, ignoreRules) {
+    var decidingRule;
+    fluid.each(ignoreRules, function (rule) {
+        if ((isDir || !rule.dirOnly) && rule.matcher.match(singlePath)) {
+            decidingRule = rule;
+        }
+    });
+    return decidingRule && !decidingRule.negated ? decidingRule : undefined;
+};
+
+/**
+ *
+ * Work out which ignore rules apply to the contents of a directory, i.e. the rules that apply to its parent directory,
+ * plus those found in any ignore files within the directory itself.  The rules are stored in the scan context so that
+ * they can be used by `fluid.glob.makeAllowedEntry` and inherited by sub-directories.
+ *
+ * @param {String} dirPath - The full path to the directory.
+ * @param {Array<String>} fileNames - The names of the files and sub-directories found in the directory.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ *
+ */
+fluid.glob.loadIgnoreRules = function (dirPath, fileNames, scanContext) {
+    var ignoreRules = fluid.glob.inheritedIgnoreRules(dirPath, scanContext);
+    fluid.each(scanContext.options.ignoreFiles, function (ignoreFileName) {
+        if (fileNames.indexOf(ignoreFileName) !== -1) {
+            var content = scanContext.fileSystem.readFile(path.posix.resolve(dirPath, ignoreFileName));
+            ignoreRules = ignoreRules.concat(fluid.glob.parseIgnoreFile(content, dirPath, ignoreFileName));
+        }
+    });
+    scanContext.ignoreRules[dirPath] = ignoreRules;
+};
+
+/**
+ *
+ * The asynchronous equivalent of `fluid.glob.loadIgnoreRules`.
+ *
+ * @param {String} dirPath - The full path to the directory.
+ * @param {Array<String>} fileNames - The names of the files and sub-directories found in the directory.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeAsyncScanContext`.
+ * @return {fluid.promise} - A promise that will be resolved once the rules have been loaded.
+ *
+ */
+fluid.glob.loadIgnoreRulesAsync = function (dirPath, fileNames, scanContext) {
+    var togo = fluid.promise();
+    var ignoreFileNames = fluid.makeArray(scanContext.options.ignoreFiles).filter(function (ignoreFileName) {
+        return fileNames.indexOf(ignoreFileName) !== -1;
+    });
+    var readPromises = ignoreFileNames.map(function (ignoreFileName) {
+        return scanContext.throttle(function () {
+            return scanContext.asyncFileSystem.readFile(path.posix.resolve(dirPath, ignoreFileName));
+        });
+    });
+
+    fluid.glob.whenAll(readPromises).then(function (contents) {
+        var ignoreRules = fluid.glob.inheritedIgnoreRules(dirPath, scanContext);
+        fluid.each(contents, function (content, index) {
+            ignoreRules = ignoreRules.concat(fluid.glob.parseIgnoreFile(content, dirPath, ignoreFileNames[index]));
+        });
+        scanContext.ignoreRules[dirPath] = ignoreRules;
+        togo.resolve(ignoreRules);
+    }, togo.reject);
+
+    return togo;
+};
+
+/**
+ *
+ * Look up the ignore rules that a directory inherits from its parent.  The root of the scan inherits no rules.
+ *
+ * @param {String} dirPath - The full path to the directory.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Array<Object>} - An array of rules, as returned by `fluid.glob.parseIgnoreFile`.
+ *
+ */
+fluid.glob.inheritedIgnoreRules = function (dirPath, scanContext) {
+    return dirPath === scanContext.rootPath ? [] : (scanContext.ignoreRules[path.posix.dirname(dirPath)] || []);
+};
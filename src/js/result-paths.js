@@ -0,0 +1,112 @@
+"use strict";
+var fluid = require("infusion");
+
+var path = require("path");
+
+fluid.registerNamespace("fluid.glob");
+
+/**
+ *
+ * Resolve the scan options that control how the path to each match is returned, i.e. `relativeTo`, `dotPrefix`,
+ * `packagePaths`, and `pathStyle` (see `fluid.glob.defaultScanOptions`).  If `relativeTo` is `true`, paths are relative
+ * to the root of the scan.  If it is a string, it is treated as a full or package-relative path, or as a path relative
+ * to the root of the scan.  Fails if the options are invalid.
+ *
+ * @param {Object} options - The full set of scan options.
+ * @param {String} rootPath - The full (POSIX-style) path to the root of the scan.
+ * @param {String} [pathRoot] - (Optional) the drive letter or UNC root of the scan, see `fluid.glob.parsePath`.
+ * @return {Object} - An object with the `pathStyle`, `dotPrefix` and `packagePaths` options, and the `base` (an object with a `root` and a POSIX-style `path`) that paths are relative to, or `false` if full paths are returned.
+ *
+ */
+fluid.glob.resolveResultFormat = function (options, rootPath, pathRoot) {
+    var relativeTo = options.relativeTo;
+    if (relativeTo !== false && relativeTo !== true && typeof relativeTo !== "string") {
+        fluid.fail("Invalid `relativeTo` option '" + relativeTo + "', expected `true`, `false`, or a path.");
+    }
+    if (relativeTo !== false && options.packagePaths) {
+        fluid.fail("The `relativeTo` and `packagePaths` options cannot be used together.");
+    }
+
+    var base = false;
+    if (relativeTo === true) {
+        base = { root: pathRoot || "", path: rootPath };
+    }
+    else if (relativeTo !== false) {
+        base = fluid.glob.parsePath(fluid.module.resolvePath(relativeTo));
+        if (!base.root && !path.posix.isAbsolute(base.path)) {
+            base = { root: pathRoot || "", path: path.posix.resolve(rootPath, base.path) };
+        }
+    }
+
+    return {
+        pathStyle: options.pathStyle,
+        dotPrefix: !!options.dotPrefix,
+        packagePaths: !!options.packagePaths,
+        base: base
+    };
+};
+
+/**
+ *
+ * Format the full path to a match, as requested by a set of resolved options (see `fluid.glob.resolveResultFormat`):
+ *
+ * 1. If `packagePaths` is set, paths within a registered module are returned in package-relative form, i.e.
+ *    `%package-name/path/to/file.js` (see `fluid.glob.toPackagePath`).
+ * 2. If there is a `base`, paths are returned relative to it.  If `dotPrefix` is set, relative paths that do not start
+ *    with `../` are prefixed with `./`, so that they are anchored to the root when used as patterns (see
+ *    `fluid.glob.addPathToPatterns`).  Paths on another drive cannot be made relative, and are returned in full.
+ * 3. Otherwise, the full path is returned.
+ *
+ * Full and relative paths are returned in the style set by the `pathStyle` scan option, see `fluid.glob.formatPath`.
+ * Package-relative paths always use forward slashes.
+ *
+ * @param {String} posixPath - The full POSIX-style path to the match.
+ * @param {String} pathRoot - The drive letter or UNC root of the match, if any.
+ * @param {Object} resultFormat - The output of `fluid.glob.resolveResultFormat`.
+ * @return {String} - The formatted path.
+ *
+ */
+fluid.glob.formatResultPath = function (posixPath, pathRoot, resultFormat) {
+    var packagePath = resultFormat.packagePaths && fluid.glob.toPackagePath(posixPath, pathRoot);
+    if (packagePath) {
+        return packagePath;
+    }
+
+    var base = resultFormat.base;
+    if (base && base.root.toLowerCase() === (pathRoot || "").toLowerCase()) {
+        var relativePath = path.posix.relative(base.path, posixPath) || ".";
+        if (resultFormat.dotPrefix && relativePath !== "." && relativePath !== ".." && relativePath.indexOf("../") !== 0) {
+            relativePath = "./" + relativePath;
+        }
+        return fluid.glob.formatPath(relativePath, "", resultFormat.pathStyle);
+    }
+
+    return fluid.glob.formatPath(posixPath, pathRoot, resultFormat.pathStyle);
+};
+
+/**
+ *
+ * Convert a full path to the package-relative form accepted by `fluid.module.resolvePath`, i.e.
+ * `%package-name/path/to/file.js`.  If the path is within more than one registered module (for example, when one
+ * module is installed within another), the innermost module is used.
+ *
+ * @param {String} posixPath - The full POSIX-style path.
+ * @param {String} [pathRoot] - (Optional) the drive letter or UNC root of the path, if any.
+ * @return {String|undefined} - The package-relative path, or `undefined` if the path is not within a registered module.
+ *
+ */
+fluid.glob.toPackagePath = function (posixPath, pathRoot) {
+    var bestMatch;
+    fluid.each(fluid.module.modules, function (moduleInfo, moduleName) {
+        var parsedBaseDir = fluid.glob.parsePath(moduleInfo.baseDir);
+        if (parsedBaseDir.root.toLowerCase() !== (pathRoot || "").toLowerCase()) {
+            return;
+        }
+        var relativePath = path.posix.relative(parsedBaseDir.path, posixPath);
+        var isWithinModule = relativePath !== ".." && relativePath.indexOf("../") !== 0 && !path.posix.isAbsolute(relativePath);
+        if (isWithinModule && (!bestMatch || relativePath.length < bestMatch.relativePath.length)) {
+            bestMatch = { moduleName: moduleName, relativePath: relativePath };
+        }
+    });
+    return bestMatch && "%" + bestMatch.moduleName + (bestMatch.relativePath ? "/" + bestMatch.relativePath : "");
+};
@@ -0,0 +1,77 @@
+"use strict";
+var fluid = require("infusion");
+
+fluid.registerNamespace("fluid.glob");
+
+/**
+ *
+ * Find all files beneath several root directories, each of which has its own includes and excludes, and combine the
+ * results.  Each root is scanned using the same rules as `fluid.glob.findFiles`, but directories that are common to
+ * more than one root (for example, when one root is inside another) are only read once (see
+ * `fluid.glob.readFromListingCache`).
+ *
+ * The results are returned as a single array, sorted by full path, in which each match appears only once.  Each result
+ * is an object with the `path` to the match, and the (resolved) `rootPath` of the first root that produced it.  If
+ * `options.resultMode` is set to "details", the `rootPath` is added to the details for each match (see
+ * `fluid.glob.formatMatch`).  If `options.relativeTo` is `true`, each path is relative to the root that produced it
+ * (see `fluid.glob.formatResultPath`).
+ *
+ * @param {Array<Object>} roots - An array of roots, each of which has a `rootPath` (a full or package-relative path), and arrays of `includes` and `excludes`.
+ * @param {Object} [minimatchOptions] - (Optional) options to pass to minimatch.
+ * @param {Object|Array<String>|String} [rules] - An optional set of custom rules defining invalid patterns as regular expressions, or the name of a rule profile.
+ * @param {Object} [options] - (Optional) scan options, see `fluid.glob.defaultScanOptions`.  Any budgets apply to each root separately.
+ * @return {Array<Object>|Object} - An array of objects describing each match.  If `options.onError` is set to "collect", or if `options.maxResults` or `options.maxEntriesVisited` is set, an object with `matches`, `errors`, and `truncated` is returned instead, see `fluid.glob.formatResults`.
+ *
+ */
+fluid.glob.findFilesInRoots = function (roots, minimatchOptions, rules, options) {
+    var allPatternsValid = true;
+    fluid.each(roots, function (root) {
+        // Check every root, so that all invalid patterns are logged.
+        allPatternsValid = fluid.glob.patternsAreValid(fluid.makeArray(root.includes), fluid.makeArray(root.excludes), rules) && allPatternsValid;
+    });
+    if (!allPatternsValid) {
+        fluid.fail(fluid.glob.invalidPatternsMessage);
+    }
+
+    var listingCache = {};
+    var combinedContext = fluid.glob.makeScanContext({ rootPath: "", includes: [], excludes: [] }, minimatchOptions, options);
+    var matchesByPath = {};
+
+    // Each root is scanned for full POSIX-style paths, so that matches can be compared, and the paths are formatted afterwards.
+    var scanOptions = fluid.extend({}, options, { pathStyle: "posix", relativeTo: false, packagePaths: false });
+    fluid.each(roots, function (root) {
+        var scanPatterns = fluid.glob.resolveScanPatterns(root.rootPath, fluid.makeArray(root.includes), fluid.makeArray(root.excludes));
+        var scanContext = fluid.glob.makeScanContext(scanPatterns, minimatchOptions, scanOptions);
+        scanContext.listingCache = listingCache;
+        var resultFormat = fluid.glob.resolveResultFormat(combinedContext.options, scanPatterns.rootPath, scanPatterns.pathRoot);
+
+        var rootMatches = fluid.glob.scanSingleDir(scanPatterns.rootPath, scanPatterns.includes, scanPatterns.excludes, minimatchOptions, scanContext);
+        fluid.each(rootMatches, function (match) {
+            var matchPath = typeof match === "string" ? match : match.path;
+            if (!matchesByPath[matchPath]) {
+                var posixPath = matchPath.substring(scanPatterns.pathRoot.length);
+                matchesByPath[matchPath] = fluid.extend(typeof match === "string" ? {} : match, {
+                    path: fluid.glob.formatResultPath(posixPath, scanPatterns.pathRoot, resultFormat),
+                    rootPath: fluid.glob.formatPath(scanPatterns.rootPath, scanPatterns.pathRoot, combinedContext.options.pathStyle)
+                });
+            }
+        });
+
+        // Errors from reads shared with an earlier root will already have been recorded.
+        fluid.each(scanContext.errors, function (posixError) {
+            var error = fluid.extend({}, posixError, { path: fluid.glob.formatPath(posixError.path.substring(scanPatterns.pathRoot.length), scanPatterns.pathRoot, combinedContext.options.pathStyle) });
+            var isDuplicate = fluid.find(combinedContext.errors, function (existingError) {
+                return existingError.path === error.path && existingError.code === error.code ? true : undefined;
+            });
+            if (!isDuplicate) {
+                combinedContext.errors.push(error);
+            }
+        });
+        combinedContext.truncated = combinedContext.truncated || scanContext.truncated;
+    });
+
+    var matches = Object.keys(matchesByPath).sort().map(function (matchPath) {
+        return matchesByPath[matchPath];
+    });
+    return fluid.glob.formatResults(matches, combinedContext);
+};
@@ -0,0 +1,112 @@
+"use strict";
+var fluid = require("infusion");
+
+fluid.registerNamespace("fluid.glob");
+
+/*
+
+    Named sets of rules ("profiles") that can be used wherever a set of `rules` is accepted, for example:
+
+    `fluid.glob.findFiles(rootPath, includes, excludes, {}, "relaxed");`
+
+    Each rule has a regular expression `pattern` and a `message` (see `fluid.glob.invalidGlobRules`), and may also have:
+
+    1. `suggestion`: A suggested fix for patterns that violate the rule.
+    2. `severity`: Either "error" (the default), which prevents a scan, or "warning", which is reported but does not.
+    3. `roles`: An array of the roles ("include" and/or "exclude") the rule applies to.  By default, a rule applies to both.
+    4. `allowedWithExcludes`: Set to `true` if the rule does not apply to includes that are paired with at least one
+       exclude (or negated include).
+
+ */
+fluid.glob.ruleProfiles = {
+    // The default rules, which apply equally to includes and excludes.
+    strict: fluid.glob.invalidGlobRules,
+    // A leading wildcard is allowed in excludes, and in includes that are paired with excludes.
+    relaxed: fluid.extend(true, {}, fluid.glob.invalidGlobRules, {
+        noLeadingWildcard: {
+            roles: ["include"],
+            allowedWithExcludes: true
+        }
+    })
+};
+
+// The profile used when no `rules` are supplied, see `fluid.glob.resolveRules`.
+fluid.glob.defaultRuleProfile = "strict";
+
+/**
+ *
+ * Register a named rule profile, so that it can be used wherever a set of `rules` is accepted.  The new profile can
+ * extend an existing profile, in which case its rules are merged with those of the base profile.  Rules can be
+ * removed from the base profile by setting them to `null`.  An existing profile with the same name is replaced.
+ *
+ * @param {String} profileName - The name of the profile.
+ * @param {Object} rules - The rules that make up the profile, keyed by rule name.
+ * @param {String} [baseProfileName] - (Optional) the name of a profile to extend.
+ * @return {Object} - The full set of rules in the registered profile.
+ *
+ */
+fluid.glob.registerRuleProfile = function (profileName, rules, baseProfileName) {
+    var baseRules = baseProfileName ? fluid.glob.resolveRules(baseProfileName) : {};
+    var mergedRules = fluid.extend(true, {}, baseRules, rules);
+    fluid.each(rules, function (rule, ruleKey) {
+        if (rule === null) {
+            delete mergedRules[ruleKey];
+        }
+    });
+    fluid.glob.ruleProfiles[profileName] = mergedRules;
+    return mergedRules;
+};
+
+/**
+ *
+ * Resolve a `rules` argument to a set of rules.  If no rules are supplied, the profile named by
+ * `fluid.glob.defaultRuleProfile` is used.  Strings are treated as the name of a registered profile (see
+ * `fluid.glob.registerRuleProfile`).  Anything else is assumed to be a set of rules, and is returned as is.
+ *
+ * @param {Object|Array<Object>|String} [rules] - A set of rules, the name of a rule profile, or `undefined`.
+ * @return {Object|Array<Object>} - A set of rules.
+ *
+ */
+fluid.glob.resolveRules = function (rules) {
+    var resolvedRules = fluid.isValue(rules) ? rules : fluid.glob.defaultRuleProfile;
+    if (typeof resolvedRules === "string") {
+        if (!fluid.glob.ruleProfiles[resolvedRules]) {
+            fluid.fail("Unknown rule profile '" + resolvedRules + "', expected one of: " + Object.keys(fluid.glob.ruleProfiles).join(", ") + ".");
+        }
+        resolvedRules = fluid.glob.ruleProfiles[resolvedRules];
+    }
+    return resolvedRules;
+};
+
+/**
+ *
+ * Check whether a single rule applies to a pattern in a given role, see `fluid.glob.ruleProfiles`.  If the role is not
+ * known, every rule applies.
+ *
+ * @param {Object} rule - A single rule.
+ * @param {String} [role] - (Optional) the role of the pattern, i.e. "include" or "exclude".
+ * @param {Boolean} [hasExcludes] - (Optional) `true` if the pattern is paired with at least one exclude or negated include.
+ * @return {Boolean} - `true` if the rule applies, `false` otherwise.
+ *
+ */
+fluid.glob.ruleApplies = function (rule, role, hasExcludes) {
+    if (role && rule.roles && fluid.makeArray(rule.roles).indexOf(role) === -1) {
+        return false;
+    }
+    return !(rule.allowedWithExcludes && role === "include" && hasExcludes);
+};
+
+/**
+ *
+ * Filter an array of violations (see `fluid.glob.validatePatterns`), keeping only those with a given severity.
+ *
+ * @param {Array<Object>} violations - An array of violations.
+ * @param {String} severity - Either "error" or "warning".
+ * @return {Array<Object>} - The violations with the given severity.
+ *
+ */
+fluid.glob.filterViolations = function (violations, severity) {
+    return violations.filter(function (violation) {
+        return violation.severity === severity;
+    });
+};
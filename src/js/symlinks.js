@@ -0,0 +1,179 @@
+"use strict";
+var fluid = require("infusion");
+
+var path = require("path");
+
+fluid.registerNamespace("fluid.glob");
+
+fluid.glob.brokenSymlinkCodes = ["ENOENT", "ELOOP"];
+
+/**
+ *
+ * Stat a single directory entry, respecting the `followSymlinks` and `brokenSymlinks` scan options:
+ *
+ * 1. If `followSymlinks` is "never", symbolic links are not followed, and their own stats are returned.
+ * 2. If `followSymlinks` is "withinRoot", symbolic links are only followed if their target is within the root of the scan.
+ * 3. If `followSymlinks` is "always", all symbolic links are followed.
+ *
+ * If a link cannot be followed because its target does not exist, the `brokenSymlinks` option controls what happens.  If
+ * it is set to "fail", the error is thrown (and then handled according to the `onError` option, see
+ * `fluid.glob.handleScanError`).  If it is set to "report", a warning is logged, the link is skipped, and the error is
+ * recorded in the scan context's `errors` array.  If it is set to "skip", the link is silently skipped.
+ *
+ * @param {String} singlePath - The full path to the entry.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {fs.Stats|undefined} - The stats for the entry, or `undefined` if the entry should be skipped.
+ *
+ */
+fluid.glob.statEntry = function (singlePath, scanContext) {
+    var followSymlinks = scanContext.options.followSymlinks;
+    var fileSystem = scanContext.fileSystem;
+    if (followSymlinks === "always") {
+        try {
+            return fileSystem.stat(singlePath);
+        }
+        catch (error) {
+            return fluid.glob.handleStatError(singlePath, error, fileSystem.lstat(singlePath), scanContext);
+        }
+    }
+    else {
+        var linkStats = fileSystem.lstat(singlePath);
+        if (followSymlinks === "withinRoot" && linkStats.isSymbolicLink()) {
+            try {
+                var realPath = fileSystem.realpath(singlePath);
+                return fluid.glob.isWithinRoot(realPath, scanContext) ? fileSystem.stat(realPath) : linkStats;
+            }
+            catch (error) {
+                return fluid.glob.handleStatError(singlePath, error, linkStats, scanContext);
+            }
+        }
+        return linkStats;
+    }
+};
+
+/**
+ *
+ * The asynchronous equivalent of `fluid.glob.statEntry`.  The underlying operations are queued using
+ * `scanContext.throttle`, and use the asynchronous methods of the scan's filesystem adapter (see
+ * `fluid.glob.promisifyFileSystem`).
+ *
+ * @param {String} singlePath - The full path to the entry.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeAsyncScanContext`.
+ * @return {fluid.promise} - A promise that will be resolved with the stats for the entry, or `undefined` if the entry should be skipped.
+ *
+ */
+fluid.glob.statEntryAsync = function (singlePath, scanContext) {
+    var togo = fluid.promise();
+    var followSymlinks = scanContext.options.followSymlinks;
+
+    var queue = function (fsFunction, fsPath) {
+        return scanContext.throttle(function () {
+            return scanContext.asyncFileSystem[fsFunction](fsPath);
+        });
+    };
+    var handleError = function (error, linkStats) {
+        try {
+            togo.resolve(fluid.glob.handleStatError(singlePath, error, linkStats, scanContext));
+        }
+        catch (handledError) {
+            togo.reject(handledError);
+        }
+    };
+
+    if (followSymlinks === "always") {
+        queue("stat", singlePath).then(togo.resolve, function (error) {
+            queue("lstat", singlePath).then(function (linkStats) {
+                handleError(error, linkStats);
+            }, togo.reject);
+        });
+    }
+    else {
+        queue("lstat", singlePath).then(function (linkStats) {
+            if (followSymlinks === "withinRoot" && linkStats.isSymbolicLink()) {
+                queue("realpath", singlePath).then(function (realPath) {
+                    if (fluid.glob.isWithinRoot(realPath, scanContext)) {
+                        queue("stat", realPath).then(togo.resolve, function (error) {
+                            handleError(error, linkStats);
+                        });
+                    }
+                    else {
+                        togo.resolve(linkStats);
+                    }
+                }, function (error) {
+                    handleError(error, linkStats);
+                });
+            }
+            else {
+                togo.resolve(linkStats);
+            }
+        }, togo.reject);
+    }
+
+    return togo;
+};
+
+/**
+ *
+ * Handle an error encountered while following a symbolic link, using the `brokenSymlinks` scan option (see
+ * `fluid.glob.statEntry`).  Errors that do not relate to broken links are always thrown.
+ *
+ * @param {String} singlePath - The full path to the entry.
+ * @param {Error} error - The error encountered.
+ * @param {fs.Stats} linkStats - The stats for the entry itself (i.e. not following any link).
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {undefined} - Always returns `undefined`, i.e. the entry should be skipped.
+ *
+ */
+fluid.glob.handleStatError = function (singlePath, error, linkStats, scanContext) {
+    var isBrokenLink = linkStats.isSymbolicLink() && fluid.glob.brokenSymlinkCodes.indexOf(error.code) !== -1;
+    if (!isBrokenLink || scanContext.options.brokenSymlinks === "fail") {
+        throw error;
+    }
+    else if (scanContext.options.brokenSymlinks === "report") {
+        fluid.log("WARNING: Skipping broken symbolic link '" + singlePath + "' (" + error.code + ").");
+        fluid.glob.collectError(error, singlePath, scanContext);
+    }
+    return undefined;
+};
+
+/**
+ *
+ * Check whether a (real) path is within the (real) root of the scan.
+ *
+ * @param {String} realPath - The real path to check, i.e. with all symbolic links resolved.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Boolean} - `true` if the path is within the root, `false` otherwise.
+ *
+ */
+fluid.glob.isWithinRoot = function (realPath, scanContext) {
+    if (!scanContext.realRootPath) {
+        scanContext.realRootPath = fluid.glob.sanitisePath(scanContext.fileSystem.realpath(scanContext.rootPath));
+    }
+    var relativePath = path.posix.relative(scanContext.realRootPath, fluid.glob.sanitisePath(realPath));
+    return relativePath !== ".." && relativePath.indexOf("../") !== 0 && !path.posix.isAbsolute(relativePath);
+};
+
+/**
+ *
+ * Check whether entering a directory would create a cycle, i.e. whether the same directory (as identified by its device
+ * and inode) has already been entered by one of the directories above it.  If not, the directory is recorded so that
+ * its own sub-directories can be checked.
+ *
+ * @param {String} dirPath - The full path to the directory.
+ * @param {fs.Stats} stats - The stats for the directory.
+ * @param {Object} scanContext - The context shared by the whole scan, see `fluid.glob.makeScanContext`.
+ * @return {Boolean} - `true` if entering the directory would create a cycle, `false` otherwise.
+ *
+ */
+fluid.glob.checkForCycle = function (dirPath, stats, scanContext) {
+    var dirId = stats.dev + ":" + stats.ino;
+    var ancestorPath = dirPath;
+    while (ancestorPath !== scanContext.rootPath && path.posix.dirname(ancestorPath) !== ancestorPath) {
+        ancestorPath = path.posix.dirname(ancestorPath);
+        if (scanContext.dirIds[ancestorPath] === dirId) {
+            return true;
+        }
+    }
+    scanContext.dirIds[dirPath] = dirId;
+    return false;
+};
@@ -0,0 +1,326 @@
+"use strict";
+var fluid = require("infusion");
+
+var path = require("path");
+var fs   = require("fs");
+
+fluid.registerNamespace("fluid.glob.watcher");
+
+/**
+ *
+ * A component that keeps track of the files that match a set of includes and excludes, and which fires events as
+ * matching files are added, removed, or changed.  Only the root directory and those directories that might contain
+ * matches (see `fluid.glob.dirMightMatch`) are watched, so that excluded content (such as `node_modules`) is never
+ * watched.
+ *
+ * The `onAdded` and `onChanged` events are fired with the full (native) path to the file and its stats.  The `onRemoved` event
+ * is fired with the full path to the file.  The `onReady` event is fired once the initial scan is complete.  No events
+ * are fired for the files found during the initial scan, use `that.getFiles()` to retrieve them.  The `onError` event
+ * is fired with each error encountered and the path that could not be read, unless the `onError` scan option is set
+ * to "skip".  Errors never stop the watcher, see `fluid.glob.watcher.reportErrors`.
+ *
+ * The `scanOptions` option accepts the same scan options as `fluid.glob.findFiles`, apart from those listed in
+ * `fluid.glob.watcher.unsupportedOptions`.
+ *
+ */
+fluid.defaults("fluid.glob.watcher", {
+    gradeNames: ["fluid.component"],
+    rootPath: "",
+    includes: [],
+    excludes: [],
+    minimatchOptions: {},
+    rules: undefined,
+    // Scan options, as for `fluid.glob.findFiles`, see `fluid.glob.watcher.checkScanOptions`.
+    scanOptions: {},
+    // The number of milliseconds to wait after a change before rescanning a directory, so that bursts of changes can be combined.
+    rescanDelay: 50,
+    members: {
+        files: {},
+        watchedDirs: {}
+    },
+    events: {
+        onReady: null,
+        onAdded: null,
+        onRemoved: null,
+        onChanged: null,
+        onError: null
+    },
+    invokers: {
+        getFiles: {
+            funcName: "fluid.glob.watcher.getFiles",
+            args: ["{that}"]
+        },
+        rescanDir: {
+            funcName: "fluid.glob.watcher.rescanDir",
+            args: ["{that}", "{arguments}.0", "{arguments}.1"] // dirPath, silent
+        }
+    },
+    listeners: {
+        "onCreate.startWatching": {
+            funcName: "fluid.glob.watcher.startWatching",
+            args: ["{that}"]
+        },
+        "onDestroy.stopWatching": {
+            funcName: "fluid.glob.watcher.stopWatching",
+            args: ["{that}"]
+        }
+    }
+});
+
+/**
+ *
+ * Validate the patterns, perform the initial scan, and begin watching the root directory and all directories that might
+ * contain matches.
+ *
+ * @param {fluid.glob.watcher} that - The watcher component.
+ *
+ */
+fluid.glob.watcher.startWatching = function (that) {
+    if (!fluid.glob.patternsAreValid(that.options.includes, that.options.excludes, that.options.rules)) {
+        fluid.fail(fluid.glob.invalidPatternsMessage);
+    }
+    var unsupportedMessage = fluid.glob.watcher.checkScanOptions(that.options.scanOptions);
+    if (unsupportedMessage) {
+        fluid.fail(unsupportedMessage);
+    }
+
+    var scanPatterns = fluid.glob.resolveScanPatterns(that.options.rootPath, that.options.includes, that.options.excludes);
+    // Errors are always collected, so that a single unreadable entry does not abandon the rest of its directory.
+    var scanOptions = fluid.extend({}, that.options.scanOptions, { onError: "collect" });
+    that.scanContext = fluid.glob.makeScanContext(scanPatterns, that.options.minimatchOptions, scanOptions);
+
+    that.rescanDir(that.scanContext.rootPath, true);
+    that.events.onReady.fire(that);
+};
+
+// The scan options that only make sense for a single scan (or that affect the format of its results), and which the
+// watcher does not support, see `fluid.glob.watcher.checkScanOptions`.
+fluid.glob.watcher.unsupportedOptions = ["resultMode", "maxResults", "maxEntriesVisited", "cacheFile", "fileSystem", "gitFiles", "relativeTo", "dotPrefix", "packagePaths"];
+
+/**
+ *
+ * Check a set of scan options for options that the watcher does not support (see
+ * `fluid.glob.watcher.unsupportedOptions`), so that they can be rejected rather than silently ignored.  Options that
+ * are set to their default value are allowed.
+ *
+ * @param {Object} [scanOptions] - (Optional) scan options, see `fluid.glob.defaultScanOptions`.
+ * @return {String|undefined} - A message describing the first unsupported option, or `undefined` if all options are supported.
+ *
+ */
+fluid.glob.watcher.checkScanOptions = function (scanOptions) {
+    var unsupportedOption = fluid.find(fluid.glob.watcher.unsupportedOptions, function (optionName) {
+        var value = scanOptions && scanOptions[optionName];
+        return value !== undefined && value !== fluid.glob.defaultScanOptions[optionName] ? optionName : undefined;
+    });
+    return unsupportedOption && "The `" + unsupportedOption + "` option is not supported by `fluid.glob.watcher`, use `fluid.glob.findFiles` instead.";
+};
+
+/**
+ *
+ * Close all directory watchers and cancel any pending rescans.
+ *
+ * @param {fluid.glob.watcher} that - The watcher component.
+ *
+ */
+fluid.glob.watcher.stopWatching = function (that) {
+    fluid.each(that.watchedDirs, function (watchedDir) {
+        clearTimeout(watchedDir.timeout);
+        watchedDir.watcher.close();
+    });
+    that.watchedDirs = {};
+};
+
+/**
+ *
+ * Return the full paths to all files that currently match.
+ *
+ * @param {fluid.glob.watcher} that - The watcher component.
+ * @return {Array<String>} - A sorted array of full paths.
+ *
+ */
+fluid.glob.watcher.getFiles = function (that) {
+    return Object.keys(that.files).sort().map(function (filePath) {
+        return fluid.glob.formatScanPath(filePath, that.scanContext);
+    });
+};
+
+/**
+ *
+ * Start watching a single directory.
+ *
+ * @param {fluid.glob.watcher} that - The watcher component.
+ * @param {String} dirPath - The full path to the directory.
+ *
+ */
+fluid.glob.watcher.watchDir = function (that, dirPath) {
+    var watcher = fs.watch(fluid.glob.formatPath(dirPath, that.scanContext.pathRoot), function () {
+        fluid.glob.watcher.scheduleRescan(that, dirPath);
+    });
+    watcher.on("error", function (error) {
+        that.events.onError.fire(error, fluid.glob.formatScanPath(dirPath, that.scanContext));
+    });
+    that.watchedDirs[dirPath] = { watcher: watcher, timeout: null };
+};
+
+/**
+ *
+ * Rescan a single directory after a short delay, combining any further changes that occur in the meantime.
+ *
+ * @param {fluid.glob.watcher} that - The watcher component.
+ * @param {String} dirPath - The full path to the directory.
+ *
+ */
+fluid.glob.watcher.scheduleRescan = function (that, dirPath) {
+    var watchedDir = that.watchedDirs[dirPath];
+    if (watchedDir) {
+        clearTimeout(watchedDir.timeout);
+        watchedDir.timeout = setTimeout(function () {
+            watchedDir.timeout = null;
+            if (!fluid.isDestroyed(that) && that.watchedDirs[dirPath] === watchedDir) {
+                that.rescanDir(dirPath);
+            }
+        }, that.options.rescanDelay);
+    }
+};
+
+/**
+ *
+ * Compare the current contents of a directory with what we already know about it, and fire the relevant events.  New
+ * sub-directories that might contain matches are watched and scanned, and sub-directories that have disappeared are no
+ * longer watched.  Errors are reported using `fluid.glob.watcher.reportErrors`.  Only a directory that no longer
+ * exists is forgotten, an entry within it that cannot be read does not affect the rest of its contents.
+ *
+ * @param {fluid.glob.watcher} that - The watcher component.
+ * @param {String} dirPath - The full path to the directory.
+ * @param {Boolean} [silent] - Set to `true` to avoid firing events, as when performing the initial scan.
+ *
+ */
+fluid.glob.watcher.rescanDir = function (that, dirPath, silent) {
+    var errors = that.scanContext.errors;
+    var firstError = errors.length;
+    var allowedEntries;
+    try {
+        allowedEntries = fluid.glob.readAllowedEntries(dirPath, that.scanContext);
+    }
+    catch (error) {
+        that.events.onError.fire(error, fluid.glob.formatScanPath(dirPath, that.scanContext));
+        return;
+    }
+
+    // Only the errors collected while reading this level are ours, those for sub-directories are reported when they are read.
+    var dirErrors = fluid.glob.watcher.reportErrors(that, errors.splice(firstError));
+    var ownError = dirErrors[fluid.glob.formatScanPath(dirPath, that.scanContext)];
+    if (ownError) {
+        // The directory itself has gone, so everything within it has gone too.  We cannot tell what has changed in a
+        // directory that still exists but cannot be read, so we leave what we know about it alone.
+        if (fluid.glob.watcher.isMissingError(ownError)) {
+            fluid.glob.watcher.forgetDir(that, dirPath);
+        }
+        return;
+    }
+
+    if (!that.watchedDirs[dirPath]) {
+        fluid.glob.watcher.watchDir(that, dirPath);
+    }
+
+    var currentPaths = {};
+    fluid.each(allowedEntries, function (entry) {
+        currentPaths[entry.path] = true;
+        if (entry.shouldEnter && !that.watchedDirs[entry.path]) {
+            fluid.glob.watcher.rescanDir(that, entry.path, silent);
+        }
+        if (entry.isMatch) {
+            var previousStats = that.files[entry.path];
+            that.files[entry.path] = entry.stats;
+            if (!previousStats) {
+                if (!silent) {
+                    that.events.onAdded.fire(fluid.glob.formatScanPath(entry.path, that.scanContext), entry.stats);
+                }
+            }
+            else if (previousStats.mtimeMs !== entry.stats.mtimeMs || previousStats.size !== entry.stats.size) {
+                that.events.onChanged.fire(fluid.glob.formatScanPath(entry.path, that.scanContext), entry.stats);
+            }
+        }
+    });
+
+    // Anything we knew about that is no longer present (or no longer allowed) has been removed.  Entries that could not
+    // be read for any other reason than having gone are left as they were.
+    var isRemoved = function (singlePath) {
+        var entryError = dirErrors[fluid.glob.formatScanPath(singlePath, that.scanContext)];
+        return path.posix.dirname(singlePath) === dirPath && !currentPaths[singlePath] && (!entryError || fluid.glob.watcher.isMissingError(entryError));
+    };
+    fluid.each(Object.keys(that.watchedDirs), function (watchedPath) {
+        if (watchedPath !== dirPath && isRemoved(watchedPath)) {
+            fluid.glob.watcher.forgetDir(that, watchedPath);
+        }
+    });
+    fluid.each(Object.keys(that.files), function (filePath) {
+        if (isRemoved(filePath)) {
+            delete that.files[filePath];
+            that.events.onRemoved.fire(fluid.glob.formatScanPath(filePath, that.scanContext));
+        }
+    });
+};
+
+/**
+ *
+ * Fire `onError` for each error collected while reading a single directory, unless the `onError` scan option is set
+ * to "skip".
+ *
+ * @param {fluid.glob.watcher} that - The watcher component.
+ * @param {Array<Object>} collectedErrors - The errors collected, see `fluid.glob.collectError`.
+ * @return {Object} - The same errors, keyed by the (formatted) path that could not be read.
+ *
+ */
+fluid.glob.watcher.reportErrors = function (that, collectedErrors) {
+    var errorsByPath = {};
+    fluid.each(collectedErrors, function (collectedError) {
+        errorsByPath[collectedError.path] = collectedError;
+        if (that.options.scanOptions.onError !== "skip") {
+            that.events.onError.fire(collectedError, collectedError.path);
+        }
+    });
+    return errorsByPath;
+};
+
+/**
+ *
+ * Check whether an error indicates that a path no longer exists.
+ *
+ * @param {Object} collectedError - An error collected during a scan, see `fluid.glob.collectError`.
+ * @return {Boolean} - `true` if the path no longer exists, `false` otherwise.
+ *
+ */
+fluid.glob.watcher.isMissingError = function (collectedError) {
+    return collectedError.code === "ENOENT" || collectedError.code === "ENOTDIR";
+};
+
+/**
+ *
+ * Stop watching a directory (and its sub-directories), and fire `onRemoved` for any files we knew about within it.
+ *
+ * @param {fluid.glob.watcher} that - The watcher component.
+ * @param {String} dirPath - The full path to the directory.
+ *
+ */
+fluid.glob.watcher.forgetDir = function (that, dirPath) {
+    var isWithinDir = function (candidatePath) {
+        return candidatePath === dirPath || candidatePath.indexOf(dirPath + "/") === 0;
+    };
+
+    fluid.each(Object.keys(that.watchedDirs), function (watchedPath) {
+        if (isWithinDir(watchedPath)) {
+            var watchedDir = that.watchedDirs[watchedPath];
+            clearTimeout(watchedDir.timeout);
+            watchedDir.watcher.close();
+            delete that.watchedDirs[watchedPath];
+        }
+    });
+
+    fluid.each(Object.keys(that.files).sort(), function (filePath) {
+        if (isWithinDir(filePath)) {
+            delete that.files[filePath];
+            that.events.onRemoved.fire(fluid.glob.formatScanPath(filePath, that.scanContext));
+        }
+    });
+};
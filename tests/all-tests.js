@@ -2,3 +2,18 @@
 
 require("./js/unit-tests");
 require("./js/functional-tests");
+require("./js/async-tests");
+require("./js/watcher-tests");
+require("./js/symlink-tests");
+require("./js/error-tests");
+require("./js/roots-tests");
+require("./js/cache-tests");
+require("./js/cli-tests");
+require("./js/file-set-tests");
+require("./js/file-system-tests");
+require("./js/git-tests");
+require("./js/content-filter-tests");
+require("./js/analyse-tests");
+require("./js/rule-profile-tests");
+require("./js/windows-path-tests");
+require("./js/result-path-tests");
@@ -0,0 +1,144 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+
+require("../../");
+
+jqUnit.module("Tests for pattern analysis.");
+
+fluid.registerNamespace("fluid.tests.glob.analyse");
+
+fluid.tests.glob.analyse.summarise = function (findings) {
+    return findings.map(function (finding) {
+        return fluid.filterKeys(finding, ["pattern", "role", "issue", "coveredBy"]);
+    });
+};
+
+fluid.tests.glob.analyse.testDefs = {
+    noFindings: {
+        message: "Patterns that all have an effect should not be reported.",
+        includes: ["./*.js", "./src/**/*.js"],
+        excludes: ["./src/deep/**", "!./src/deep/deeper/**"],
+        expected: []
+    },
+    unmatched: {
+        message: "Includes that match nothing should be reported.",
+        includes: ["./src/**/*.js", "./lib/**/*.js", "./*.json"],
+        expected: [
+            { pattern: "./lib/**/*.js", role: "include", issue: "unmatched" },
+            { pattern: "./*.json", role: "include", issue: "unmatched" }
+        ]
+    },
+    covered: {
+        message: "Includes that are covered by another include should be reported.",
+        includes: ["./src/deep/*.js", "./src/**/*.js", "./src/*.{js,json}"],
+        expected: [
+            { pattern: "./src/deep/*.js", role: "include", issue: "covered", coveredBy: "./src/**/*.js" },
+            { pattern: "./src/*.{js,json}", role: "include", issue: "covered", coveredBy: "./src/**/*.js" }
+        ]
+    },
+    equivalent: {
+        message: "Only the later of two equivalent includes should be reported.",
+        includes: ["./src/*.js", "./src/src-file.js"],
+        expected: [
+            { pattern: "./src/src-file.js", role: "include", issue: "covered", coveredBy: "./src/*.js" }
+        ]
+    },
+    neverRescues: {
+        message: "Negated excludes that never bring anything back should be reported.",
+        includes: ["./src/**/*.js"],
+        excludes: ["./src/deep/**", "!./src/deep/deep-file.js", "!./src/src-file.js", "!./tests/**"],
+        expected: [
+            { pattern: "!./src/src-file.js", role: "exclude", issue: "neverRescues" },
+            { pattern: "!./tests/**", role: "exclude", issue: "neverRescues" }
+        ]
+    },
+    neverApplies: {
+        message: "Excludes and negated includes that never apply should be reported.",
+        includes: ["./src/**/*.js", "!./tests/*.js", "!./src/deep/**"],
+        excludes: ["./node_modules/**", "./src/src-file.js", "./src/missing/**"],
+        expected: [
+            { pattern: "!./tests/*.js", role: "include", issue: "neverApplies" },
+            { pattern: "./node_modules/**", role: "exclude", issue: "neverApplies" },
+            { pattern: "./src/missing/**", role: "exclude", issue: "neverApplies" }
+        ]
+    },
+    directories: {
+        message: "Includes that only match directories should be checked against directories.",
+        includes: ["./src/", "./src/*/", "./tests/*/"],
+        expected: []
+    }
+};
+
+jqUnit.test("Test `analysePatterns` function.", function () {
+    fluid.each(fluid.tests.glob.analyse.testDefs, function (testDef) {
+        var analysis = fluid.glob.analysePatterns("%fluid-glob/tests/find-fixture", testDef.includes, testDef.excludes || []);
+        jqUnit.assertDeepEq(testDef.message, testDef.expected, fluid.tests.glob.analyse.summarise(analysis.findings));
+        jqUnit.assertDeepEq(testDef.message + ": there should be no violations.", [], analysis.violations);
+    });
+});
+
+jqUnit.test("Findings should be described in the same way as violations.", function () {
+    var analysis = fluid.glob.analysePatterns("%fluid-glob/tests/find-fixture", ["./src/*.js", "./src/src-file.js"], ["!./src/src-file.js"]);
+    jqUnit.assertDeepEq("Each finding should include the position of the pattern and a description.", [
+        {
+            pattern: "./src/src-file.js",
+            index: 1,
+            role: "include",
+            negated: false,
+            issue: "covered",
+            message: "Pattern './src/src-file.js' only matches material that is also matched by include './src/*.js'.",
+            coveredBy: "./src/*.js"
+        },
+        {
+            pattern: "!./src/src-file.js",
+            index: 0,
+            role: "exclude",
+            negated: true,
+            issue: "neverRescues",
+            message: "Pattern '!./src/src-file.js' never brings back anything that would otherwise be excluded."
+        }
+    ], analysis.findings);
+});
+
+jqUnit.test("Invalid patterns should be reported without scanning.", function () {
+    var analysis = fluid.glob.analysePatterns("%fluid-glob/tests/find-fixture", ["./**/*.js"], ["./lib/**"]);
+    jqUnit.assertEquals("The violation should be reported.", "noLeadingWildcard", analysis.violations[0].rule);
+    jqUnit.assertDeepEq("There should be no findings.", [], analysis.findings);
+
+    var customRulesAnalysis = fluid.glob.analysePatterns("%fluid-glob/tests/find-fixture", ["./**/*.js"], ["./lib/**"], {}, {});
+    jqUnit.assertDeepEq("Custom rules should be used.", [{ pattern: "./lib/**", role: "exclude", issue: "neverApplies" }], fluid.tests.glob.analyse.summarise(customRulesAnalysis.findings));
+});
+
+jqUnit.test("Analysis should use the filesystem adapter and error handling options.", function () {
+    var fileSystem = fluid.glob.createMemoryFileSystem({ src: { "index.js": "", lib: { "lib.js": "" } } }, "/virtual");
+    var analysis = fluid.glob.analysePatterns("/virtual", ["./src/**/*.js"], ["./src/vendor/**"], {}, undefined, { fileSystem: fileSystem });
+    jqUnit.assertDeepEq("The in-memory tree should be analysed.", [{ pattern: "./src/vendor/**", role: "exclude", issue: "neverApplies" }], fluid.tests.glob.analyse.summarise(analysis.findings));
+
+    var missingAnalysis = fluid.glob.analysePatterns("/virtual/missing", ["./*.js"], [], {}, undefined, { fileSystem: fileSystem, onError: "collect" });
+    jqUnit.assertDeepEq("A missing root should be reported.", ["ENOENT"], fluid.getMembers(missingAnalysis.errors, "code"));
+    jqUnit.assertDeepEq("Patterns should be reported as unmatched.", [{ pattern: "./*.js", role: "include", issue: "unmatched" }], fluid.tests.glob.analyse.summarise(missingAnalysis.findings));
+});
+
+jqUnit.test("Excluded directories should not be entered.", function () {
+    var memoryFileSystem = fluid.glob.createMemoryFileSystem({
+        src: { "index.js": "" },
+        node_modules: { dependency: { "index.js": "", lib: { "lib.js": "" } } }
+    }, "/virtual");
+    var readPaths = [];
+    var fileSystem = fluid.extend({}, memoryFileSystem, {
+        readdir: function (dirPath) {
+            readPaths.push(dirPath);
+            return memoryFileSystem.readdir(dirPath);
+        }
+    });
+
+    var analysis = fluid.glob.analysePatterns("/virtual", ["./**/*.js"], ["./node_modules/**", "./node_modules/dependency/lib/**"], {}, "relaxed", { fileSystem: fileSystem });
+    jqUnit.assertDeepEq("Only the directories that a scan would enter should be read.", ["/virtual", "/virtual/node_modules", "/virtual/src"], readPaths);
+    jqUnit.assertDeepEq("Patterns that might match material within an excluded directory should not be reported.", [], fluid.tests.glob.analyse.summarise(analysis.findings));
+
+    readPaths = [];
+    var rescueAnalysis = fluid.glob.analysePatterns("/virtual", ["./**/*.js"], ["./node_modules/**", "!./node_modules/dependency/*.js"], {}, "relaxed", { fileSystem: fileSystem });
+    jqUnit.assertDeepEq("Directories that might contain material brought back by a negated exclude should be read.", ["/virtual", "/virtual/node_modules", "/virtual/node_modules/dependency", "/virtual/src"], readPaths);
+    jqUnit.assertDeepEq("The negated exclude should be checked.", [], fluid.tests.glob.analyse.summarise(rescueAnalysis.findings));
+});
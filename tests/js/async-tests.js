@@ -0,0 +1,284 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+
+require("../../");
+
+jqUnit.module("Tests for asynchronous directory searching.");
+
+fluid.registerNamespace("fluid.tests.glob.async");
+
+fluid.tests.glob.async.rootPath = "%fluid-glob/tests/find-fixture";
+
+fluid.tests.glob.async.testDefs = {
+    singleDirectoryWildcard: {
+        message: "We should be able to work with a directory wildcard.",
+        includes: ["./src/**/*.js"],
+        excludes: []
+    },
+    multipleIncludes: {
+        message: "We should be able to work with multiple includes.",
+        includes: ["./src/*.js", "./tests/**/deeper/*.js"],
+        excludes: []
+    },
+    negatedExclude: {
+        message: "We should be able to work with negated excludes.",
+        includes: ["./src/**/*.js"],
+        excludes: ["./src/deep/**/*.js", "!./src/**/deeper/*.js"]
+    },
+    matchBaseOption: {
+        message: "We should be able to work with a `matchBase`-style pattern.",
+        includes: ["deep-file.js"],
+        excludes: ["./node_modules/**/*.js"],
+        minimatchOptions: { matchBase: true }
+    },
+    ignoreFiles: {
+        message: "We should be able to work with ignore files.",
+        includes: ["./**/*.js"],
+        excludes: ["!./tests/deep/**/*.js"],
+        rules: {},
+        options: { ignoreFiles: [".fixtureignore"] }
+    },
+    lowConcurrency: {
+        message: "We should be able to limit the scan to a single operation at a time.",
+        includes: ["./**/*.js"],
+        excludes: [],
+        minimatchOptions: { dot: true },
+        rules: {},
+        options: { concurrency: 1 }
+    },
+    entryTypes: {
+        message: "We should be able to find directories as well as files.",
+        includes: ["./src/**", "./*/"],
+        excludes: [],
+        rules: {},
+        options: { entryTypes: ["files", "directories"] }
+    },
+    depthLimits: {
+        message: "We should be able to limit the depth of the scan.",
+        includes: ["./**/*.js"],
+        excludes: [],
+        rules: {},
+        options: { minDepth: 2, maxDepth: 3 }
+    }
+};
+
+fluid.each(fluid.tests.glob.async.testDefs, function (testDef) {
+    jqUnit.asyncTest(testDef.message, function () {
+        var rootPath = fluid.tests.glob.async.rootPath;
+        var expected = fluid.glob.findFiles(rootPath, testDef.includes, testDef.excludes, testDef.minimatchOptions, testDef.rules, testDef.options);
+        var promise = fluid.glob.findFilesAsync(rootPath, testDef.includes, testDef.excludes, testDef.minimatchOptions, testDef.rules, testDef.options);
+        promise.then(function (output) {
+            jqUnit.assertTrue("There should be at least one match.", output.length > 0);
+            jqUnit.assertDeepEq("The results should be the same as those returned by `findFiles`.", expected, output);
+            jqUnit.start();
+        }, function (error) {
+            jqUnit.fail("The scan should not have failed: " + error.message);
+            jqUnit.start();
+        });
+    });
+});
+
+fluid.tests.glob.async.budgetTestDefs = {
+    maxResults: {
+        message: "A scan limited by `maxResults` should return the same matches as `findFiles`.",
+        options: { maxResults: 2 }
+    },
+    maxEntriesVisited: {
+        message: "A scan limited by `maxEntriesVisited` should return the same matches as `findFiles`.",
+        options: { maxEntriesVisited: 6 }
+    }
+};
+
+fluid.each(fluid.tests.glob.async.budgetTestDefs, function (testDef) {
+    jqUnit.asyncTest(testDef.message, function () {
+        var rootPath = fluid.tests.glob.async.rootPath;
+        var includes = ["./src/**/*.js", "./root-file.js", "./tests/**/*.js"];
+        var expected = fluid.glob.findFiles(rootPath, includes, [], {}, {}, testDef.options);
+        jqUnit.assertTrue("The synchronous scan should have been truncated.", !!expected.truncated);
+        // The scan is repeated, as the order in which parallel reads complete varies from one scan to the next.
+        var promises = [1, 2, 3].map(function () {
+            return fluid.glob.findFilesAsync(rootPath, includes, [], {}, {}, testDef.options);
+        });
+        fluid.glob.whenAll(promises).then(function (outputs) {
+            fluid.each(outputs, function (output) {
+                jqUnit.assertDeepEq("The results should be the same as those returned by `findFiles`.", expected, output);
+            });
+            jqUnit.start();
+        }, function (error) {
+            jqUnit.fail("The scan should not have failed: " + error.message);
+            jqUnit.start();
+        });
+    });
+});
+
+jqUnit.asyncTest("Invalid patterns should result in a rejection.", function () {
+    var promise = fluid.glob.findFilesAsync(fluid.tests.glob.async.rootPath, ["./**"], []);
+    promise.then(function () {
+        jqUnit.fail("The scan should not have succeeded.");
+        jqUnit.start();
+    }, function (error) {
+        jqUnit.assertEquals("The rejection should have the expected message.", fluid.glob.invalidPatternsMessage, error.message);
+        jqUnit.start();
+    });
+});
+
+jqUnit.asyncTest("Unsupported options should result in a rejection.", function () {
+    var expectedMessage = fluid.glob.checkAsyncOptions({ cacheFile: "/tmp/cache.json" });
+    jqUnit.expect(2);
+    var promise = fluid.glob.findFilesAsync(fluid.tests.glob.async.rootPath, ["./*.js"], [], {}, {}, { cacheFile: "/tmp/cache.json" });
+    promise.then(function () {
+        jqUnit.fail("The scan should not have succeeded.");
+        jqUnit.start();
+    }, function (error) {
+        jqUnit.assertEquals("The rejection should name the unsupported option.", expectedMessage, error.message);
+        var iterator = fluid.glob.iterateFiles(fluid.tests.glob.async.rootPath, ["./*.js"], [], {}, {}, { cacheFile: "/tmp/cache.json" });
+        iterator.next().then(function () {
+            jqUnit.fail("The iterator should not have succeeded.");
+            jqUnit.start();
+        }, function (iteratorError) {
+            jqUnit.assertEquals("The iterator should also reject.", expectedMessage, iteratorError.message);
+            jqUnit.start();
+        });
+    });
+});
+
+jqUnit.asyncTest("A missing root directory should result in a rejection.", function () {
+    var promise = fluid.glob.findFilesAsync("%fluid-glob/tests/no-such-fixture", ["./*.js"], []);
+    promise.then(function () {
+        jqUnit.fail("The scan should not have succeeded.");
+        jqUnit.start();
+    }, function (error) {
+        jqUnit.assertEquals("The rejection should include the error code.", "ENOENT", error.code);
+        jqUnit.start();
+    });
+});
+
+jqUnit.asyncTest("We should be able to cancel a scan.", function () {
+    var promise = fluid.glob.findFilesAsync(fluid.tests.glob.async.rootPath, ["./src/**/*.js"], [], {}, undefined, { concurrency: 1 });
+    promise.then(function () {
+        jqUnit.fail("A cancelled scan should not resolve.");
+    }, function () {
+        jqUnit.fail("A cancelled scan should not reject.");
+    });
+    promise.cancel();
+
+    setTimeout(function () {
+        jqUnit.assertEquals("The promise should have been cancelled.", "cancel", promise.disposition);
+        jqUnit.start();
+    }, 100);
+});
+
+jqUnit.asyncTest("Test `whenAll` function.", function () {
+    var pending = fluid.promise();
+    var promise = fluid.glob.whenAll([pending, "value", fluid.toPromise(3)]);
+    promise.then(function (values) {
+        jqUnit.assertDeepEq("Values should be returned in order.", ["first", "value", 3], values);
+        jqUnit.start();
+    }, function () {
+        jqUnit.fail("The promise should not have been rejected.");
+        jqUnit.start();
+    });
+    pending.resolve("first");
+});
+
+fluid.tests.glob.async.collectIterator = function (iterator, collected) {
+    var togo = fluid.promise();
+    iterator.next().then(function (result) {
+        if (result.done) {
+            togo.resolve(collected);
+        }
+        else {
+            collected.push(result.value);
+            fluid.promise.follow(fluid.tests.glob.async.collectIterator(iterator, collected), togo);
+        }
+    }, togo.reject);
+    return togo;
+};
+
+fluid.each(fluid.tests.glob.async.testDefs, function (testDef) {
+    jqUnit.asyncTest(testDef.message + " (iterator)", function () {
+        var rootPath = fluid.tests.glob.async.rootPath;
+        var expected = fluid.glob.findFiles(rootPath, testDef.includes, testDef.excludes, testDef.minimatchOptions, testDef.rules, testDef.options);
+        var iterator = fluid.glob.iterateFiles(rootPath, testDef.includes, testDef.excludes, testDef.minimatchOptions, testDef.rules, testDef.options);
+        fluid.tests.glob.async.collectIterator(iterator, []).then(function (output) {
+            jqUnit.assertDeepEq("The iterator should yield the same results as `findFiles`, in the same order.", expected, output);
+            jqUnit.start();
+        }, function (error) {
+            jqUnit.fail("The scan should not have failed: " + error.message);
+            jqUnit.start();
+        });
+    });
+});
+
+jqUnit.asyncTest("An iterator with invalid patterns should reject.", function () {
+    var iterator = fluid.glob.iterateFiles(fluid.tests.glob.async.rootPath, ["./**"], []);
+    iterator.next().then(function () {
+        jqUnit.fail("The iterator should not have yielded a result.");
+        jqUnit.start();
+    }, function (error) {
+        jqUnit.assertEquals("The rejection should have the expected message.", fluid.glob.invalidPatternsMessage, error.message);
+        iterator.next().then(function (result) {
+            jqUnit.assertTrue("The iterator should be finished after a failure.", result.done);
+            jqUnit.start();
+        });
+    });
+});
+
+jqUnit.asyncTest("We should be able to stop iterating early.", function () {
+    var iterator = fluid.glob.iterateFiles(fluid.tests.glob.async.rootPath, ["./src/**/*.js"], []);
+    iterator.next().then(function (firstResult) {
+        jqUnit.assertFalse("The first result should not be the last.", firstResult.done);
+        iterator["return"]().then(function () {
+            iterator.next().then(function (result) {
+                jqUnit.assertTrue("The iterator should be finished once it has been returned.", result.done);
+                jqUnit.start();
+            });
+        });
+    });
+});
+
+jqUnit.asyncTest("An iterator should stop once a budget has run out.", function () {
+    var rootPath = fluid.tests.glob.async.rootPath;
+    var expected = fluid.glob.findFiles(rootPath, ["./src/**/*.js"], [], {}, {}, { maxResults: 2 });
+    var iterator = fluid.glob.iterateFiles(rootPath, ["./src/**/*.js"], [], {}, {}, { maxResults: 2 });
+    fluid.tests.glob.async.collectIterator(iterator, []).then(function (output) {
+        jqUnit.assertDeepEq("The iterator should yield the same results as `findFiles`.", expected.matches, output);
+        jqUnit.assertEquals("The iterator should report that the results were truncated.", "maxResults", iterator.truncated);
+        jqUnit.start();
+    }, function (error) {
+        jqUnit.fail("The scan should not have failed: " + error.message);
+        jqUnit.start();
+    });
+});
+
+jqUnit.asyncTest("Test `createFileStream` function.", function () {
+    var rootPath = fluid.tests.glob.async.rootPath;
+    var expected = fluid.glob.findFiles(rootPath, ["./src/**/*.js"], ["./src/**/deeper/*.js"]);
+    var fileStream = fluid.glob.createFileStream(rootPath, ["./src/**/*.js"], ["./src/**/deeper/*.js"]);
+    var output = [];
+    fileStream.on("data", function (filePath) {
+        output.push(filePath);
+    });
+    fileStream.on("error", function (error) {
+        jqUnit.fail("The stream should not have failed: " + error.message);
+        jqUnit.start();
+    });
+    fileStream.on("end", function () {
+        jqUnit.assertDeepEq("The stream should emit the same results as `findFiles`, in the same order.", expected, output);
+        jqUnit.start();
+    });
+});
+
+jqUnit.asyncTest("We should be able to request detailed results asynchronously.", function () {
+    var promise = fluid.glob.findFilesAsync(fluid.tests.glob.async.rootPath, ["./src/*.js"], [], {}, undefined, { resultMode: "details" });
+    promise.then(function (output) {
+        jqUnit.assertEquals("There should be a single result.", 1, output.length);
+        jqUnit.assertLeftHand("The result should contain match details.", { relativePath: "src/src-file.js", include: "./src/*.js" }, output[0]);
+        jqUnit.assertTrue("The result should contain the file's stats.", output[0].stats.isFile());
+        jqUnit.start();
+    }, function (error) {
+        jqUnit.fail("The scan should not have failed: " + error.message);
+        jqUnit.start();
+    });
+});
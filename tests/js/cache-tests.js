@@ -0,0 +1,157 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+var path   = require("path");
+var fs     = require("fs");
+
+require("../../");
+require("./lib/fixtures");
+
+jqUnit.module("Tests for the scan cache.", fluid.tests.glob.fixtures.testEnvironment);
+
+fluid.registerNamespace("fluid.tests.glob.cache");
+
+/*
+
+    Create a temporary directory with the following structure:
+
+    - root
+      - src
+        - deep
+          - deep-file.js
+        - src-file.js
+    - scan-cache.json (once a scan has been performed)
+
+ */
+fluid.tests.glob.cache.makeFixture = function () {
+    return fluid.tests.glob.fixtures.writeFiles(fluid.tests.glob.fixtures.makeTempDir("fluid-glob-cache-"), {
+        "root/src/src-file.js": "\"use strict\";\n",
+        "root/src/deep/deep-file.js": "\"use strict\";\n"
+    });
+};
+
+// Run a function, and count the number of times each directory is read while it runs.
+fluid.tests.glob.cache.countReads = function (toRun) {
+    var originalReaddirSync = fs.readdirSync;
+    var readCounts = {};
+    fs.readdirSync = function (dirPath) {
+        readCounts[dirPath] = (readCounts[dirPath] || 0) + 1;
+        return originalReaddirSync.apply(fs, arguments);
+    };
+    try {
+        toRun();
+    }
+    finally {
+        fs.readdirSync = originalReaddirSync;
+    }
+    return readCounts;
+};
+
+jqUnit.test("Unchanged directories should not be read again.", function () {
+    var fixturePath = fluid.tests.glob.cache.makeFixture();
+    var rootPath = path.posix.resolve(fixturePath, "root");
+    var options = { cacheFile: path.posix.resolve(fixturePath, "scan-cache.json") };
+    var expected = [rootPath + "/src/deep/deep-file.js", rootPath + "/src/src-file.js"];
+
+    var firstOutput;
+    var firstReads = fluid.tests.glob.cache.countReads(function () {
+        firstOutput = fluid.glob.findFiles(rootPath, ["./src/**/*.js"], [], {}, undefined, options);
+    });
+    jqUnit.assertDeepEq("The first scan should return the expected results.", expected, firstOutput);
+    jqUnit.assertEquals("The first scan should read every directory.", 3, Object.keys(firstReads).length);
+    jqUnit.assertTrue("A cache file should have been written.", fs.existsSync(options.cacheFile));
+
+    var secondOutput;
+    var secondReads = fluid.tests.glob.cache.countReads(function () {
+        secondOutput = fluid.glob.findFiles(rootPath, ["./src/**/*.js"], [], {}, undefined, options);
+    });
+    jqUnit.assertDeepEq("The second scan should return the same results.", expected, secondOutput);
+    jqUnit.assertDeepEq("The second scan should not read any directories.", {}, secondReads);
+
+    // Add a file, and make sure the directory's modification time changes, even on filesystems with a coarse resolution.
+    var deepPath = path.posix.resolve(rootPath, "src/deep");
+    fs.writeFileSync(path.posix.resolve(deepPath, "new-file.js"), "\"use strict\";\n");
+    var futureTime = new Date(Date.now() + 60000);
+    fs.utimesSync(deepPath, futureTime, futureTime);
+
+    var thirdOutput;
+    var thirdReads = fluid.tests.glob.cache.countReads(function () {
+        thirdOutput = fluid.glob.findFiles(rootPath, ["./src/**/*.js"], [], {}, undefined, options);
+    });
+    jqUnit.assertDeepEq("The third scan should include the new file.", [rootPath + "/src/deep/deep-file.js", rootPath + "/src/deep/new-file.js", rootPath + "/src/src-file.js"], thirdOutput);
+    jqUnit.assertDeepEq("Only the changed directory should be read.", [deepPath], Object.keys(thirdReads));
+});
+
+jqUnit.test("Detailed results should include up-to-date stats when the cache is used.", function () {
+    var fixturePath = fluid.tests.glob.cache.makeFixture();
+    var rootPath = path.posix.resolve(fixturePath, "root");
+    var options = { cacheFile: path.posix.resolve(fixturePath, "scan-cache.json"), resultMode: "details" };
+
+    fluid.glob.findFiles(rootPath, ["./src/*.js"], [], {}, undefined, options);
+    fs.writeFileSync(path.posix.resolve(rootPath, "src/src-file.js"), "\"use strict\";\n// A longer file.\n");
+    var output = fluid.glob.findFiles(rootPath, ["./src/*.js"], [], {}, undefined, options);
+    jqUnit.assertEquals("The size of the changed file should be reported.", fs.statSync(path.posix.resolve(rootPath, "src/src-file.js")).size, output[0].stats.size);
+});
+
+jqUnit.test("Test `inspectScanCache` and `invalidateScanCache` functions.", function () {
+    var fixturePath = fluid.tests.glob.cache.makeFixture();
+    var rootPath = path.posix.resolve(fixturePath, "root");
+    var cacheFile = path.posix.resolve(fixturePath, "scan-cache.json");
+
+    jqUnit.assertDeepEq("A missing cache file should contain no scans.", [], fluid.glob.inspectScanCache(cacheFile));
+    jqUnit.assertFalse("There should be nothing to invalidate in a missing cache file.", fluid.glob.invalidateScanCache(cacheFile));
+
+    fluid.glob.findFiles(rootPath, ["./src/*.js"], [], {}, undefined, { cacheFile: cacheFile });
+    fluid.glob.findFiles(rootPath, ["./src/**/*.js"], [], {}, undefined, { cacheFile: cacheFile });
+    fluid.glob.findFiles(rootPath, ["./src/**/*.js"], [], {}, undefined, { cacheFile: cacheFile });
+
+    var scans = fluid.glob.inspectScanCache(cacheFile);
+    jqUnit.assertEquals("There should be one cached scan per distinct set of patterns.", 2, scans.length);
+    var deepScan = fluid.find(scans, function (scan) {
+        return scan.includes[0] === rootPath + "/src/**/*.js" ? scan : undefined;
+    });
+    jqUnit.assertEquals("The root path should be reported.", rootPath, deepScan.rootPath);
+    jqUnit.assertEquals("The number of cached directories should be reported.", 3, deepScan.directories);
+    jqUnit.assertEquals("The scan options should be reported.", "paths", deepScan.options.resultMode);
+
+    jqUnit.assertTrue("We should be able to invalidate a single scan.", fluid.glob.invalidateScanCache(cacheFile, deepScan.key));
+    jqUnit.assertEquals("The invalidated scan should have been removed.", 1, fluid.glob.inspectScanCache(cacheFile).length);
+    jqUnit.assertFalse("An unknown key should not be invalidated.", fluid.glob.invalidateScanCache(cacheFile, deepScan.key));
+
+    jqUnit.assertTrue("We should be able to invalidate the whole cache.", fluid.glob.invalidateScanCache(cacheFile));
+    jqUnit.assertFalse("The cache file should have been removed.", fs.existsSync(cacheFile));
+});
+
+jqUnit.test("An unreadable cache file should be replaced.", function () {
+    var fixturePath = fluid.tests.glob.cache.makeFixture();
+    var rootPath = path.posix.resolve(fixturePath, "root");
+    var cacheFile = path.posix.resolve(fixturePath, "scan-cache.json");
+    fs.writeFileSync(cacheFile, "{ not valid JSON");
+
+    var output = fluid.glob.findFiles(rootPath, ["./src/*.js"], [], {}, undefined, { cacheFile: cacheFile });
+    jqUnit.assertDeepEq("The scan should still succeed.", [rootPath + "/src/src-file.js"], output);
+    jqUnit.assertEquals("The cache file should have been replaced.", 1, fluid.glob.inspectScanCache(cacheFile).length);
+});
+
+jqUnit.test("Options that are regular expressions or dates should be part of the cache key.", function () {
+    var scanPatterns = fluid.glob.resolveScanPatterns("/virtual", ["./src/*.js"], []);
+    var getKey = function (options) {
+        return fluid.glob.getScanCacheKey(scanPatterns, {}, options);
+    };
+    jqUnit.assertNotEquals("Different content patterns should result in different keys.", getKey({ contentPattern: /foo/ }), getKey({ contentPattern: /bar/ }));
+    jqUnit.assertNotEquals("Different flags should result in different keys.", getKey({ contentPattern: /foo/ }), getKey({ contentPattern: /foo/i }));
+    jqUnit.assertEquals("The same content pattern should result in the same key.", getKey({ contentPattern: /foo/ }), getKey({ contentPattern: /foo/ }));
+    jqUnit.assertNotEquals("Different dates should result in different keys.", getKey({ newerThan: new Date(1000) }), getKey({ newerThan: new Date(2000) }));
+    jqUnit.assertEquals("A date should be described as a timestamp.", 1000, fluid.glob.describeScan(scanPatterns, {}, { newerThan: new Date(1000) }).options.newerThan);
+
+    var fixturePath = fluid.tests.glob.cache.makeFixture();
+    var rootPath = path.posix.resolve(fixturePath, "root");
+    var cacheFile = path.posix.resolve(fixturePath, "scan-cache.json");
+    fluid.glob.findFiles(rootPath, ["./src/*.js"], [], {}, undefined, { cacheFile: cacheFile, contentPattern: /strict/ });
+    fluid.glob.findFiles(rootPath, ["./src/*.js"], [], {}, undefined, { cacheFile: cacheFile, contentPattern: /missing/ });
+    var scans = fluid.glob.inspectScanCache(cacheFile);
+    jqUnit.assertEquals("Scans with different content patterns should be cached separately.", 2, scans.length);
+    jqUnit.assertDeepEq("The content patterns should be reported.", ["/missing/", "/strict/"], scans.map(function (scan) {
+        return scan.options.contentPattern;
+    }).sort());
+});
@@ -0,0 +1,226 @@
+"use strict";
+var fluid        = require("infusion");
+var jqUnit       = require("node-jqunit");
+var path         = require("path");
+var os           = require("os");
+var childProcess = require("child_process");
+
+require("../../");
+require("./lib/fixtures");
+
+jqUnit.module("Tests for the command-line interface.", fluid.tests.glob.fixtures.testEnvironment);
+
+fluid.registerNamespace("fluid.tests.glob.cli");
+
+fluid.tests.glob.cli.fixturePath = fluid.glob.sanitisePath(fluid.module.resolvePath("%fluid-glob/tests/find-fixture"));
+
+/**
+ *
+ * Run the command with the supplied arguments, and capture everything written to stdout and stderr.
+ *
+ * @param {Array<String>} args - The command-line arguments.
+ * @param {String} [cwd] - (Optional) the directory to run the command from.  Defaults to the fixture directory.
+ * @return {Object} - An object with the `exitCode`, and the `stdout` and `stderr` output.
+ *
+ */
+fluid.tests.glob.cli.runCommand = function (args, cwd) {
+    var captured = { stdout: "", stderr: "" };
+    var makeStream = function (streamName) {
+        return {
+            write: function (content) {
+                captured[streamName] += content;
+            }
+        };
+    };
+    captured.exitCode = fluid.glob.cli.run(args, {
+        stdout: makeStream("stdout"),
+        stderr: makeStream("stderr"),
+        cwd: cwd || fluid.tests.glob.cli.fixturePath
+    });
+    return captured;
+};
+
+fluid.tests.glob.cli.parseTestDefs = {
+    defaults: {
+        message: "The defaults should be used if no arguments are supplied.",
+        args: [],
+        expected: { includes: [], excludes: [], minimatchOptions: {}, output: "newline", help: false }
+    },
+    repeatedFlags: {
+        message: "Repeated flags, short aliases, and inline values should be supported.",
+        args: ["src", "--include", "./*.js", "-i", "./lib/**/*.js", "--exclude=./lib/vendor/**", "-e", "!./lib/vendor/keep.js", "-c", "config.json5"],
+        expected: {
+            rootPath: "src",
+            includes: ["./*.js", "./lib/**/*.js"],
+            excludes: ["./lib/vendor/**", "!./lib/vendor/keep.js"],
+            configFile: "config.json5",
+            minimatchOptions: {},
+            output: "newline",
+            help: false
+        }
+    },
+    minimatchFlags: {
+        message: "Minimatch flags should be converted to options.",
+        args: ["--dot", "--nocase", "--match-base", "--nobrace", "--noext", "--noglobstar", "--json"],
+        expected: {
+            includes: [],
+            excludes: [],
+            minimatchOptions: { dot: true, nocase: true, matchBase: true, nobrace: true, noext: true, noglobstar: true },
+            output: "json",
+            help: false
+        }
+    },
+    nullOutput: {
+        message: "The short alias for NUL-separated output should be supported.",
+        args: ["-0", "-h"],
+        expected: { includes: [], excludes: [], minimatchOptions: {}, output: "null", help: true }
+    }
+};
+
+jqUnit.test("Test `parseArgs` function.", function () {
+    fluid.each(fluid.tests.glob.cli.parseTestDefs, function (testDef) {
+        jqUnit.assertDeepEq(testDef.message, testDef.expected, fluid.glob.cli.parseArgs(testDef.args));
+    });
+});
+
+fluid.tests.glob.cli.parseErrorTestDefs = {
+    unknownFlag: {
+        message: "An unknown flag should be reported.",
+        args: ["--bogus"],
+        expected: "Unknown option '--bogus'."
+    },
+    missingValue: {
+        message: "A missing value should be reported.",
+        args: ["--include"],
+        expected: "The '--include' option requires a value."
+    },
+    unexpectedValue: {
+        message: "A value for a flag that does not take one should be reported.",
+        args: ["--dot=true"],
+        expected: "The '--dot' option does not take a value."
+    },
+    multipleRoots: {
+        message: "More than one root path should be reported.",
+        args: ["src", "tests"],
+        expected: "Only one root path can be supplied, found 'src' and 'tests'."
+    }
+};
+
+jqUnit.test("Test `parseArgs` error handling.", function () {
+    fluid.each(fluid.tests.glob.cli.parseErrorTestDefs, function (testDef) {
+        jqUnit.assertEquals(testDef.message, testDef.expected, fluid.glob.cli.parseArgs(testDef.args).error);
+    });
+});
+
+jqUnit.test("Results should be output in the requested format.", function () {
+    var fixturePath = fluid.tests.glob.cli.fixturePath;
+    var expected = [fixturePath + "/src/deep/deep-file.js", fixturePath + "/src/src-file.js"];
+    var args = [".", "--include", "./src/**/*.js", "--exclude", "./src/deep/deeper/**"];
+
+    var newlineOutput = fluid.tests.glob.cli.runCommand(args);
+    jqUnit.assertEquals("The command should succeed.", 0, newlineOutput.exitCode);
+    jqUnit.assertEquals("The results should be separated by newlines.", expected.join("\n") + "\n", newlineOutput.stdout);
+    jqUnit.assertEquals("Nothing should be written to stderr.", "", newlineOutput.stderr);
+
+    var nullOutput = fluid.tests.glob.cli.runCommand(args.concat("--null"));
+    jqUnit.assertEquals("The results should be separated by NUL characters.", expected.join("\0") + "\0", nullOutput.stdout);
+
+    var jsonOutput = fluid.tests.glob.cli.runCommand(args.concat("--json"));
+    jqUnit.assertDeepEq("The results should be output as JSON.", expected, JSON.parse(jsonOutput.stdout));
+
+    var emptyOutput = fluid.tests.glob.cli.runCommand([".", "--include", "./src/*.md"]);
+    jqUnit.assertEquals("No results should produce no output.", "", emptyOutput.stdout);
+});
+
+jqUnit.test("Minimatch flags should be passed to the scan.", function () {
+    var output = fluid.tests.glob.cli.runCommand(["--include", "./SRC/*.JS", "--nocase"]);
+    jqUnit.assertEquals("The command should succeed.", 0, output.exitCode);
+    jqUnit.assertEquals("The case-insensitive pattern should match.", fluid.tests.glob.cli.fixturePath + "/src/src-file.js\n", output.stdout);
+});
+
+jqUnit.test("Invalid patterns should be reported.", function () {
+    var output = fluid.tests.glob.cli.runCommand(["--include", "./**/*.js", "--exclude", "../*.js"]);
+    jqUnit.assertEquals("The command should fail.", 1, output.exitCode);
+    jqUnit.assertEquals("Nothing should be written to stdout.", "", output.stdout);
+    var expectedErrors = [
+        "ERROR: Pattern './**/*.js' contains a leading wildcard.",
+        "ERROR: Pattern '../*.js' contains a reference to a parent directory.",
+        fluid.glob.invalidPatternsMessage
+    ];
+    jqUnit.assertEquals("Each violation should be written to stderr.", expectedErrors.join("\n") + "\n", output.stderr);
+});
+
+jqUnit.test("Rule profiles should be used to check patterns.", function () {
+    var fixturePath = fluid.tests.glob.cli.fixturePath;
+    var relaxedOutput = fluid.tests.glob.cli.runCommand(["--include", "./**/src-file.js", "--exclude", "./node_modules/**", "--rules", "relaxed"]);
+    jqUnit.assertEquals("The relaxed profile should allow leading wildcards paired with excludes.", fixturePath + "/src/src-file.js\n", relaxedOutput.stdout);
+
+    try {
+        fluid.glob.registerRuleProfile("fluid-tests-cli", { noLeadingWildcard: { severity: "warning" } }, "strict");
+        var warningOutput = fluid.tests.glob.cli.runCommand(["--include", "./**/src-file.js", "-r", "fluid-tests-cli"]);
+        jqUnit.assertEquals("Warnings should not prevent the scan.", 0, warningOutput.exitCode);
+        jqUnit.assertEquals("The results should be written to stdout.", fixturePath + "/src/src-file.js\n", warningOutput.stdout);
+        jqUnit.assertEquals("Each warning should be written to stderr once.", "WARNING: Pattern './**/src-file.js' contains a leading wildcard.\n", warningOutput.stderr);
+    }
+    finally {
+        delete fluid.glob.ruleProfiles["fluid-tests-cli"];
+    }
+
+    var unknownOutput = fluid.tests.glob.cli.runCommand(["--include", "./src/*.js", "--rules", "bogus"]);
+    jqUnit.assertEquals("An unknown profile should result in a usage error.", 2, unknownOutput.exitCode);
+    jqUnit.assertEquals("The unknown profile should be reported.", 0, unknownOutput.stderr.indexOf("ERROR: Unknown rule profile 'bogus'"));
+});
+
+jqUnit.test("Usage errors should be reported.", function () {
+    var unknownFlagOutput = fluid.tests.glob.cli.runCommand(["--bogus"]);
+    jqUnit.assertEquals("An unknown flag should result in a usage error.", 2, unknownFlagOutput.exitCode);
+    jqUnit.assertTrue("The usage instructions should be written to stderr.", unknownFlagOutput.stderr.indexOf(fluid.glob.cli.usage) !== -1);
+
+    var noIncludesOutput = fluid.tests.glob.cli.runCommand(["."]);
+    jqUnit.assertEquals("Missing includes should result in a usage error.", 2, noIncludesOutput.exitCode);
+
+    var missingConfigOutput = fluid.tests.glob.cli.runCommand(["--config", "missing.json"]);
+    jqUnit.assertEquals("A missing configuration file should result in a usage error.", 2, missingConfigOutput.exitCode);
+
+    var helpOutput = fluid.tests.glob.cli.runCommand(["--help"]);
+    jqUnit.assertEquals("Help should be displayed without error.", 0, helpOutput.exitCode);
+    jqUnit.assertEquals("The usage instructions should be written to stdout.", fluid.glob.cli.usage + "\n", helpOutput.stdout);
+});
+
+jqUnit.test("Settings should be read from a JSON5 configuration file.", function () {
+    var fixturePath = fluid.tests.glob.cli.fixturePath;
+    var configPath = fluid.tests.glob.fixtures.makeTempDir("fluid-glob-cli-");
+    var configFile = path.posix.resolve(configPath, "glob.json5");
+    var config = [
+        "{",
+        "    // Relative paths are relative to the configuration file.",
+        "    rootPath: \"" + path.posix.relative(configPath, fixturePath) + "\",",
+        "    includes: [\"./src/**/*.js\"],",
+        "    excludes: [\"./src/deep/**\"],",
+        "}"
+    ].join("\n");
+    fluid.tests.glob.fixtures.writeFiles(configPath, { "glob.json5": config });
+
+    var output = fluid.tests.glob.cli.runCommand(["--config", configFile, "--include", "./*.js"], os.tmpdir());
+    jqUnit.assertEquals("The command should succeed.", 0, output.exitCode);
+    jqUnit.assertEquals("Patterns from the file and the command line should be combined.", [fixturePath + "/root-file.js", fixturePath + "/src/src-file.js"].join("\n") + "\n", output.stdout);
+
+    var rootOutput = fluid.tests.glob.cli.runCommand([fixturePath + "/src", "--config", configFile, "--include", "./*.js"]);
+    jqUnit.assertEquals("A root path on the command line should take precedence.", fixturePath + "/src/src-file.js\n", rootOutput.stdout);
+
+    fluid.tests.glob.fixtures.writeFiles(configPath, { "glob.json5": "{ includes: [\"./**/*.js\"], rules: {} }" });
+    var rulesOutput = fluid.tests.glob.cli.runCommand(["--config", configFile, "--exclude", "./node_modules/**", "--exclude", "./src/**", "--exclude", "./tests/deep/**"]);
+    jqUnit.assertEquals("Custom rules should be read from the file.", [fixturePath + "/root-file.js", fixturePath + "/tests/test-file.js"].join("\n") + "\n", rulesOutput.stdout);
+});
+
+jqUnit.test("The command should only write results to stdout.", function () {
+    var fixturePath = fluid.tests.glob.cli.fixturePath;
+    var scriptPath = fluid.module.resolvePath("%fluid-glob/bin/fluid-glob.js");
+    var result = childProcess.spawnSync(process.execPath, [scriptPath, "--include", "./src/*.js"], { cwd: fixturePath, encoding: "utf8" });
+    jqUnit.assertEquals("The command should succeed.", 0, result.status);
+    jqUnit.assertEquals("Only the results should be written to stdout.", fixturePath + "/src/src-file.js\n", result.stdout);
+
+    var invalidResult = childProcess.spawnSync(process.execPath, [scriptPath, "--include", "./**/*.js"], { cwd: fixturePath, encoding: "utf8" });
+    jqUnit.assertEquals("The command should fail if the patterns are invalid.", 1, invalidResult.status);
+    jqUnit.assertTrue("The violation should be written to stderr.", invalidResult.stderr.indexOf("ERROR: Pattern './**/*.js' contains a leading wildcard.") !== -1);
+});
@@ -0,0 +1,199 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+var path   = require("path");
+
+require("../../");
+
+jqUnit.module("Tests for content filters.");
+
+fluid.registerNamespace("fluid.tests.glob.contentFilters");
+
+fluid.tests.glob.contentFilters.licenseHeader = "/* Copyright The Fluid Project. Licensed under the BSD-3-Clause license. */\n";
+
+fluid.tests.glob.contentFilters.rootPath = "/virtual";
+
+/*
+
+    Create an in-memory filesystem (see `fluid.glob.createMemoryFileSystem`) with the following structure:
+
+    - bundle.js (modified in 2024, over 1000 bytes, with the license header after the first 1000 bytes)
+    - image.png (modified in 2024, binary)
+    - licensed.js (modified in 2020, with the license header)
+    - reference.txt (modified in 2022)
+    - unlicensed.js (modified in 2024, without the license header)
+    - src
+      - src-file.js (modified in 2020, with the license header)
+
+    The full path of each file that is read is added to `readPaths`, if supplied.
+
+ */
+fluid.tests.glob.contentFilters.makeFileSystem = function (readPaths) {
+    var licenseHeader = fluid.tests.glob.contentFilters.licenseHeader;
+    var memoryFileSystem = fluid.glob.createMemoryFileSystem({
+        "bundle.js": "// Generated.\n" + new Array(1000).join(" ") + "\n" + licenseHeader,
+        "image.png": Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]),
+        "licensed.js": licenseHeader + "\"use strict\";\n",
+        "reference.txt": "",
+        "unlicensed.js": "\"use strict\";\n",
+        src: { "src-file.js": licenseHeader + "\"use strict\";\n" }
+    }, fluid.tests.glob.contentFilters.rootPath);
+    var years = { "bundle.js": 2024, "image.png": 2024, "licensed.js": 2020, "reference.txt": 2022, "unlicensed.js": 2024, "src/src-file.js": 2020 };
+
+    // In-memory entries share the same modification time, so we supply our own.
+    var stat = function (singlePath) {
+        var stats = memoryFileSystem.stat(singlePath);
+        var year = years[path.posix.relative(fluid.tests.glob.contentFilters.rootPath, singlePath)];
+        var mtime = year && new Date(Date.UTC(year, 0, 1));
+        return mtime ? fluid.extend({}, stats, { mtime: mtime, mtimeMs: mtime.getTime() }) : stats;
+    };
+    var recordRead = function (methodName) {
+        return function (filePath) {
+            if (readPaths) {
+                readPaths.push(filePath);
+            }
+            return memoryFileSystem[methodName].apply(memoryFileSystem, arguments);
+        };
+    };
+    return fluid.extend({}, memoryFileSystem, {
+        stat: stat,
+        lstat: stat,
+        readFile: recordRead("readFile"),
+        readStart: recordRead("readStart")
+    });
+};
+
+fluid.tests.glob.contentFilters.testDefs = {
+    newerThanDate: {
+        message: "Files modified after a date should be matched.",
+        options: { newerThan: new Date(Date.UTC(2023, 0, 1)) },
+        expected: ["bundle.js", "image.png", "unlicensed.js"]
+    },
+    newerThanReference: {
+        message: "Files modified after a reference file should be matched.",
+        includes: ["./**/*.js"],
+        options: { newerThan: "reference.txt" },
+        expected: ["bundle.js", "unlicensed.js"]
+    },
+    olderThanTimestamp: {
+        message: "Files modified before a timestamp should be matched.",
+        options: { olderThan: Date.UTC(2021, 0, 1) },
+        expected: ["licensed.js", "src/src-file.js"]
+    },
+    sizeBounds: {
+        message: "Files within the size bounds should be matched.",
+        options: { minSize: 1, maxSize: 500 },
+        expected: ["image.png", "licensed.js", "src/src-file.js", "unlicensed.js"]
+    },
+    contentPattern: {
+        message: "Files whose start matches a pattern should be matched.",
+        includes: ["./**/*.js"],
+        options: { contentPattern: /Copyright The Fluid Project/ },
+        expected: ["bundle.js", "licensed.js", "src/src-file.js"]
+    },
+    contentPatternSource: {
+        message: "Only the first `contentBytes` of each file should be checked.",
+        includes: ["./**/*.js"],
+        options: { contentPattern: "^/\\* Copyright", contentBytes: 1000 },
+        expected: ["licensed.js", "src/src-file.js"]
+    },
+    excludeBinary: {
+        message: "Binary files should be excluded.",
+        includes: ["./*"],
+        options: { binaryFiles: "exclude" },
+        expected: ["bundle.js", "licensed.js", "reference.txt", "unlicensed.js"]
+    },
+    onlyBinary: {
+        message: "Only binary files should be matched.",
+        options: { binaryFiles: "only" },
+        expected: ["image.png"]
+    },
+    negatedExclude: {
+        message: "Path rules should be applied before content filters.",
+        excludes: ["./src/**", "./*.js", "!./licensed.js"],
+        options: { contentPattern: "Copyright" },
+        expected: ["licensed.js"]
+    },
+    directories: {
+        message: "Directories should not be affected by content filters.",
+        includes: ["./src/", "./src/*.js"],
+        options: { entryTypes: ["files", "directories"], newerThan: "reference.txt" },
+        expected: ["src"]
+    }
+};
+
+fluid.tests.glob.contentFilters.defaultIncludes = ["./**/*.js", "./*.png"];
+
+fluid.tests.glob.contentFilters.relativise = function (results) {
+    return results.map(function (result) {
+        return path.posix.relative(fluid.tests.glob.contentFilters.rootPath, result);
+    });
+};
+
+fluid.tests.glob.contentFilters.makeOptions = function (fileSystem, testDef) {
+    var options = fluid.extend({ fileSystem: fileSystem }, testDef.options);
+    if (typeof options.newerThan === "string") {
+        options.newerThan = path.posix.resolve(fluid.tests.glob.contentFilters.rootPath, options.newerThan);
+    }
+    return options;
+};
+
+jqUnit.test("Test content filters with `findFiles`.", function () {
+    var fileSystem = fluid.tests.glob.contentFilters.makeFileSystem();
+    fluid.each(fluid.tests.glob.contentFilters.testDefs, function (testDef) {
+        var options = fluid.tests.glob.contentFilters.makeOptions(fileSystem, testDef);
+        var output = fluid.glob.findFiles(fluid.tests.glob.contentFilters.rootPath, testDef.includes || fluid.tests.glob.contentFilters.defaultIncludes, testDef.excludes || [], {}, {}, options);
+        jqUnit.assertDeepEq(testDef.message, testDef.expected, fluid.tests.glob.contentFilters.relativise(output));
+    });
+});
+
+jqUnit.test("Files should only be read if they pass the other filters.", function () {
+    var readPaths = [];
+    var fileSystem = fluid.tests.glob.contentFilters.makeFileSystem(readPaths);
+    fluid.glob.findFiles(fluid.tests.glob.contentFilters.rootPath, ["./**/*.js"], ["./src/**"], {}, {}, { fileSystem: fileSystem, maxSize: 500, contentPattern: "Copyright" });
+    jqUnit.assertDeepEq("Only files that match the patterns and size bounds should have been read.", ["/virtual/licensed.js", "/virtual/unlicensed.js"], readPaths.sort());
+});
+
+jqUnit.asyncTest("Test content filters with `findFilesAsync` and `iterateFiles`.", function () {
+    var fileSystem = fluid.tests.glob.contentFilters.makeFileSystem();
+    var rootPath = fluid.tests.glob.contentFilters.rootPath;
+    var testDefs = fluid.tests.glob.contentFilters.testDefs;
+    var testDefKeys = Object.keys(testDefs);
+    var scanPromises = testDefKeys.map(function (testDefKey) {
+        var testDef = testDefs[testDefKey];
+        return fluid.glob.findFilesAsync(rootPath, testDef.includes || fluid.tests.glob.contentFilters.defaultIncludes, testDef.excludes || [], {}, {}, fluid.tests.glob.contentFilters.makeOptions(fileSystem, testDef));
+    });
+    var iterator = fluid.glob.iterateFiles(rootPath, ["./**/*.js"], [], {}, {}, { fileSystem: fileSystem, contentPattern: "^/\\* Copyright" });
+    scanPromises.push(iterator.next());
+    fluid.glob.whenAll(scanPromises).then(function (outputs) {
+        jqUnit.start();
+        fluid.each(testDefKeys, function (testDefKey, index) {
+            jqUnit.assertDeepEq(testDefs[testDefKey].message, testDefs[testDefKey].expected, fluid.tests.glob.contentFilters.relativise(outputs[index]));
+        });
+        jqUnit.assertEquals("The iterator should skip files that do not pass the filters.", rootPath + "/licensed.js", outputs[testDefKeys.length].value);
+    }, function (error) {
+        jqUnit.start();
+        jqUnit.fail("The scan should not have failed: " + error.message);
+    });
+});
+
+jqUnit.test("Adapters without a `readStart` method should be supported.", function () {
+    var tree = { "binary.dat": Buffer.from([0x00, 0x01]), "licensed.js": fluid.tests.glob.contentFilters.licenseHeader, "unlicensed.js": "" };
+    var fileSystem = fluid.censorKeys(fluid.glob.createMemoryFileSystem(tree, "/virtual"), ["readStart"]);
+    var output = fluid.glob.findFiles("/virtual", ["./*"], [], {}, {}, { fileSystem: fileSystem, contentPattern: "Copyright", binaryFiles: "exclude" });
+    jqUnit.assertDeepEq("The content of each file should be read using `readFile`.", ["/virtual/licensed.js"], output);
+});
+
+jqUnit.test("Invalid content filters should be reported.", function () {
+    var failureDefs = [
+        { message: "A missing reference file should be reported.", options: { newerThan: "%fluid-glob/tests/no-such-file.txt" }, expected: "Cannot read the reference file for the `newerThan` option" },
+        { message: "An invalid date should be reported.", options: { olderThan: true }, expected: "Invalid `olderThan` option 'true'" },
+        { message: "An invalid `binaryFiles` option should be reported.", options: { binaryFiles: "skip" }, expected: "Invalid `binaryFiles` option 'skip'" },
+        { message: "An invalid `contentBytes` option should be reported.", options: { contentBytes: Infinity }, expected: "Invalid `contentBytes` option 'Infinity'" }
+    ];
+    fluid.each(failureDefs, function (failureDef) {
+        jqUnit.expectFrameworkDiagnostic(failureDef.message, function () {
+            fluid.glob.findFiles("%fluid-glob/tests/find-fixture", ["./*.js"], [], {}, {}, failureDef.options);
+        }, [failureDef.expected]);
+    });
+});
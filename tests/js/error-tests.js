@@ -0,0 +1,107 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+var path   = require("path");
+var fs     = require("fs");
+var os     = require("os");
+
+require("../../");
+require("./lib/fixtures");
+
+jqUnit.module("Tests for error handling.", fluid.tests.glob.fixtures.testEnvironment);
+
+fluid.registerNamespace("fluid.tests.glob.errors");
+
+// Create a temporary directory with a readable file, a broken link that cannot be statted, and (unless we are running
+// as root, who can read anything) a directory that cannot be read.
+fluid.tests.glob.errors.makeFixture = function () {
+    var fixturePath = fluid.tests.glob.fixtures.writeFiles(fluid.tests.glob.fixtures.makeTempDir("fluid-glob-errors-"), {
+        "src/readable.js": "\"use strict\";\n",
+        "src/locked/locked.js": "\"use strict\";\n"
+    });
+    fs.symlinkSync("missing.js", path.posix.resolve(fixturePath, "src/deleted.js"));
+    fs.chmodSync(path.posix.resolve(fixturePath, "src/locked"), 0);
+    return fixturePath;
+};
+
+fluid.tests.glob.errors.canReadLockedDirs = process.getuid && process.getuid() === 0;
+
+fluid.tests.glob.errors.expectedMatches = function (fixturePath) {
+    var expectedMatches = [fixturePath + "/src/readable.js"];
+    if (fluid.tests.glob.errors.canReadLockedDirs) {
+        expectedMatches.unshift(fixturePath + "/src/locked/locked.js");
+    }
+    return expectedMatches;
+};
+
+fluid.tests.glob.errors.checkCollectedErrors = function (fixturePath, output) {
+    jqUnit.assertDeepEq("The readable material should be returned.", fluid.tests.glob.errors.expectedMatches(fixturePath), output.matches);
+
+    var expectedErrors = [{ path: fixturePath + "/src/deleted.js", syscall: "stat", code: "ENOENT" }];
+    if (!fluid.tests.glob.errors.canReadLockedDirs) {
+        expectedErrors.push({ path: fixturePath + "/src/locked", syscall: "scandir", code: "EACCES" });
+    }
+    var filteredErrors = fluid.transform(output.errors, function (error) {
+        return fluid.filterKeys(error, ["path", "syscall", "code"]);
+    });
+    jqUnit.assertDeepEq("The expected errors should be collected.", expectedErrors, filteredErrors);
+};
+
+jqUnit.test("Test `onError` option.", function () {
+    var fixturePath = fluid.tests.glob.errors.makeFixture();
+    var includes = ["./src/**/*.js"];
+
+    try {
+        fluid.glob.findFiles(fixturePath, includes, [], {}, undefined, { onError: "throw" });
+        jqUnit.fail("An error should be thrown by default.");
+    }
+    catch (error) {
+        jqUnit.assertEquals("An error should be thrown by default.", "ENOENT", error.code);
+    }
+
+    var skipped = fluid.glob.findFiles(fixturePath, includes, [], {}, undefined, { onError: "skip" });
+    jqUnit.assertDeepEq("Unreadable material should be skipped.", fluid.tests.glob.errors.expectedMatches(fixturePath), skipped);
+
+    var collected = fluid.glob.findFiles(fixturePath, includes, [], {}, undefined, { onError: "collect" });
+    fluid.tests.glob.errors.checkCollectedErrors(fixturePath, collected);
+});
+
+jqUnit.test("An entry that cannot be read should not be matched using the stats of the entry before it.", function () {
+    var fixturePath = fluid.tests.glob.fixtures.writeFiles(fluid.tests.glob.fixtures.makeTempDir("fluid-glob-errors-"), {
+        "a-readable.js": "\"use strict\";\n"
+    });
+    fs.symlinkSync("missing.js", path.posix.resolve(fixturePath, "b-deleted.js"));
+
+    var output = fluid.glob.findFiles(fixturePath, ["./*.js"], [], {}, undefined, { onError: "collect" });
+    jqUnit.assertDeepEq("Only the readable file should be matched.", [fixturePath + "/a-readable.js"], output.matches);
+    jqUnit.assertDeepEq("The unreadable entry should be collected.", [fixturePath + "/b-deleted.js"], fluid.getMembers(output.errors, "path"));
+});
+
+jqUnit.test("A missing root should be collected.", function () {
+    var missingPath = fluid.glob.sanitisePath(path.join(os.tmpdir(), "fluid-glob-no-such-directory"));
+    var output = fluid.glob.findFiles(missingPath, ["./*.js"], [], {}, undefined, { onError: "collect" });
+    jqUnit.assertDeepEq("There should be no matches.", [], output.matches);
+    jqUnit.assertLeftHand("The error should be collected.", { path: missingPath, syscall: "scandir", code: "ENOENT" }, output.errors[0]);
+});
+
+jqUnit.asyncTest("Test `onError` option asynchronously.", function () {
+    var fixturePath = fluid.tests.glob.errors.makeFixture();
+    fluid.glob.findFilesAsync(fixturePath, ["./src/**/*.js"], [], {}, undefined, { onError: "collect" }).then(function (output) {
+        fluid.tests.glob.errors.checkCollectedErrors(fixturePath, output);
+        jqUnit.start();
+    }, function (error) {
+        jqUnit.fail("The scan should not have failed: " + error.message);
+        jqUnit.start();
+    });
+});
+
+jqUnit.asyncTest("An error should result in a rejection by default.", function () {
+    var fixturePath = fluid.tests.glob.errors.makeFixture();
+    fluid.glob.findFilesAsync(fixturePath, ["./src/**/*.js"], []).then(function () {
+        jqUnit.fail("The scan should not have succeeded.");
+        jqUnit.start();
+    }, function (error) {
+        jqUnit.assertEquals("The rejection should include the error code.", "ENOENT", error.code);
+        jqUnit.start();
+    });
+});
@@ -0,0 +1,140 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+
+require("../../");
+
+jqUnit.module("Tests for the file set component.");
+
+fluid.registerNamespace("fluid.tests.glob.fileSet");
+
+fluid.tests.glob.fileSet.fixturePath = fluid.glob.sanitisePath(fluid.module.resolvePath("%fluid-glob/tests/find-fixture"));
+
+fluid.defaults("fluid.tests.glob.fileSet.base", {
+    gradeNames: ["fluid.glob.fileSet"],
+    rootPath: "%fluid-glob/tests/find-fixture",
+    includes: {
+        root: "./*.js",
+        src:  "./src/**/*.js"
+    },
+    excludes: {
+        deeper: "./src/deep/deeper/**"
+    }
+});
+
+fluid.defaults("fluid.tests.glob.fileSet.derived", {
+    gradeNames: ["fluid.tests.glob.fileSet.base"],
+    includes: {
+        root:  null,
+        tests: "./tests/*.js"
+    },
+    excludes: {
+        deep: "./src/deep/**"
+    }
+});
+
+jqUnit.test("A file set should find the same files as `findFiles`.", function () {
+    var fileSet = fluid.glob.fileSet({
+        rootPath: "%fluid-glob/tests/find-fixture",
+        includes: ["./src/**/*.js"],
+        excludes: ["./src/deep/deeper/**"]
+    });
+    var expected = fluid.glob.findFiles("%fluid-glob/tests/find-fixture", ["./src/**/*.js"], ["./src/deep/deeper/**"]);
+    jqUnit.assertDeepEq("The results should be the same as those returned by `findFiles`.", expected, fileSet.find());
+});
+
+jqUnit.test("Derived grades should be able to add, replace, and remove patterns.", function () {
+    var fixturePath = fluid.tests.glob.fileSet.fixturePath;
+    var baseSet = fluid.tests.glob.fileSet.base();
+    jqUnit.assertDeepEq("The base grade should find the expected files.", [fixturePath + "/root-file.js", fixturePath + "/src/deep/deep-file.js", fixturePath + "/src/src-file.js"], baseSet.find());
+
+    var derivedSet = fluid.tests.glob.fileSet.derived();
+    jqUnit.assertDeepEq("The derived grade should find the expected files.", [fixturePath + "/src/src-file.js", fixturePath + "/tests/test-file.js"], derivedSet.find());
+
+    var scanOptionsSet = fluid.tests.glob.fileSet.base({ scanOptions: { resultMode: "details" } });
+    jqUnit.assertEquals("Scan options should be passed to the scan.", "root-file.js", scanOptionsSet.find()[0].relativePath);
+});
+
+jqUnit.test("Events should be fired before and after a scan.", function () {
+    var fixturePath = fluid.tests.glob.fileSet.fixturePath;
+    var completedScans = [];
+    var fileSet = fluid.tests.glob.fileSet.base({
+        listeners: {
+            "onBeforeScan.excludeRoot": {
+                funcName: "fluid.tests.glob.fileSet.excludeRoot",
+                args: ["{arguments}.0"]
+            },
+            "onScanComplete.record": {
+                func: function (results, scanSettings) {
+                    completedScans.push({ results: results, excludes: scanSettings.excludes });
+                }
+            }
+        }
+    });
+
+    var results = fileSet.find();
+    var expected = [fixturePath + "/src/deep/deep-file.js", fixturePath + "/src/src-file.js"];
+    jqUnit.assertDeepEq("Changes made by `onBeforeScan` listeners should be used in the scan.", expected, results);
+    jqUnit.assertDeepEq("The results and settings should be passed to `onScanComplete` listeners.", [{ results: expected, excludes: ["./src/deep/deeper/**", "./*.js"] }], completedScans);
+    jqUnit.assertDeepEq("The component's own options should not be changed.", { deeper: "./src/deep/deeper/**" }, fileSet.options.excludes);
+});
+
+fluid.tests.glob.fileSet.excludeRoot = function (scanSettings) {
+    scanSettings.excludes.push("./*.js");
+};
+
+jqUnit.test("Test `filter` invoker.", function () {
+    var fixturePath = fluid.tests.glob.fileSet.fixturePath;
+    var fileSet = fluid.tests.glob.fileSet.base();
+    var candidates = [
+        fixturePath + "/root-file.js",
+        "src/deep/deep-file.js",
+        "src/deep/deeper/deeper-file.js",
+        "src/new-file.js",
+        "src",
+        "tests/test-file.js"
+    ];
+    jqUnit.assertDeepEq("Only paths that belong to the set should be kept.", [fixturePath + "/root-file.js", "src/deep/deep-file.js", "src/new-file.js"], fileSet.filter(candidates));
+});
+
+jqUnit.test("The `filter` invoker should respect the `entryTypes` scan option.", function () {
+    var candidates = ["src/deep", "src/deep/deep-file.js", "src/src-file.js"];
+    var filesOnlySet = fluid.glob.fileSet({
+        rootPath: "%fluid-glob/tests/find-fixture",
+        includes: ["./src/*"]
+    });
+    jqUnit.assertDeepEq("A directory that matches an include should not be kept by default.", ["src/src-file.js"], filesOnlySet.filter(candidates));
+
+    var directoriesSet = fluid.glob.fileSet({
+        rootPath: "%fluid-glob/tests/find-fixture",
+        includes: ["./src/*"],
+        scanOptions: { entryTypes: ["directories"] }
+    });
+    jqUnit.assertDeepEq("Only directories should be kept if only directories are returned.", ["src/deep"], directoriesSet.filter(candidates));
+    jqUnit.assertDeepEq("The results should be consistent with `find`.", directoriesSet.find(), directoriesSet.filter(candidates).map(function (candidatePath) {
+        return fluid.tests.glob.fileSet.fixturePath + "/" + candidatePath;
+    }));
+});
+
+jqUnit.test("Test `validate` invoker and invalid patterns.", function () {
+    // `expectFrameworkDiagnostic` increments the expected count itself, so we only count the other assertions.
+    jqUnit.expect(4);
+    var validSet = fluid.tests.glob.fileSet.base();
+    jqUnit.assertDeepEq("There should be no violations for valid patterns.", [], validSet.validate());
+
+    var invalidSet = fluid.tests.glob.fileSet.base({ includes: { everything: "./**/*.js" } });
+    var violations = invalidSet.validate();
+    jqUnit.assertEquals("There should be one violation.", 1, violations.length);
+    jqUnit.assertEquals("The violation should be reported using the standard structure.", "noLeadingWildcard", violations[0].rule);
+
+    jqUnit.expectFrameworkDiagnostic("Scanning with invalid patterns should fail.", function () {
+        invalidSet.find();
+    }, [fluid.glob.invalidPatternsMessage]);
+
+    jqUnit.expectFrameworkDiagnostic("Filtering with invalid patterns should fail.", function () {
+        invalidSet.filter(["root-file.js"]);
+    }, [fluid.glob.invalidPatternsMessage]);
+
+    var customRulesSet = fluid.tests.glob.fileSet.base({ includes: { everything: "./**/*.js" }, rules: {} });
+    jqUnit.assertDeepEq("Custom rules should be used.", [], customRulesSet.validate());
+});
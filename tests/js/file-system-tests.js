@@ -0,0 +1,162 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+var fs     = require("fs");
+
+require("../../");
+
+jqUnit.module("Tests for filesystem adapters.");
+
+fluid.registerNamespace("fluid.tests.glob.fileSystem");
+
+fluid.tests.glob.fileSystem.tree = {
+    ".gitignore": "*.log\n",
+    "package.json": "{}",
+    "root-file.js": "\"use strict\";\n",
+    "node_modules": {
+        "module": {
+            "index.js": "\"use strict\";\n"
+        }
+    },
+    "src": {
+        "debug.log": "",
+        "src-file.js": "\"use strict\";\n",
+        "deep": {
+            "deep-file.js": "\"use strict\";\n",
+            "deeper": {
+                "deeper-file.js": "\"use strict\";\n"
+            }
+        }
+    }
+};
+
+fluid.tests.glob.fileSystem.makeOptions = function (options) {
+    return fluid.extend({ fileSystem: fluid.glob.createMemoryFileSystem(fluid.tests.glob.fileSystem.tree, "/virtual") }, options);
+};
+
+// Run a function while counting calls to Node's own `fs` functions, to confirm that nothing is read from disk.
+fluid.tests.glob.fileSystem.countDiskReads = function (toRun) {
+    var spiedFunctions = ["readdirSync", "statSync", "lstatSync", "readFileSync"];
+    var originals = {};
+    var diskReads = 0;
+    fluid.each(spiedFunctions, function (functionName) {
+        originals[functionName] = fs[functionName];
+        fs[functionName] = function () {
+            diskReads++;
+            return originals[functionName].apply(fs, arguments);
+        };
+    });
+    try {
+        toRun();
+    }
+    finally {
+        fluid.each(originals, function (originalFunction, functionName) {
+            fs[functionName] = originalFunction;
+        });
+    }
+    return diskReads;
+};
+
+fluid.tests.glob.fileSystem.testDefs = {
+    includesAndExcludes: {
+        message: "Includes and excludes should be applied to an in-memory tree.",
+        includes: ["./*.js", "./src/**/*.js"],
+        excludes: ["./src/deep/deeper/**"],
+        expected: ["/virtual/root-file.js", "/virtual/src/deep/deep-file.js", "/virtual/src/src-file.js"]
+    },
+    negatedExclude: {
+        message: "Negated excludes should be applied to an in-memory tree.",
+        includes: ["./src/**/*.js"],
+        excludes: ["./src/deep/**", "!./src/deep/deeper/**"],
+        expected: ["/virtual/src/deep/deeper/deeper-file.js", "/virtual/src/src-file.js"]
+    },
+    ignoreFiles: {
+        message: "Ignore files should be read from an in-memory tree.",
+        includes: ["./src/*"],
+        options: { ignoreFiles: [".gitignore"] },
+        expected: ["/virtual/src/src-file.js"]
+    },
+    directories: {
+        message: "Directories should be matched in an in-memory tree.",
+        includes: ["./src/*/"],
+        options: { entryTypes: ["directories"] },
+        expected: ["/virtual/src/deep"]
+    }
+};
+
+jqUnit.test("Test `findFiles` with an in-memory filesystem.", function () {
+    fluid.each(fluid.tests.glob.fileSystem.testDefs, function (testDef) {
+        var output;
+        var diskReads = fluid.tests.glob.fileSystem.countDiskReads(function () {
+            output = fluid.glob.findFiles("/virtual", testDef.includes, testDef.excludes || [], {}, undefined, fluid.tests.glob.fileSystem.makeOptions(testDef.options));
+        });
+        jqUnit.assertDeepEq(testDef.message, testDef.expected, output);
+        jqUnit.assertEquals(testDef.message + ": nothing should be read from disk.", 0, diskReads);
+    });
+});
+
+jqUnit.asyncTest("Test `findFilesAsync` with an in-memory filesystem.", function () {
+    var testDefs = fluid.tests.glob.fileSystem.testDefs;
+    var testDefKeys = Object.keys(testDefs);
+    var scanPromises = testDefKeys.map(function (testDefKey) {
+        var testDef = testDefs[testDefKey];
+        return fluid.glob.findFilesAsync("/virtual", testDef.includes, testDef.excludes || [], {}, undefined, fluid.tests.glob.fileSystem.makeOptions(testDef.options));
+    });
+    fluid.glob.whenAll(scanPromises).then(function (outputs) {
+        jqUnit.start();
+        fluid.each(testDefKeys, function (testDefKey, index) {
+            jqUnit.assertDeepEq(testDefs[testDefKey].message, testDefs[testDefKey].expected, outputs[index]);
+        });
+    }, function (error) {
+        jqUnit.start();
+        jqUnit.fail("The scan should not have failed: " + error.message);
+    });
+});
+
+jqUnit.test("Detailed results and errors should use the in-memory filesystem.", function () {
+    var output = fluid.glob.findFiles("/virtual", ["./*.json"], [], {}, undefined, fluid.tests.glob.fileSystem.makeOptions({ resultMode: "details" }));
+    jqUnit.assertEquals("The size of the file should be reported.", 2, output[0].stats.size);
+    jqUnit.assertEquals("The type of the file should be reported.", "file", output[0].type);
+
+    var missingOutput = fluid.glob.findFiles("/virtual/missing", ["./*.js"], [], {}, undefined, fluid.tests.glob.fileSystem.makeOptions({ onError: "collect" }));
+    jqUnit.assertDeepEq("A missing root should be reported.", [{ path: "/virtual/missing", code: "ENOENT", syscall: "scandir" }], missingOutput.errors.map(function (error) {
+        return fluid.filterKeys(error, ["path", "code", "syscall"]);
+    }));
+});
+
+jqUnit.test("Test `filterPaths` with an in-memory filesystem.", function () {
+    var fileSystem = fluid.glob.createMemoryFileSystem(fluid.tests.glob.fileSystem.tree, "/virtual");
+    var output = fluid.glob.filterPaths(["/virtual/root-file.js", "/virtual/src/src-file.js", "/virtual/package.json"], ["/virtual/**/*.js"], ["/virtual/src/**"], {}, fileSystem);
+    jqUnit.assertDeepEq("Paths should be statted using the adapter.", ["/virtual/root-file.js"], output);
+});
+
+jqUnit.test("Test `createMemoryFileSystem` function.", function () {
+    var fileSystem = fluid.glob.createMemoryFileSystem(fluid.tests.glob.fileSystem.tree);
+    jqUnit.assertDeepEq("A directory should be listed.", ["deep-file.js", "deeper"], fileSystem.readdir("/src/deep").sort());
+    jqUnit.assertTrue("A directory should be reported as such.", fileSystem.stat("/src/deep").isDirectory());
+    jqUnit.assertTrue("A file should be reported as such.", fileSystem.lstat("/src/src-file.js").isFile());
+    jqUnit.assertNotEquals("Each entry should have a distinct inode.", fileSystem.stat("/src").ino, fileSystem.stat("/src/deep").ino);
+    jqUnit.assertEquals("A file should be readable.", "{}", fileSystem.readFile("/package.json"));
+    jqUnit.assertEquals("A real path should be resolved.", "/src/deep", fileSystem.realpath("/src/./deep/deeper/.."));
+
+    var errorTestDefs = [
+        { message: "A missing entry should be reported.", fn: "stat", path: "/src/missing.js", code: "ENOENT" },
+        { message: "Reading a file as a directory should be reported.", fn: "readdir", path: "/package.json", code: "ENOTDIR" },
+        { message: "Treating a file as a directory should be reported.", fn: "stat", path: "/package.json/file.js", code: "ENOTDIR" },
+        { message: "Reading a directory as a file should be reported.", fn: "readFile", path: "/src", code: "EISDIR" },
+        { message: "Inherited properties should not be found at the root.", fn: "stat", path: "/constructor", code: "ENOENT" },
+        { message: "Inherited properties should not be found in a directory.", fn: "readFile", path: "/src/toString", code: "ENOENT" }
+    ];
+    var mountedSystem = fluid.glob.createMemoryFileSystem(fluid.tests.glob.fileSystem.tree, "/src");
+    errorTestDefs.push({ message: "Paths outside the mount path should not exist.", fn: "stat", path: "/package.json", code: "ENOENT", fileSystem: mountedSystem });
+
+    fluid.each(errorTestDefs, function (testDef) {
+        try {
+            (testDef.fileSystem || fileSystem)[testDef.fn](testDef.path);
+            jqUnit.fail(testDef.message);
+        }
+        catch (error) {
+            jqUnit.assertEquals(testDef.message, testDef.code, error.code);
+        }
+    });
+});
@@ -1,7 +1,9 @@
 "use strict";
-var fluid  = require("infusion");
-var jqUnit = require("node-jqunit");
-var path   = require("path");
+var fluid     = require("infusion");
+var jqUnit    = require("node-jqunit");
+var path      = require("path");
+var fs        = require("fs");
+var minimatch = require("minimatch");
 
 require("../../");
 
@@ -125,6 +127,22 @@ jqUnit.test("Test `findFiles` function.", function () {
             },
             expectedErrors: ["One or more glob patterns you have entered are invalid.  Cannot continue."]
         },
+        braceSet: {
+            message: "We should be able to work with brace sets.",
+            includes: ["./{src,tests}/*.js"],
+            excludes: [],
+            minimatchOptions: {},
+            expected: ["./src/src-file.js", "./tests/test-file.js"],
+            expectedErrors: []
+        },
+        extglob: {
+            message: "We should be able to work with extglobs and character classes.",
+            includes: ["./@(src|tests)/[d]eep/*.js"],
+            excludes: ["./t*/**/*.js"],
+            minimatchOptions: {},
+            expected: ["./src/deep/deep-file.js"],
+            expectedErrors: []
+        },
         removeDefaultRules: {
             message: "We should be able to remove a default 'invalid pattern' rule.",
             includes: ["./**/deep-file.js"],
@@ -172,3 +190,510 @@ jqUnit.test("Test `findFiles` function.", function () {
         }
     });
 });
+
+jqUnit.test("Test `findFiles` with detailed results.", function () {
+    var rootPath = fluid.module.resolvePath("%fluid-glob/tests/find-fixture");
+    var includes = ["./src/**/*.js", "./*.js"];
+    var excludes = ["./src/deep/**/*.js", "!./src/**/deeper/*.js"];
+    var output = fluid.glob.findFiles(rootPath, includes, excludes, {}, undefined, { resultMode: "details" });
+
+    var expected = [
+        { relativePath: "root-file.js", include: "./*.js", rescuedBy: undefined },
+        { relativePath: "src/deep/deeper/deeper-file.js", include: "./src/**/*.js", rescuedBy: "!./src/**/deeper/*.js" },
+        { relativePath: "src/src-file.js", include: "./src/**/*.js", rescuedBy: undefined }
+    ];
+
+    jqUnit.assertEquals("The expected number of results should be returned.", expected.length, output.length);
+    fluid.each(expected, function (expectedDetails, index) {
+        var details = output[index];
+        var fullPath = path.posix.resolve(fluid.glob.sanitisePath(rootPath), expectedDetails.relativePath);
+        jqUnit.assertEquals("The full path should be included.", fullPath, details.path);
+        jqUnit.assertEquals("The relative path should be included.", expectedDetails.relativePath, details.relativePath);
+        jqUnit.assertEquals("The matching include should be reported.", expectedDetails.include, details.include);
+        jqUnit.assertEquals("Any rescuing negated exclude should be reported.", expectedDetails.rescuedBy, details.rescuedBy);
+        jqUnit.assertEquals("The file's stats should be included.", fs.statSync(fullPath).size, details.stats.size);
+        jqUnit.assertTrue("The file's modification time should be included.", details.stats.mtime instanceof Date);
+    });
+});
+
+jqUnit.test("Detailed results should report brace sets as originally supplied.", function () {
+    var rootPath = fluid.module.resolvePath("%fluid-glob/tests/find-fixture");
+    var output = fluid.glob.findFiles(rootPath, ["./{src,tests}/*.js"], [], {}, undefined, { resultMode: "details" });
+    jqUnit.assertDeepEq("The unexpanded include should be reported for each match.", ["./{src,tests}/*.js", "./{src,tests}/*.js"], fluid.getMembers(output, "include"));
+});
+
+jqUnit.test("Test `findFiles` with ignore files.", function () {
+    var rootPath = fluid.module.resolvePath("%fluid-glob/tests/find-fixture");
+    var testDefs = {
+        ignoreFiles: {
+            message: "Rules in ignore files at the root and in sub-directories should be respected.",
+            excludes: [],
+            expected: ["./root-file.js", "./src/deep/deep-file.js", "./src/deep/deeper/deeper-file.js", "./tests/test-file.js"]
+        },
+        negatedExclude: {
+            message: "A negated exclude should be able to rescue ignored material.",
+            excludes: ["!./tests/deep/**/*.js"],
+            expected: [
+                "./root-file.js",
+                "./src/deep/deep-file.js",
+                "./src/deep/deeper/deeper-file.js",
+                "./tests/deep/deep-file.js",
+                "./tests/deep/deeper/deeper-file.js",
+                "./tests/test-file.js"
+            ]
+        }
+    };
+
+    fluid.each(testDefs, function (testDef) {
+        var output = fluid.glob.findFiles(rootPath, ["./**/*.js"], testDef.excludes, {}, {}, { ignoreFiles: [".fixtureignore"] });
+        var pathedExpected = testDef.expected.map(function (singlePath) {
+            return path.posix.resolve(fluid.glob.sanitisePath(rootPath), singlePath);
+        });
+        jqUnit.assertDeepEq(testDef.message, pathedExpected, output);
+    });
+});
+
+jqUnit.test("Test `findFiles` with entry types.", function () {
+    var rootPath = fluid.module.resolvePath("%fluid-glob/tests/find-fixture");
+    var testDefs = {
+        directoriesOnly: {
+            message: "We should be able to find directories instead of files.",
+            includes: ["./*/"],
+            excludes: [],
+            entryTypes: ["directories"],
+            expected: ["./node_modules", "./src", "./tests"]
+        },
+        filesAndDirectories: {
+            message: "Directories should be returned ahead of their contents.",
+            includes: ["./src/**"],
+            excludes: [],
+            entryTypes: ["files", "directories"],
+            expected: ["./src/deep", "./src/deep/deep-file.js", "./src/deep/deeper", "./src/deep/deeper/deeper-file.js", "./src/src-file.js"]
+        },
+        trailingSlash: {
+            message: "A pattern with a trailing slash should only match directories.",
+            includes: ["./src/**/"],
+            excludes: [],
+            entryTypes: ["files", "directories"],
+            expected: ["./src/deep", "./src/deep/deeper"]
+        },
+        excludedDirectory: {
+            message: "Excludes should apply to directories.",
+            includes: ["./*/", "./*.js"],
+            excludes: ["./node_modules/"],
+            entryTypes: ["files", "directories"],
+            expected: ["./root-file.js", "./src", "./tests"]
+        },
+        filesOnly: {
+            message: "Directories should not be returned by default.",
+            includes: ["./src/*/"],
+            excludes: [],
+            expected: []
+        }
+    };
+
+    fluid.each(testDefs, function (testDef) {
+        var output = fluid.glob.findFiles(rootPath, testDef.includes, testDef.excludes, {}, undefined, { entryTypes: testDef.entryTypes });
+        var pathedExpected = testDef.expected.map(function (singlePath) {
+            return path.posix.resolve(fluid.glob.sanitisePath(rootPath), singlePath);
+        });
+        jqUnit.assertDeepEq(testDef.message, pathedExpected, output);
+    });
+});
+
+jqUnit.test("Test `findFiles` with depth limits and budgets.", function () {
+    var rootPath = fluid.module.resolvePath("%fluid-glob/tests/find-fixture");
+    var testDefs = {
+        maxDepth: {
+            message: "Material deeper than `maxDepth` should not be scanned.",
+            includes: ["./**/*.js"],
+            options: { maxDepth: 2 },
+            expected: ["./node_modules/root.js", "./root-file.js", "./src/src-file.js", "./tests/test-file.js"]
+        },
+        minDepth: {
+            message: "Material shallower than `minDepth` should not be returned.",
+            includes: ["./src/**/*.js", "./*.js"],
+            options: { minDepth: 3 },
+            expected: ["./src/deep/deep-file.js", "./src/deep/deeper/deeper-file.js"]
+        },
+        maxResults: {
+            message: "The scan should stop once `maxResults` matches have been found.",
+            includes: ["./src/**/*.js"],
+            options: { maxResults: 2 },
+            expected: ["./src/deep/deep-file.js", "./src/deep/deeper/deeper-file.js"],
+            truncated: "maxResults"
+        },
+        maxResultsNotReached: {
+            message: "The results should not be truncated if there are exactly `maxResults` matches.",
+            includes: ["./src/**/*.js"],
+            options: { maxResults: 3 },
+            expected: ["./src/deep/deep-file.js", "./src/deep/deeper/deeper-file.js", "./src/src-file.js"],
+            truncated: false
+        },
+        maxEntriesVisited: {
+            message: "The scan should stop once `maxEntriesVisited` entries have been checked.",
+            includes: ["./**/*.js"],
+            options: { maxEntriesVisited: 4 },
+            expected: ["./root-file.js"],
+            truncated: "maxEntriesVisited"
+        }
+    };
+
+    fluid.each(testDefs, function (testDef) {
+        var output = fluid.glob.findFiles(rootPath, testDef.includes, [], {}, {}, testDef.options);
+        var pathedExpected = testDef.expected.map(function (singlePath) {
+            return path.posix.resolve(fluid.glob.sanitisePath(rootPath), singlePath);
+        });
+        if (testDef.truncated === undefined) {
+            jqUnit.assertDeepEq(testDef.message, pathedExpected, output);
+        }
+        else {
+            jqUnit.assertDeepEq(testDef.message, pathedExpected, output.matches);
+            jqUnit.assertEquals("The truncation should be reported correctly.", testDef.truncated, output.truncated);
+        }
+    });
+});
+
+fluid.registerNamespace("fluid.tests.glob");
+
+// List every file beneath a directory, without any pruning.
+fluid.tests.glob.listAllFiles = function (dirPath) {
+    var allFiles = [];
+    fluid.each(fs.readdirSync(dirPath).sort(), function (fileName) {
+        var filePath = path.posix.resolve(dirPath, fileName);
+        if (fs.statSync(filePath).isDirectory()) {
+            allFiles = allFiles.concat(fluid.tests.glob.listAllFiles(filePath));
+        }
+        else {
+            allFiles.push(filePath);
+        }
+    });
+    return allFiles;
+};
+
+jqUnit.test("Directory pruning should agree with file-level matching.", function () {
+    var rootPath = fluid.glob.sanitisePath(fluid.module.resolvePath("%fluid-glob/tests/find-fixture"));
+    var allFiles = fluid.tests.glob.listAllFiles(rootPath);
+    var testDefs = [
+        { include: "./src/*/deeper/*.js" },
+        { include: "./*/deep/**" },
+        { include: "./?ests/**/*.js" },
+        { include: "./SRC/**/*.JS", minimatchOptions: { nocase: true } },
+        { include: "./**/.fixtureignore", minimatchOptions: { dot: true } },
+        { include: "./**/.fixtureignore" },
+        { include: "deep-file.js", minimatchOptions: { matchBase: true } },
+        { include: "deep-file.js" }
+    ];
+
+    fluid.each(testDefs, function (testDef) {
+        var pathedInclude = fluid.glob.addPathToPatterns(rootPath, [testDef.include])[0];
+        var expected = allFiles.filter(function (filePath) {
+            return minimatch(filePath, pathedInclude, testDef.minimatchOptions || {});
+        });
+        var output = fluid.glob.findFiles(rootPath, [testDef.include], [], testDef.minimatchOptions, {});
+        jqUnit.assertDeepEq("The scan should find every file that minimatch would match for '" + testDef.include + "' (" + JSON.stringify(testDef.minimatchOptions) + ").", expected, output);
+    });
+});
+
+jqUnit.test("Matchers should agree with `findFiles`.", function () {
+    var rootPath = fluid.glob.sanitisePath(fluid.module.resolvePath("%fluid-glob/tests/find-fixture"));
+    var allFiles = fluid.tests.glob.listAllFiles(rootPath);
+    var testDefs = [
+        { includes: ["./src/**/*.js", "./*.js"], excludes: ["./src/deep/**"] },
+        { includes: ["./src/**/*.js", "!./src/deep/**"], excludes: ["!./src/deep/deeper/**"] },
+        { includes: ["./**/*.js"], excludes: ["./node_modules/", "./tests/**/deeper/"], rules: {} },
+        { includes: ["./{src,tests}/**/*-file.js"], excludes: ["./@(src|tests)/deep/*.js"] },
+        { includes: ["./SRC/**/*.JS"], minimatchOptions: { nocase: true } },
+        { includes: ["./**/.fixtureignore"], minimatchOptions: { dot: true }, rules: {} }
+    ];
+
+    fluid.each(testDefs, function (testDef) {
+        var matcher = fluid.glob.createMatcher(rootPath, testDef.includes, testDef.excludes, { minimatchOptions: testDef.minimatchOptions, rules: testDef.rules });
+        var output = fluid.glob.findFiles(rootPath, testDef.includes, testDef.excludes || [], testDef.minimatchOptions, testDef.rules);
+        jqUnit.assertDeepEq("The matcher should select the same files as `findFiles` for " + JSON.stringify(testDef) + ".", output, allFiles.filter(function (filePath) {
+            return matcher(filePath);
+        }));
+    });
+});
+
+jqUnit.test("Test `createMatcher` function.", function () {
+    // `expectFrameworkDiagnostic` increments the expected count itself, so we only count the other assertions.
+    jqUnit.expect(8);
+    var rootPath = fluid.glob.sanitisePath(fluid.module.resolvePath("%fluid-glob/tests/find-fixture"));
+    var matcher = fluid.glob.createMatcher("%fluid-glob/tests/find-fixture", ["./src/**/*.js", "./packages/*/"], ["./src/vendor/"]);
+
+    jqUnit.assertTrue("A relative path should be matched.", matcher("src/app/index.js"));
+    jqUnit.assertTrue("A full path should be matched.", matcher(rootPath + "/src/app/index.js"));
+    jqUnit.assertFalse("A file beneath an excluded directory should not be matched.", matcher("src/vendor/lib.js"));
+    jqUnit.assertFalse("A directory-only pattern should not match a file.", matcher("packages/core"));
+    jqUnit.assertTrue("A directory-only pattern should match a directory.", matcher("packages/core", true));
+    jqUnit.assertFalse("A directory that only contains matches should not be matched itself.", matcher("src/app", true));
+    jqUnit.assertFalse("A path outside the root should not be matched.", matcher(rootPath + "-other/src/index.js"));
+    jqUnit.assertFalse("A path that leaves the root should not be matched.", matcher("src/../../src/index.js"));
+
+    jqUnit.expectFrameworkDiagnostic("Invalid patterns should be rejected.", function () {
+        fluid.glob.createMatcher(rootPath, ["./**/*.js"]);
+    }, [fluid.glob.invalidPatternsMessage]);
+});
+
+// Filter an actual value down to the (deep) structure of an expected value, so that we can compare only the material we care about.
+fluid.tests.glob.filterToExpected = function (expected, actual) {
+    if (fluid.isPrimitive(expected) || fluid.isPrimitive(actual)) {
+        return actual;
+    }
+    var filtered = fluid.isArrayable(expected) ? [] : {};
+    fluid.each(expected, function (expectedValue, key) {
+        filtered[key] = fluid.tests.glob.filterToExpected(expectedValue, actual[key]);
+    });
+    return filtered;
+};
+
+jqUnit.test("Test `explain` function.", function () {
+    var rootPath = fluid.glob.sanitisePath(fluid.module.resolvePath("%fluid-glob/tests/find-fixture"));
+    var testDefs = {
+        included: {
+            message: "A file matched by an include should be explained.",
+            includes: ["./src/**/*.js"],
+            excludes: [],
+            candidatePath: "./src/deep/deep-file.js",
+            expected: {
+                relativePath: "src/deep/deep-file.js",
+                included: true,
+                steps: [
+                    { path: rootPath + "/src", stage: "include", pattern: "./src/**/*.js", outcome: "entered" },
+                    { path: rootPath + "/src", stage: "exclude", outcome: "entered" },
+                    { path: rootPath + "/src/deep", stage: "include", pattern: "./src/**/*.js", outcome: "entered" },
+                    { path: rootPath + "/src/deep", stage: "exclude", outcome: "entered" },
+                    { path: rootPath + "/src/deep/deep-file.js", stage: "include", pattern: "./src/**/*.js", outcome: "included" },
+                    { path: rootPath + "/src/deep/deep-file.js", stage: "exclude", outcome: "included" }
+                ]
+            }
+        },
+        negatedInclude: {
+            message: "A file removed by a negated include should be explained.",
+            includes: ["./src/**/*.js", "!./src/**/deeper/*.js"],
+            excludes: [],
+            candidatePath: rootPath + "/src/deep/deeper/deeper-file.js",
+            expected: {
+                included: false,
+                steps: {
+                    6: { stage: "include", outcome: "included" },
+                    7: { stage: "negatedInclude", pattern: "!./src/**/deeper/*.js", outcome: "excluded" }
+                }
+            }
+        },
+        negatedExclude: {
+            message: "A file rescued by a negated exclude should be explained.",
+            includes: ["./src/**/*.js"],
+            excludes: ["./src/deep/**/*.js", "!./src/**/deeper/*.js"],
+            candidatePath: "src/deep/deeper/deeper-file.js",
+            expected: {
+                included: true,
+                steps: {
+                    7: { stage: "negatedExclude", pattern: "!./src/**/deeper/*.js", outcome: "included" }
+                }
+            }
+        },
+        pruned: {
+            message: "A file in a directory that is never entered should be explained.",
+            includes: ["./src/**/*.js"],
+            excludes: [],
+            candidatePath: "./tests/deep/deep-file.js",
+            expected: {
+                included: false,
+                prunedAt: rootPath + "/tests",
+                steps: [
+                    { path: rootPath + "/tests", stage: "include", outcome: "pruned" },
+                    { path: rootPath + "/tests/deep/deep-file.js", stage: "directory", outcome: "excluded" }
+                ]
+            }
+        },
+        directory: {
+            message: "A directory should never be included.",
+            includes: ["./src/**/*.js"],
+            excludes: [],
+            candidatePath: "./src/deep",
+            expected: {
+                included: false,
+                steps: { 4: { stage: "type", outcome: "excluded" } }
+            }
+        },
+        outsideRoot: {
+            message: "A path outside the root should never be included.",
+            includes: ["./src/**/*.js"],
+            excludes: [],
+            candidatePath: "../glob.js",
+            expected: {
+                included: false,
+                steps: [{ stage: "root", outcome: "excluded" }]
+            }
+        }
+    };
+
+    fluid.each(testDefs, function (testDef) {
+        var explanation = fluid.glob.explain(rootPath, testDef.includes, testDef.excludes, testDef.candidatePath);
+        jqUnit.assertDeepEq(testDef.message, testDef.expected, fluid.tests.glob.filterToExpected(testDef.expected, explanation));
+        if (fluid.isArrayable(testDef.expected.steps)) {
+            jqUnit.assertEquals(testDef.message + ": step count", testDef.expected.steps.length, explanation.steps.length);
+        }
+
+        var output = fluid.glob.findFiles(rootPath, testDef.includes, testDef.excludes);
+        jqUnit.assertEquals(testDef.message + ": consistency with `findFiles`", output.indexOf(explanation.path) !== -1, explanation.included);
+    });
+});
+
+jqUnit.test("Test `explain` function with scan options.", function () {
+    var rootPath = fluid.glob.sanitisePath(fluid.module.resolvePath("%fluid-glob/tests/find-fixture"));
+    var memoryFileSystem = fluid.glob.createMemoryFileSystem({ src: { "index.js": "", lib: { "lib-file.js": "" } } }, "/virtual");
+    var testDefs = {
+        ignoredDirectory: {
+            message: "A directory matched by an ignore rule should be pruned.",
+            rootPath: rootPath,
+            includes: ["./**/*.js"],
+            candidatePath: "./tests/deep/deep-file.js",
+            options: { ignoreFiles: [".fixtureignore"] },
+            expected: {
+                included: false,
+                prunedAt: rootPath + "/tests/deep",
+                steps: { 4: { stage: "ignore", pattern: rootPath + "/.fixtureignore:3: /tests/deep/", outcome: "pruned" } }
+            }
+        },
+        ignoredFile: {
+            message: "A file matched by an ignore rule should be excluded.",
+            rootPath: rootPath,
+            includes: ["./**/*.js"],
+            candidatePath: "./src/src-file.js",
+            options: { ignoreFiles: [".fixtureignore"] },
+            expected: {
+                included: false,
+                steps: { 4: { stage: "ignore", pattern: rootPath + "/src/.fixtureignore:1: src-file.js", outcome: "excluded" } }
+            }
+        },
+        rescuedByIgnoreRule: {
+            message: "A file brought back by a negated ignore rule should be included.",
+            rootPath: rootPath,
+            includes: ["./**/*.js"],
+            candidatePath: "./src/deep/deeper/deeper-file.js",
+            options: { ignoreFiles: [".fixtureignore"] },
+            expected: { included: true }
+        },
+        directoryEntries: {
+            message: "A directory should be included if directories are returned.",
+            rootPath: rootPath,
+            includes: ["./src/*"],
+            candidatePath: "./src/deep",
+            options: { entryTypes: ["files", "directories"] },
+            expected: {
+                included: true,
+                steps: { 2: { stage: "include", pattern: "./src/*", outcome: "included" } }
+            }
+        },
+        fileEntries: {
+            message: "A file should be excluded if only directories are returned.",
+            rootPath: rootPath,
+            includes: ["./src/*"],
+            candidatePath: "./src/src-file.js",
+            options: { entryTypes: ["directories"] },
+            expected: {
+                included: false,
+                steps: { 4: { stage: "type", outcome: "excluded" } }
+            }
+        },
+        fileSystem: {
+            message: "The candidate should be read using the `fileSystem` adapter.",
+            rootPath: "/virtual",
+            includes: ["./src/**"],
+            candidatePath: "./src/lib",
+            options: { fileSystem: memoryFileSystem },
+            expected: {
+                included: false,
+                steps: { 4: { stage: "type", isDir: true, outcome: "excluded" } }
+            }
+        },
+        maxDepth: {
+            message: "A directory at the `maxDepth` should be pruned.",
+            rootPath: rootPath,
+            includes: ["./**/*.js"],
+            candidatePath: "./src/deep/deep-file.js",
+            options: { maxDepth: 1 },
+            expected: {
+                included: false,
+                prunedAt: rootPath + "/src",
+                steps: { 2: { stage: "depth", outcome: "pruned" } }
+            }
+        },
+        minDepth: {
+            message: "A file above the `minDepth` should be excluded.",
+            rootPath: rootPath,
+            includes: ["./**/*.js"],
+            candidatePath: "./root-file.js",
+            options: { minDepth: 2 },
+            expected: {
+                included: false,
+                steps: { 2: { stage: "depth", outcome: "excluded" } }
+            }
+        },
+        withinDepth: {
+            message: "A file between the `minDepth` and `maxDepth` should be included.",
+            rootPath: rootPath,
+            includes: ["./**/*.js"],
+            candidatePath: "./src/deep/deep-file.js",
+            options: { minDepth: 2, maxDepth: 3 },
+            expected: { included: true }
+        },
+        minSize: {
+            message: "A file smaller than the `minSize` should be excluded.",
+            rootPath: rootPath,
+            includes: ["./**/*.js"],
+            candidatePath: "./src/src-file.js",
+            options: { minSize: 1000 },
+            expected: {
+                included: false,
+                steps: { 4: { stage: "content", outcome: "excluded" } }
+            }
+        },
+        contentPattern: {
+            message: "A file whose content does not match the `contentPattern` should be excluded.",
+            rootPath: rootPath,
+            includes: ["./**/*.js"],
+            candidatePath: "./src/src-file.js",
+            options: { contentPattern: "no such content" },
+            expected: {
+                included: false,
+                steps: { 4: { stage: "content", outcome: "excluded" } }
+            }
+        },
+        matchingContent: {
+            message: "A file that passes the content filters should be included.",
+            rootPath: rootPath,
+            includes: ["./**/*.js"],
+            candidatePath: "./src/src-file.js",
+            options: { contentPattern: "use strict", maxSize: 1000 },
+            expected: { included: true }
+        },
+        fileSystemWindows: {
+            message: "The `fileSystem` adapter should be used with Windows paths.",
+            rootPath: "c:\\virtual",
+            includes: ["./src/**"],
+            candidatePath: "c:\\virtual\\src\\lib\\lib-file.js",
+            options: { fileSystem: memoryFileSystem, pathStyle: "win32" },
+            resultPath: "c:\\virtual\\src\\lib\\lib-file.js",
+            expected: { included: true }
+        }
+    };
+
+    fluid.each(testDefs, function (testDef) {
+        var explanation = fluid.glob.explain(testDef.rootPath, testDef.includes, [], testDef.candidatePath, {}, {}, testDef.options);
+        jqUnit.assertDeepEq(testDef.message, testDef.expected, fluid.tests.glob.filterToExpected(testDef.expected, explanation));
+
+        var output = fluid.glob.findFiles(testDef.rootPath, testDef.includes, [], {}, {}, testDef.options);
+        jqUnit.assertEquals(testDef.message + ": consistency with `findFiles`", output.indexOf(testDef.resultPath || explanation.path) !== -1, explanation.included);
+    });
+});
+
+jqUnit.test("Test `explain` function with invalid patterns.", function () {
+    var rootPath = fluid.module.resolvePath("%fluid-glob/tests/find-fixture");
+    jqUnit.expectFrameworkDiagnostic("Invalid patterns should be rejected.", function () {
+        fluid.glob.explain(rootPath, ["./**"], [], "./root-file.js");
+    }, [fluid.glob.invalidPatternsMessage]);
+});
@@ -0,0 +1,204 @@
+"use strict";
+var fluid        = require("infusion");
+var jqUnit       = require("node-jqunit");
+var path         = require("path");
+var fs           = require("fs");
+var childProcess = require("child_process");
+
+require("../../");
+require("./lib/fixtures");
+
+jqUnit.module("Tests for git-aware scans.", fluid.tests.glob.fixtures.testEnvironment);
+
+fluid.registerNamespace("fluid.tests.glob.git");
+
+fluid.tests.glob.git.runGit = function (repoPath, gitArgs) {
+    var configArgs = ["-c", "user.name=fluid-glob", "-c", "user.email=fluid-glob@example.com", "-c", "commit.gpgsign=false", "-c", "init.defaultBranch=main"];
+    return childProcess.execFileSync("git", configArgs.concat(gitArgs), { cwd: repoPath, encoding: "utf8", stdio: "pipe" });
+};
+
+fluid.tests.glob.git.fileContent = "\"use strict\";\n";
+fluid.tests.glob.git.changedContent = "\"use strict\";\n// Changed.\n";
+
+/*
+
+    Create a temporary git repository with the following structure:
+
+    - .gitignore (ignores "node_modules/" and "*.log")
+    - committed.js (committed, then changed but not staged)
+    - debug.log (ignored)
+    - untracked.js (untracked)
+    - node_modules (ignored)
+      - module
+        - index.js
+    - src
+      - deleted.js (committed, then deleted)
+      - src-file.js (committed)
+      - staged.js (added and staged, but not committed)
+      - deep
+        - deep-file.js (committed in the first commit, and changed in the second)
+        - excluded.js (committed)
+
+ */
+fluid.tests.glob.git.makeFixture = function () {
+    var fileContent = fluid.tests.glob.git.fileContent;
+    var repoPath = fluid.tests.glob.fixtures.makeTempDir("fluid-glob-git-");
+    fluid.tests.glob.git.runGit(repoPath, ["init", "--quiet"]);
+    fluid.tests.glob.fixtures.writeFiles(repoPath, {
+        ".gitignore": "node_modules/\n*.log\n",
+        "committed.js": fileContent,
+        "src/deleted.js": fileContent,
+        "src/src-file.js": fileContent,
+        "src/deep/deep-file.js": fileContent,
+        "src/deep/excluded.js": fileContent
+    });
+    fluid.tests.glob.git.runGit(repoPath, ["add", "."]);
+    fluid.tests.glob.git.runGit(repoPath, ["commit", "--quiet", "-m", "First commit."]);
+    fluid.tests.glob.git.runGit(repoPath, ["tag", "first"]);
+
+    fluid.tests.glob.fixtures.writeFiles(repoPath, { "src/deep/deep-file.js": fluid.tests.glob.git.changedContent });
+    fluid.tests.glob.git.runGit(repoPath, ["commit", "--quiet", "-a", "-m", "Second commit."]);
+
+    fluid.tests.glob.fixtures.writeFiles(repoPath, { "committed.js": fluid.tests.glob.git.changedContent, "src/staged.js": fileContent });
+    fluid.tests.glob.git.runGit(repoPath, ["add", "src/staged.js"]);
+    fs.unlinkSync(path.posix.resolve(repoPath, "src/deleted.js"));
+    return fluid.tests.glob.fixtures.writeFiles(repoPath, {
+        "untracked.js": fileContent,
+        "debug.log": "",
+        "node_modules/module/index.js": fileContent
+    });
+};
+
+fluid.tests.glob.git.testDefs = {
+    tracked: {
+        message: "Only tracked files should be returned.",
+        options: { gitFiles: "tracked" },
+        expected: ["committed.js", "src/deep/deep-file.js", "src/src-file.js", "src/staged.js"]
+    },
+    staged: {
+        message: "Only staged files should be returned.",
+        options: { gitFiles: "staged" },
+        expected: ["src/staged.js"]
+    },
+    changed: {
+        message: "Files changed since HEAD should be returned.",
+        options: { gitFiles: "changed" },
+        expected: ["committed.js", "src/staged.js"]
+    },
+    changedSinceRef: {
+        message: "Files changed since a given ref should be returned.",
+        options: { gitFiles: "changed", gitRef: "first" },
+        expected: ["committed.js", "src/deep/deep-file.js", "src/staged.js"]
+    },
+    negatedExclude: {
+        message: "Negated excludes should still be applied.",
+        excludes: ["./src/**", "!./src/deep/excluded.js"],
+        options: { gitFiles: "tracked" },
+        expected: ["committed.js", "src/deep/excluded.js"]
+    },
+    directories: {
+        message: "Only directories containing listed files should be returned.",
+        includes: ["./**/"],
+        options: { gitFiles: "staged", entryTypes: ["directories"] },
+        expected: ["src"]
+    }
+};
+
+fluid.tests.glob.git.defaultIncludes = ["./**/*.js", "./**/*.log"];
+fluid.tests.glob.git.defaultExcludes = ["./src/deep/excluded.js"];
+
+fluid.tests.glob.git.relativise = function (repoPath, results) {
+    return results.map(function (result) {
+        return path.posix.relative(repoPath, result);
+    });
+};
+
+jqUnit.test("Test `gitFiles` option with `findFiles`.", function () {
+    var repoPath = fluid.tests.glob.git.makeFixture();
+    fluid.each(fluid.tests.glob.git.testDefs, function (testDef) {
+        var output = fluid.glob.findFiles(repoPath, testDef.includes || fluid.tests.glob.git.defaultIncludes, testDef.excludes || fluid.tests.glob.git.defaultExcludes, {}, {}, testDef.options);
+        jqUnit.assertDeepEq(testDef.message, testDef.expected, fluid.tests.glob.git.relativise(repoPath, output));
+    });
+
+    var subdirOutput = fluid.glob.findFiles(repoPath + "/src", ["./**/*.js"], [], {}, {}, { gitFiles: "changed", gitRef: "first" });
+    jqUnit.assertDeepEq("Scans rooted in a sub-directory of the repository should be supported.", ["deep/deep-file.js", "staged.js"], fluid.tests.glob.git.relativise(repoPath + "/src", subdirOutput));
+});
+
+jqUnit.test("Test `gitFiles` option with `explain`.", function () {
+    var repoPath = fluid.tests.glob.git.makeFixture();
+    var candidatePaths = ["committed.js", "untracked.js", "src/staged.js", "src/deep/deep-file.js", "src"];
+    fluid.each(fluid.tests.glob.git.testDefs, function (testDef) {
+        var includes = testDef.includes || fluid.tests.glob.git.defaultIncludes;
+        var excludes = testDef.excludes || fluid.tests.glob.git.defaultExcludes;
+        var output = fluid.glob.findFiles(repoPath, includes, excludes, {}, {}, testDef.options);
+        fluid.each(candidatePaths, function (candidatePath) {
+            var explanation = fluid.glob.explain(repoPath, includes, excludes, candidatePath, {}, {}, testDef.options);
+            jqUnit.assertEquals(testDef.message + ": '" + candidatePath + "' should be explained consistently with `findFiles`.", output.indexOf(repoPath + "/" + candidatePath) !== -1, explanation.included);
+        });
+    });
+
+    var explanation = fluid.glob.explain(repoPath, ["./**/*.js"], [], "./src/deep/deep-file.js", {}, {}, { gitFiles: "staged" });
+    jqUnit.assertEquals("A directory without any staged files should be pruned.", repoPath + "/src/deep", explanation.prunedAt);
+    jqUnit.assertLeftHand("The directory should be pruned by git.", { path: repoPath + "/src/deep", stage: "git", outcome: "pruned" }, explanation.steps[explanation.steps.length - 2]);
+
+    var fileExplanation = fluid.glob.explain(repoPath, ["./**/*.js"], [], "./committed.js", {}, {}, { gitFiles: "staged" });
+    jqUnit.assertLeftHand("A file that is not staged should be excluded by git.", { stage: "git", outcome: "excluded" }, fileExplanation.steps[fileExplanation.steps.length - 1]);
+});
+
+jqUnit.test("Directories ignored by git should not be read.", function () {
+    var repoPath = fluid.tests.glob.git.makeFixture();
+    var originalReaddirSync = fs.readdirSync;
+    var readPaths = [];
+    fs.readdirSync = function (dirPath) {
+        readPaths.push(fluid.glob.sanitisePath(dirPath));
+        return originalReaddirSync.apply(fs, arguments);
+    };
+    try {
+        fluid.glob.findFiles(repoPath, ["./**/*.js"], [], {}, {}, { gitFiles: "tracked" });
+    }
+    finally {
+        fs.readdirSync = originalReaddirSync;
+    }
+    jqUnit.assertDeepEq("Only directories containing tracked files should have been read.", [repoPath, repoPath + "/src", repoPath + "/src/deep"], readPaths.sort());
+});
+
+jqUnit.asyncTest("Test `gitFiles` option with `findFilesAsync` and `iterateFiles`.", function () {
+    var repoPath = fluid.tests.glob.git.makeFixture();
+    var testDef = fluid.tests.glob.git.testDefs.changedSinceRef;
+    var asyncPromise = fluid.glob.findFilesAsync(repoPath, fluid.tests.glob.git.defaultIncludes, fluid.tests.glob.git.defaultExcludes, {}, {}, testDef.options);
+    var iteratorPromise = fluid.glob.iterateFiles(repoPath, fluid.tests.glob.git.defaultIncludes, fluid.tests.glob.git.defaultExcludes, {}, {}, testDef.options).next();
+    fluid.glob.whenAll([asyncPromise, iteratorPromise]).then(function (outputs) {
+        jqUnit.start();
+        jqUnit.assertDeepEq("The asynchronous scan should return the expected results.", testDef.expected, fluid.tests.glob.git.relativise(repoPath, outputs[0]));
+        jqUnit.assertEquals("The iterator should return the first expected result.", testDef.expected[0], path.posix.relative(repoPath, outputs[1].value));
+    }, function (error) {
+        jqUnit.start();
+        jqUnit.fail("The scan should not have failed: " + error.message);
+    });
+});
+
+jqUnit.test("Invalid git options and directories outside a repository should be reported.", function () {
+    var fixturePath = fluid.tests.glob.fixtures.makeTempDir("fluid-glob-no-git-");
+    jqUnit.expectFrameworkDiagnostic("A directory outside of a repository should be reported.", function () {
+        fluid.glob.findFiles(fixturePath, ["./*.js"], [], {}, {}, { gitFiles: "tracked" });
+    }, ["Cannot list files using git in '" + fixturePath + "'"]);
+
+    jqUnit.expectFrameworkDiagnostic("An invalid `gitFiles` option should be reported.", function () {
+        fluid.glob.findFiles("%fluid-glob/tests/find-fixture", ["./*.js"], [], {}, {}, { gitFiles: "modified" });
+    }, ["Invalid `gitFiles` option 'modified'"]);
+
+    jqUnit.expectFrameworkDiagnostic("A ref that could be mistaken for an option should be reported.", function () {
+        fluid.glob.findFiles("%fluid-glob/tests/find-fixture", ["./*.js"], [], {}, {}, { gitFiles: "changed", gitRef: "--output=file" });
+    }, ["Invalid `gitRef` option '--output=file'"]);
+});
+
+jqUnit.asyncTest("Asynchronous scans outside a repository should be rejected.", function () {
+    var fixturePath = fluid.tests.glob.fixtures.makeTempDir("fluid-glob-no-git-");
+    fluid.glob.findFilesAsync(fixturePath, ["./*.js"], [], {}, {}, { gitFiles: "tracked" }).then(function () {
+        jqUnit.start();
+        jqUnit.fail("The scan should have failed.");
+    }, function (error) {
+        jqUnit.start();
+        jqUnit.assertTrue("The failure should be described.", error.message.indexOf("Cannot list files using git in '" + fixturePath + "'") === 0);
+    });
+});
@@ -0,0 +1,88 @@
+"use strict";
+var fluid = require("infusion");
+var path  = require("path");
+var fs    = require("fs");
+var os    = require("os");
+
+require("../../../");
+
+fluid.registerNamespace("fluid.tests.glob.fixtures");
+
+// The temporary directories created by `fluid.tests.glob.fixtures.makeTempDir` that have not yet been removed.
+fluid.tests.glob.fixtures.tempDirs = [];
+
+/**
+ *
+ * Create a temporary directory, which is removed by `fluid.tests.glob.fixtures.removeTempDirs`.  Test modules that
+ * use temporary directories should pass `fluid.tests.glob.fixtures.testEnvironment` to `jqUnit.module`, so that each
+ * directory is removed once the test that created it has finished, whether or not it passed.  Any directories that
+ * are left over are removed when the process exits.
+ *
+ * @param {String} prefix - The prefix to use for the name of the directory, for example "fluid-glob-cache-".
+ * @return {String} - The full (real, POSIX-style) path to the new directory.
+ *
+ */
+fluid.tests.glob.fixtures.makeTempDir = function (prefix) {
+    var tempDir = fluid.glob.sanitisePath(fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), prefix))));
+    fluid.tests.glob.fixtures.tempDirs.push(tempDir);
+    return tempDir;
+};
+
+/**
+ *
+ * Write a set of files beneath a directory, creating any directories required.
+ *
+ * @param {String} dirPath - The full path to the directory.
+ * @param {Object<String>} fileDefs - The content of each file, keyed by its path relative to `dirPath`.
+ * @return {String} - The full path to the directory.
+ *
+ */
+fluid.tests.glob.fixtures.writeFiles = function (dirPath, fileDefs) {
+    fluid.each(fileDefs, function (content, relativePath) {
+        var filePath = path.posix.resolve(dirPath, relativePath);
+        fs.mkdirSync(path.posix.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+    });
+    return dirPath;
+};
+
+/**
+ *
+ * Make a directory and all of the directories beneath it readable and writable again, so that directories that have
+ * been "locked" by a test can be removed.  Symbolic links are not followed.
+ *
+ * @param {String} dirPath - The full path to the directory.
+ *
+ */
+fluid.tests.glob.fixtures.unlockDir = function (dirPath) {
+    fs.chmodSync(dirPath, 493); // i.e. 0755
+    fluid.each(fs.readdirSync(dirPath), function (fileName) {
+        var subPath = path.posix.resolve(dirPath, fileName);
+        if (fs.lstatSync(subPath).isDirectory()) {
+            fluid.tests.glob.fixtures.unlockDir(subPath);
+        }
+    });
+};
+
+/**
+ *
+ * Remove all of the temporary directories created by `fluid.tests.glob.fixtures.makeTempDir` so far.
+ *
+ */
+fluid.tests.glob.fixtures.removeTempDirs = function () {
+    var tempDirs = fluid.tests.glob.fixtures.tempDirs;
+    while (tempDirs.length) {
+        var tempDir = tempDirs.pop();
+        if (fs.existsSync(tempDir)) {
+            fluid.tests.glob.fixtures.unlockDir(tempDir);
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    }
+};
+
+// The test environment to pass to `jqUnit.module`, which removes temporary directories after each test.
+fluid.tests.glob.fixtures.testEnvironment = {
+    teardown: fluid.tests.glob.fixtures.removeTempDirs
+};
+
+process.on("exit", fluid.tests.glob.fixtures.removeTempDirs);
@@ -0,0 +1,138 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+
+require("../../");
+
+jqUnit.module("Tests for relative and package-relative results.");
+
+fluid.registerNamespace("fluid.tests.glob.resultPaths");
+
+fluid.tests.glob.resultPaths.fixturePath = fluid.glob.sanitisePath(fluid.module.resolvePath("%fluid-glob/tests/find-fixture"));
+
+fluid.tests.glob.resultPaths.includes = ["./*.js", "./src/*.js", "./src/deep/*.js"];
+
+fluid.tests.glob.resultPaths.testDefs = {
+    fullPaths: {
+        message: "Full paths should be returned by default.",
+        options: {},
+        expected: ["/root-file.js", "/src/deep/deep-file.js", "/src/src-file.js"].map(function (relativePath) {
+            return fluid.tests.glob.resultPaths.fixturePath + relativePath;
+        })
+    },
+    relativeToRoot: {
+        message: "Paths should be relative to the root.",
+        options: { relativeTo: true },
+        expected: ["root-file.js", "src/deep/deep-file.js", "src/src-file.js"]
+    },
+    dotPrefix: {
+        message: "Relative paths should be prefixed with `./` if requested.",
+        options: { relativeTo: true, dotPrefix: true },
+        expected: ["./root-file.js", "./src/deep/deep-file.js", "./src/src-file.js"]
+    },
+    packageBase: {
+        message: "Paths should be relative to a package-relative base.",
+        options: { relativeTo: "%fluid-glob/tests" },
+        expected: ["find-fixture/root-file.js", "find-fixture/src/deep/deep-file.js", "find-fixture/src/src-file.js"]
+    },
+    relativeBase: {
+        message: "A relative base should be relative to the root, and parent directories should not be prefixed.",
+        options: { relativeTo: "src", dotPrefix: true },
+        expected: ["../root-file.js", "./deep/deep-file.js", "./src-file.js"]
+    },
+    windowsSeparators: {
+        message: "Relative paths should use the requested path style.",
+        options: { relativeTo: true, pathStyle: "win32" },
+        expected: ["root-file.js", "src\\deep\\deep-file.js", "src\\src-file.js"]
+    },
+    packagePaths: {
+        message: "Package-relative paths should be returned.",
+        options: { packagePaths: true },
+        expected: ["%fluid-glob/tests/find-fixture/root-file.js", "%fluid-glob/tests/find-fixture/src/deep/deep-file.js", "%fluid-glob/tests/find-fixture/src/src-file.js"]
+    }
+};
+
+jqUnit.test("Test result path options with `findFiles`.", function () {
+    fluid.each(fluid.tests.glob.resultPaths.testDefs, function (testDef) {
+        var output = fluid.glob.findFiles("%fluid-glob/tests/find-fixture", fluid.tests.glob.resultPaths.includes, [], {}, {}, testDef.options);
+        jqUnit.assertDeepEq(testDef.message, testDef.expected, output);
+    });
+});
+
+jqUnit.asyncTest("Test result path options with `findFilesAsync` and `iterateFiles`.", function () {
+    var testDefs = fluid.tests.glob.resultPaths.testDefs;
+    var testDefKeys = Object.keys(testDefs);
+    var scanPromises = testDefKeys.map(function (testDefKey) {
+        return fluid.glob.findFilesAsync("%fluid-glob/tests/find-fixture", fluid.tests.glob.resultPaths.includes, [], {}, {}, testDefs[testDefKey].options);
+    });
+    scanPromises.push(fluid.glob.iterateFiles("%fluid-glob/tests/find-fixture", ["./src/*.js"], [], {}, {}, { packagePaths: true }).next());
+    fluid.glob.whenAll(scanPromises).then(function (outputs) {
+        jqUnit.start();
+        fluid.each(testDefKeys, function (testDefKey, index) {
+            jqUnit.assertDeepEq(testDefs[testDefKey].message, testDefs[testDefKey].expected, outputs[index]);
+        });
+        jqUnit.assertEquals("The iterator should return package-relative paths.", "%fluid-glob/tests/find-fixture/src/src-file.js", outputs[testDefKeys.length].value);
+    }, function (error) {
+        jqUnit.start();
+        jqUnit.fail("The scan should not have failed: " + error.message);
+    });
+});
+
+jqUnit.test("Relative results should be usable as patterns.", function () {
+    var fixturePath = fluid.tests.glob.resultPaths.fixturePath;
+    var relativeOutput = fluid.glob.findFiles(fixturePath, ["./*.js", "./src/**/*.js", "./tests/**/*.js"], [], {}, {}, { relativeTo: true, dotPrefix: true });
+    var fullOutput = fluid.glob.findFiles(fixturePath, ["./*.js", "./src/**/*.js", "./tests/**/*.js"]);
+    jqUnit.assertDeepEq("The relative results should match the same files when used as includes.", fullOutput, fluid.glob.findFiles(fixturePath, relativeOutput));
+});
+
+jqUnit.test("Detailed results should use the requested path format.", function () {
+    var output = fluid.glob.findFiles("%fluid-glob/tests/find-fixture", ["./src/*.js"], [], {}, {}, { resultMode: "details", packagePaths: true });
+    jqUnit.assertEquals("The path should be package-relative.", "%fluid-glob/tests/find-fixture/src/src-file.js", output[0].path);
+    jqUnit.assertEquals("The relative path should be unchanged.", "src/src-file.js", output[0].relativePath);
+});
+
+jqUnit.test("Results from multiple roots should be relative to their own root.", function () {
+    var fixturePath = fluid.tests.glob.resultPaths.fixturePath;
+    var output = fluid.glob.findFilesInRoots([
+        { rootPath: fixturePath + "/src", includes: ["./*.js", "./deep/*.js"] },
+        { rootPath: fixturePath + "/tests", includes: ["./*.js"] },
+        { rootPath: fixturePath, includes: ["./src/*.js"] }
+    ], {}, {}, { relativeTo: true, dotPrefix: true });
+    jqUnit.assertDeepEq("Each match should be relative to the first root that produced it.", [
+        { path: "./deep/deep-file.js", rootPath: fixturePath + "/src" },
+        { path: "./src-file.js", rootPath: fixturePath + "/src" },
+        { path: "./test-file.js", rootPath: fixturePath + "/tests" }
+    ], output);
+});
+
+jqUnit.test("Test `toPackagePath` function.", function () {
+    jqUnit.assertEquals("The innermost module should be used.", "%infusion/package.json", fluid.glob.toPackagePath(fluid.glob.sanitisePath(fluid.module.resolvePath("%infusion/package.json"))));
+    jqUnit.assertEquals("The root of a module should be handled.", "%fluid-glob", fluid.glob.toPackagePath(fluid.glob.sanitisePath(fluid.module.resolvePath("%fluid-glob"))));
+    jqUnit.assertUndefined("Paths outside every module should not be converted.", fluid.glob.toPackagePath("/no/such/module/file.js"));
+
+    fluid.module.modules["fluid-tests-windows"] = { baseDir: "c:/virtual" };
+    try {
+        jqUnit.assertEquals("A module on another drive should be found.", "%fluid-tests-windows/src/index.js", fluid.glob.toPackagePath("/virtual/src/index.js", "C:"));
+        jqUnit.assertUndefined("The drive letter should be checked.", fluid.glob.toPackagePath("/virtual/src/index.js", "d:"));
+    }
+    finally {
+        delete fluid.module.modules["fluid-tests-windows"];
+    }
+});
+
+jqUnit.test("Paths on another drive should not be made relative.", function () {
+    var fileSystem = fluid.glob.createMemoryFileSystem({ src: { "index.js": "" } }, "/virtual");
+    var sameDrive = fluid.glob.findFiles("c:\\virtual", ["./src/*.js"], [], {}, {}, { fileSystem: fileSystem, pathStyle: "win32", relativeTo: "C:\\virtual\\src" });
+    jqUnit.assertDeepEq("A base on the same drive should be used.", ["index.js"], sameDrive);
+    var otherDrive = fluid.glob.findFiles("c:\\virtual", ["./src/*.js"], [], {}, {}, { fileSystem: fileSystem, pathStyle: "win32", relativeTo: "d:\\virtual" });
+    jqUnit.assertDeepEq("A base on another drive should be ignored.", ["c:\\virtual\\src\\index.js"], otherDrive);
+});
+
+jqUnit.test("Invalid result path options should be reported.", function () {
+    jqUnit.expectFrameworkDiagnostic("An invalid `relativeTo` option should be reported.", function () {
+        fluid.glob.findFiles("%fluid-glob/tests/find-fixture", ["./*.js"], [], {}, {}, { relativeTo: 1 });
+    }, ["Invalid `relativeTo` option '1'"]);
+    jqUnit.expectFrameworkDiagnostic("Conflicting options should be reported.", function () {
+        fluid.glob.findFiles("%fluid-glob/tests/find-fixture", ["./*.js"], [], {}, {}, { relativeTo: true, packagePaths: true });
+    }, ["cannot be used together"]);
+});
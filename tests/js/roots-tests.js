@@ -0,0 +1,83 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+var path   = require("path");
+var fs     = require("fs");
+
+require("../../");
+
+jqUnit.module("Tests for searching multiple roots.");
+
+fluid.registerNamespace("fluid.tests.glob.roots");
+
+fluid.tests.glob.roots.fixturePath = fluid.glob.sanitisePath(fluid.module.resolvePath("%fluid-glob/tests/find-fixture"));
+
+fluid.tests.glob.roots.roots = [
+    {
+        rootPath: "%fluid-glob/tests/find-fixture",
+        includes: ["./*.js", "./src/**/*.js"],
+        excludes: ["./src/deep/**/*.js"]
+    },
+    {
+        rootPath: "%fluid-glob/tests/find-fixture/src",
+        includes: ["./*.js", "./deep/**/*.js"],
+        excludes: ["./deep/deeper/*.js"]
+    },
+    {
+        rootPath: fluid.tests.glob.roots.fixturePath + "/tests",
+        includes: ["./*.js"]
+    }
+];
+
+jqUnit.test("Test `findFilesInRoots` function.", function () {
+    var fixturePath = fluid.tests.glob.roots.fixturePath;
+    var output = fluid.glob.findFilesInRoots(fluid.tests.glob.roots.roots);
+    var expected = [
+        { path: fixturePath + "/root-file.js", rootPath: fixturePath },
+        { path: fixturePath + "/src/deep/deep-file.js", rootPath: fixturePath + "/src" },
+        { path: fixturePath + "/src/src-file.js", rootPath: fixturePath },
+        { path: fixturePath + "/tests/test-file.js", rootPath: fixturePath + "/tests" }
+    ];
+    jqUnit.assertDeepEq("The results should be combined, deduplicated, sorted, and tagged with their root.", expected, output);
+});
+
+jqUnit.test("Directories shared by more than one root should only be read once.", function () {
+    var originalReaddirSync = fs.readdirSync;
+    var readCounts = {};
+    fs.readdirSync = function (dirPath) {
+        readCounts[dirPath] = (readCounts[dirPath] || 0) + 1;
+        return originalReaddirSync.apply(fs, arguments);
+    };
+
+    try {
+        fluid.glob.findFilesInRoots(fluid.tests.glob.roots.roots);
+    }
+    finally {
+        fs.readdirSync = originalReaddirSync;
+    }
+
+    var srcPath = path.posix.resolve(fluid.tests.glob.roots.fixturePath, "src");
+    jqUnit.assertEquals("A directory scanned by two roots should only be read once.", 1, readCounts[srcPath]);
+    fluid.each(readCounts, function (readCount, dirPath) {
+        jqUnit.assertEquals("No directory should be read more than once: " + dirPath, 1, readCount);
+    });
+});
+
+jqUnit.test("We should be able to request detailed results for multiple roots.", function () {
+    var fixturePath = fluid.tests.glob.roots.fixturePath;
+    var output = fluid.glob.findFilesInRoots(fluid.tests.glob.roots.roots, {}, undefined, { resultMode: "details" });
+    var deepFile = output[1];
+    jqUnit.assertEquals("The full path should be included.", fixturePath + "/src/deep/deep-file.js", deepFile.path);
+    jqUnit.assertEquals("The path should be relative to the root that produced it.", "deep/deep-file.js", deepFile.relativePath);
+    jqUnit.assertEquals("The include should be reported as originally supplied.", "./deep/**/*.js", deepFile.include);
+    jqUnit.assertEquals("The root should be included.", fixturePath + "/src", deepFile.rootPath);
+});
+
+jqUnit.test("Invalid patterns in any root should result in a failure.", function () {
+    jqUnit.expectFrameworkDiagnostic("We should fail on an invalid include in a later root.", function () {
+        fluid.glob.findFilesInRoots([
+            { rootPath: "%fluid-glob/tests/find-fixture", includes: ["./*.js"], excludes: [] },
+            { rootPath: "%fluid-glob/tests/find-fixture/src", includes: ["./**"], excludes: [] }
+        ]);
+    }, [fluid.glob.invalidPatternsMessage]);
+});
@@ -0,0 +1,148 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+
+require("../../");
+
+jqUnit.module("Tests for rule profiles.");
+
+fluid.registerNamespace("fluid.tests.glob.ruleProfiles");
+
+fluid.tests.glob.ruleProfiles.fixturePath = fluid.glob.sanitisePath(fluid.module.resolvePath("%fluid-glob/tests/find-fixture"));
+
+fluid.tests.glob.ruleProfiles.summarise = function (violations) {
+    return violations.map(function (violation) {
+        return fluid.filterKeys(violation, ["pattern", "role", "rule", "severity"]);
+    });
+};
+
+fluid.tests.glob.ruleProfiles.testDefs = {
+    strictDefault: {
+        message: "The strict profile should be used by default.",
+        includes: ["./**/*.js"],
+        excludes: ["./node_modules/**", "./**/deep/**"],
+        expected: [
+            { pattern: "./**/*.js", role: "include", rule: "noLeadingWildcard", severity: "error" },
+            { pattern: "./**/deep/**", role: "exclude", rule: "noLeadingWildcard", severity: "error" }
+        ]
+    },
+    strictNamed: {
+        message: "The strict profile should be available by name.",
+        includes: ["./**/*.js"],
+        excludes: ["./node_modules/**"],
+        rules: "strict",
+        expected: [
+            { pattern: "./**/*.js", role: "include", rule: "noLeadingWildcard", severity: "error" }
+        ]
+    },
+    relaxedWithExcludes: {
+        message: "The relaxed profile should allow leading wildcards in excludes, and in includes paired with excludes.",
+        includes: ["./**/*.js"],
+        excludes: ["./node_modules/**", "./**/deep/**"],
+        rules: "relaxed",
+        expected: []
+    },
+    relaxedNegatedInclude: {
+        message: "A negated include should count as an exclude in the relaxed profile.",
+        includes: ["./**/*.js", "!./node_modules/**"],
+        rules: "relaxed",
+        expected: []
+    },
+    relaxedWithoutExcludes: {
+        message: "The relaxed profile should not allow leading wildcards in includes without excludes.",
+        includes: ["./**/*.js"],
+        rules: "relaxed",
+        expected: [
+            { pattern: "./**/*.js", role: "include", rule: "noLeadingWildcard", severity: "error" }
+        ]
+    },
+    relaxedOtherRules: {
+        message: "The relaxed profile should enforce the other rules.",
+        includes: ["./src/**/*.js"],
+        excludes: ["../**"],
+        rules: "relaxed",
+        expected: [
+            { pattern: "../**", role: "exclude", rule: "noParentDir", severity: "error" }
+        ]
+    },
+    customRoles: {
+        message: "Custom rules should only apply to the roles they list.",
+        includes: ["./src/*.min.js"],
+        excludes: ["./*.min.js"],
+        rules: {
+            noMinified: { pattern: "\\.min\\.js$", message: "matches minified files", roles: ["include"] }
+        },
+        expected: [
+            { pattern: "./src/*.min.js", role: "include", rule: "noMinified", severity: "error" }
+        ]
+    }
+};
+
+jqUnit.test("Test `validatePatterns` with rule profiles.", function () {
+    fluid.each(fluid.tests.glob.ruleProfiles.testDefs, function (testDef) {
+        var violations = fluid.glob.validatePatterns(testDef.includes, testDef.excludes || [], testDef.rules);
+        jqUnit.assertDeepEq(testDef.message, testDef.expected, fluid.tests.glob.ruleProfiles.summarise(violations));
+    });
+});
+
+jqUnit.test("Scans should use the relaxed profile.", function () {
+    jqUnit.expect(1);
+    var fixturePath = fluid.tests.glob.ruleProfiles.fixturePath;
+    var output = fluid.glob.findFiles(fixturePath, ["./**/*.js"], ["./node_modules/**", "./**/deep/**"], {}, "relaxed");
+    jqUnit.assertDeepEq("The leading wildcards should be allowed.", [fixturePath + "/root-file.js", fixturePath + "/src/src-file.js", fixturePath + "/tests/test-file.js"], output);
+
+    jqUnit.expectFrameworkDiagnostic("The strict profile should still prevent the scan.", function () {
+        fluid.glob.findFiles(fixturePath, ["./**/*.js"], ["./node_modules/**"], {}, "strict");
+    }, [fluid.glob.invalidPatternsMessage]);
+});
+
+jqUnit.test("Custom profiles should be registered globally.", function () {
+    var fixturePath = fluid.tests.glob.ruleProfiles.fixturePath;
+    try {
+        var rules = fluid.glob.registerRuleProfile("fluid-tests-lenient", {
+            noLeadingWildcard: { severity: "warning" },
+            noMinified: { pattern: "\\.min\\.js$", message: "matches minified files", roles: ["include"] },
+            noParentDir: null
+        }, "strict");
+        jqUnit.assertDeepEq("The profile should extend its base profile.", ["noLeadingWildcard", "noMinified", "noRegexp", "noWholeRoot", "noWindowsSeparator"], Object.keys(rules).sort());
+        jqUnit.assertEquals("The base profile should not be modified.", undefined, fluid.glob.ruleProfiles.strict.noLeadingWildcard.severity);
+
+        var violations = fluid.glob.validatePatterns(["./**/*.min.js", "../*.js"], ["./**/deep/**"], "fluid-tests-lenient");
+        jqUnit.assertDeepEq("The profile should be used by name.", [
+            { pattern: "./**/*.min.js", role: "include", rule: "noLeadingWildcard", severity: "warning" },
+            { pattern: "./**/*.min.js", role: "include", rule: "noMinified", severity: "error" },
+            { pattern: "./**/deep/**", role: "exclude", rule: "noLeadingWildcard", severity: "warning" }
+        ], fluid.tests.glob.ruleProfiles.summarise(violations));
+        jqUnit.assertEquals("Warnings should be described as such.", "WARNING: Pattern './**/deep/**' contains a leading wildcard.", fluid.glob.describeViolation(violations[2]));
+
+        jqUnit.assertTrue("Warnings should not make a pattern invalid.", fluid.glob.isValidPattern("./**/*.js", "fluid-tests-lenient"));
+        jqUnit.assertFalse("Errors should still make a pattern invalid.", fluid.glob.isValidPattern("./**/*.min.js", "fluid-tests-lenient"));
+
+        var output = fluid.glob.findFiles(fixturePath, ["./*.js", "./**/src-file.js"], [], {}, "fluid-tests-lenient");
+        jqUnit.assertDeepEq("Warnings should not prevent a scan.", [fixturePath + "/root-file.js", fixturePath + "/src/src-file.js"], output);
+    }
+    finally {
+        delete fluid.glob.ruleProfiles["fluid-tests-lenient"];
+    }
+});
+
+jqUnit.test("The default profile should be configurable.", function () {
+    var originalProfile = fluid.glob.defaultRuleProfile;
+    try {
+        fluid.glob.defaultRuleProfile = "relaxed";
+        jqUnit.assertDeepEq("The default profile should be used when no rules are supplied.", [], fluid.glob.validatePatterns(["./**/*.js"], ["./node_modules/**"]));
+    }
+    finally {
+        fluid.glob.defaultRuleProfile = originalProfile;
+    }
+});
+
+jqUnit.test("Unknown profiles should be reported.", function () {
+    jqUnit.expectFrameworkDiagnostic("An unknown profile should be reported.", function () {
+        fluid.glob.validatePatterns(["./src/*.js"], [], "bogus");
+    }, ["Unknown rule profile 'bogus'", "strict, relaxed"]);
+
+    jqUnit.expectFrameworkDiagnostic("An unknown base profile should be reported.", function () {
+        fluid.glob.registerRuleProfile("fluid-tests-orphan", {}, "bogus");
+    }, ["Unknown rule profile 'bogus'"]);
+});
@@ -0,0 +1,139 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+var path   = require("path");
+var fs     = require("fs");
+
+require("../../");
+require("./lib/fixtures");
+
+jqUnit.module("Tests for symbolic link handling.", fluid.tests.glob.fixtures.testEnvironment);
+
+fluid.registerNamespace("fluid.tests.glob.symlinks");
+
+/*
+
+    Create a temporary directory with the following structure:
+
+    - root
+      - broken.js -> missing.js
+      - linked-file.js -> src/src-file.js
+      - outside -> ../outside
+      - src
+        - loop -> ..
+        - src-file.js
+    - outside
+      - outside-file.js
+
+ */
+fluid.tests.glob.symlinks.makeFixture = function () {
+    var fixturePath = fluid.tests.glob.fixtures.writeFiles(fluid.tests.glob.fixtures.makeTempDir("fluid-glob-symlinks-"), {
+        "root/src/src-file.js": "\"use strict\";\n",
+        "outside/outside-file.js": "\"use strict\";\n"
+    });
+    var rootPath = path.posix.resolve(fixturePath, "root");
+    fs.symlinkSync("missing.js", path.posix.resolve(rootPath, "broken.js"));
+    fs.symlinkSync("src/src-file.js", path.posix.resolve(rootPath, "linked-file.js"));
+    fs.symlinkSync("../outside", path.posix.resolve(rootPath, "outside"), "dir");
+    fs.symlinkSync("..", path.posix.resolve(rootPath, "src/loop"), "dir");
+    return fixturePath;
+};
+
+fluid.tests.glob.symlinks.testDefs = {
+    never: {
+        message: "Symbolic links should not be followed when `followSymlinks` is set to `never`.",
+        options: { followSymlinks: "never" },
+        expected: ["src/src-file.js"]
+    },
+    neverWithSymlinks: {
+        message: "Symbolic links that are not followed should be returned when `entryTypes` includes `symlinks`.",
+        options: { followSymlinks: "never", entryTypes: ["files", "symlinks"] },
+        expected: ["broken.js", "linked-file.js", "src/src-file.js"]
+    },
+    always: {
+        message: "All symbolic links should be followed (but cycles avoided) when `followSymlinks` is set to `always`.",
+        options: { followSymlinks: "always", brokenSymlinks: "skip" },
+        expected: ["linked-file.js", "outside/outside-file.js", "src/src-file.js"]
+    },
+    withinRoot: {
+        message: "Only symbolic links within the root should be followed when `followSymlinks` is set to `withinRoot`.",
+        options: { followSymlinks: "withinRoot", brokenSymlinks: "skip" },
+        expected: ["linked-file.js", "src/src-file.js"]
+    }
+};
+
+jqUnit.test("Test `followSymlinks` option.", function () {
+    var fixturePath = fluid.tests.glob.symlinks.makeFixture();
+    var rootPath = path.posix.resolve(fixturePath, "root");
+    fluid.each(fluid.tests.glob.symlinks.testDefs, function (testDef) {
+        var output = fluid.glob.findFiles(rootPath, ["./**/*.js"], [], {}, {}, testDef.options);
+        var pathedExpected = testDef.expected.map(function (singlePath) {
+            return path.posix.resolve(rootPath, singlePath);
+        });
+        jqUnit.assertDeepEq(testDef.message, pathedExpected, output);
+    });
+});
+
+fluid.each(fluid.tests.glob.symlinks.testDefs, function (testDef) {
+    jqUnit.asyncTest(testDef.message + " (async)", function () {
+        var fixturePath = fluid.tests.glob.symlinks.makeFixture();
+        var rootPath = path.posix.resolve(fixturePath, "root");
+        var expected = fluid.glob.findFiles(rootPath, ["./**/*.js"], [], {}, {}, testDef.options);
+        fluid.glob.findFilesAsync(rootPath, ["./**/*.js"], [], {}, {}, testDef.options).then(function (output) {
+            jqUnit.assertDeepEq("The results should be the same as those returned by `findFiles`.", expected, output);
+            jqUnit.start();
+        }, function (error) {
+            jqUnit.fail("The scan should not have failed: " + error.message);
+            jqUnit.start();
+        });
+    });
+});
+
+jqUnit.test("`explain` should agree with `findFiles` about symbolic links.", function () {
+    var fixturePath = fluid.tests.glob.symlinks.makeFixture();
+    var rootPath = path.posix.resolve(fixturePath, "root");
+    var candidatePaths = ["./broken.js", "./linked-file.js", "./outside/outside-file.js", "./src/loop/src/src-file.js", "./src/src-file.js"];
+    fluid.each(fluid.tests.glob.symlinks.testDefs, function (testDef) {
+        var output = fluid.glob.findFiles(rootPath, ["./**/*.js"], [], {}, {}, testDef.options);
+        fluid.each(candidatePaths, function (candidatePath) {
+            var explanation = fluid.glob.explain(rootPath, ["./**/*.js"], [], candidatePath, {}, {}, testDef.options);
+            jqUnit.assertEquals(testDef.message + ": " + candidatePath, output.indexOf(explanation.path) !== -1, explanation.included);
+        });
+    });
+
+    var directoryOutput = fluid.glob.findFiles(rootPath, ["./src/*"], [], {}, {}, { entryTypes: ["directories"], brokenSymlinks: "skip" });
+    var loopExplanation = fluid.glob.explain(rootPath, ["./src/*"], [], "./src/loop", {}, {}, { entryTypes: ["directories"], brokenSymlinks: "skip" });
+    jqUnit.assertDeepEq("A directory that would create a cycle should not be returned.", [], directoryOutput);
+    jqUnit.assertFalse("A directory that would create a cycle should not be included.", loopExplanation.included);
+});
+
+jqUnit.test("Test `brokenSymlinks` option.", function () {
+    var fixturePath = fluid.tests.glob.symlinks.makeFixture();
+    var rootPath = path.posix.resolve(fixturePath, "root");
+
+    jqUnit.expect(4);
+    try {
+        fluid.glob.findFiles(rootPath, ["./*.js"], [], {}, {}, { brokenSymlinks: "fail" });
+        jqUnit.fail("A broken link should result in an error when `brokenSymlinks` is set to `fail`.");
+    }
+    catch (error) {
+        jqUnit.assertEquals("A broken link should result in an error when `brokenSymlinks` is set to `fail`.", "ENOENT", error.code);
+    }
+
+    var scanPatterns = fluid.glob.resolveScanPatterns(rootPath, ["./*.js"], []);
+    var scanContext = fluid.glob.makeScanContext(scanPatterns, {}, { brokenSymlinks: "report" });
+    var output = fluid.glob.scanSingleDir(rootPath, scanPatterns.includes, scanPatterns.excludes, {}, scanContext);
+    jqUnit.assertDeepEq("The scan should complete when `brokenSymlinks` is set to `report`.", [rootPath + "/linked-file.js"], output);
+    jqUnit.assertEquals("A single error should be reported.", 1, scanContext.errors.length);
+    jqUnit.assertLeftHand("Broken links should be reported.", { path: rootPath + "/broken.js", code: "ENOENT", syscall: "stat" }, scanContext.errors[0]);
+});
+
+jqUnit.test("Test `isWithinRoot` function.", function () {
+    var scanContext = { rootPath: "/virtual/root", realRootPath: "/virtual/root" };
+    jqUnit.assertTrue("The root itself should be within the root.", fluid.glob.isWithinRoot("/virtual/root", scanContext));
+    jqUnit.assertTrue("A path beneath the root should be within the root.", fluid.glob.isWithinRoot("/virtual/root/src/src-file.js", scanContext));
+    jqUnit.assertTrue("A directory whose name starts with two dots should be within the root.", fluid.glob.isWithinRoot("/virtual/root/..cache/file.js", scanContext));
+    jqUnit.assertFalse("The parent of the root should not be within the root.", fluid.glob.isWithinRoot("/virtual", scanContext));
+    jqUnit.assertFalse("A sibling of the root should not be within the root.", fluid.glob.isWithinRoot("/virtual/outside/file.js", scanContext));
+    jqUnit.assertFalse("A sibling whose name starts with the root's name should not be within the root.", fluid.glob.isWithinRoot("/virtual/root-other/file.js", scanContext));
+});
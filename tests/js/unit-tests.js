@@ -37,7 +37,10 @@ jqUnit.test("Test pattern validity checks.", function () {
         "!./src/**/*.js",
         "./full/path/to/file.js",
         "./relative/path/to/file.js",
-        "./src/../filename.js"
+        "./src/../filename.js",
+        "./src/**/*.{js,mjs}",
+        "./src/[a-z]*/*.js",
+        "./src/@(deep|other)/*.js"
     ];
     var invalidPatterns = [
         "./**",
@@ -47,7 +50,9 @@ jqUnit.test("Test pattern validity checks.", function () {
         "!**/*.js",
         "!./**/*.js",
         "../filename.js",
-        "./(this|that)/**/*.js"
+        "./(this|that)/**/*.js",
+        "./this|that/*.js",
+        "./{**,src}/*.js"
     ];
 
     // Scan valid patterns with the default rules.
@@ -84,6 +89,45 @@ jqUnit.test("Test pattern validity checks.", function () {
     });
 });
 
+jqUnit.test("Test `isValidPattern` and `makePatternFilter` functions.", function () {
+    jqUnit.assertTrue("A valid pattern should be valid.", fluid.glob.isValidPattern("./src/**/*.js"));
+    jqUnit.assertFalse("An invalid pattern should not be valid.", fluid.glob.isValidPattern("!./**/*.js"));
+    jqUnit.assertFalse("Custom rules should be respected.", fluid.glob.isValidPattern("./src/**/*.js", { noSrc: { message: "refers to src", pattern: /src/ } }));
+
+    var patterns = ["./src/**/*.js", "./**", "!./tests/**/*.js", "../filename.js"];
+    jqUnit.assertDeepEq("We should be able to filter for valid patterns.", ["./src/**/*.js", "!./tests/**/*.js"], patterns.filter(fluid.glob.makePatternFilter()));
+    jqUnit.assertDeepEq("We should be able to filter for invalid patterns.", ["./**", "../filename.js"], patterns.filter(fluid.glob.makePatternFilter(undefined, true)));
+});
+
+jqUnit.test("Test `validatePatterns` function.", function () {
+    var violations = fluid.glob.validatePatterns(["./src/**/*.js", "!**/*.js"], ["./node_modules/**", ".\\lib\\*.js"]);
+    jqUnit.assertEquals("There should be two violations.", 2, violations.length);
+
+    jqUnit.assertLeftHand("An invalid negated include should be reported correctly.", {
+        pattern: "!**/*.js",
+        glob: "**/*.js",
+        index: 1,
+        role: "include",
+        negated: true,
+        rule: "noLeadingWildcard",
+        error: fluid.glob.invalidGlobRules.noLeadingWildcard.message,
+        suggestion: fluid.glob.invalidGlobRules.noLeadingWildcard.suggestion
+    }, violations[0]);
+
+    jqUnit.assertLeftHand("An invalid exclude should be reported correctly.", {
+        pattern: ".\\lib\\*.js",
+        index: 1,
+        role: "exclude",
+        negated: false,
+        rule: "noWindowsSeparator"
+    }, violations[1]);
+
+    var customViolations = fluid.glob.validatePatterns(["./src/**/*.js"], [], { noSrc: { message: "refers to src", pattern: /src/ } });
+    jqUnit.assertLeftHand("Custom rules should be reported using their key.", { rule: "noSrc", error: "refers to src", role: "include" }, customViolations[0]);
+
+    jqUnit.assertDeepEq("There should be no violations for valid patterns.", [], fluid.glob.validatePatterns(["./src/**/*.js"], ["!./src/lib/*.js"]));
+});
+
 jqUnit.test("Test single pattern matching.", function () {
     var testDefs = {
         filenameWildcard: {
@@ -199,6 +243,12 @@ jqUnit.test("Test `addPathToPatterns` function.", function () {
     });
 });
 
+jqUnit.test("Test `expandBraces` function.", function () {
+    var output = fluid.glob.expandBraces(["./src/**/*.{js,mjs}", "!./{src,tests}/deep/*.js", "README.md"]);
+    jqUnit.assertDeepEq("Brace sets should be expanded.", ["./src/**/*.js", "./src/**/*.mjs", "!./src/deep/*.js", "!./tests/deep/*.js", "README.md"], output.patterns);
+    jqUnit.assertDeepEq("The source of each expanded pattern should be tracked.", ["./src/**/*.{js,mjs}", "./src/**/*.{js,mjs}", "!./{src,tests}/deep/*.js", "!./{src,tests}/deep/*.js", "README.md"], output.sources);
+});
+
 jqUnit.test("Test `dirMightMatch` function.", function () {
     var testDefs = {
         filenameWildcard: {
@@ -212,17 +262,152 @@ jqUnit.test("Test `dirMightMatch` function.", function () {
             pattern: "/root/src/**/*.js",
             hits:    ["/root/src", "/root/src/js"],
             misses:  ["/root/tests", "/root/node_modules/module/src"]
+        },
+        characterClass: {
+            message: "We should be able to match a pattern that contains a character class.",
+            pattern: "/root/packages/[a-m]*/src/*.js",
+            hits:    ["/root/packages", "/root/packages/core", "/root/packages/core/src"],
+            misses:  ["/root/packages/theme", "/root/packages/core/tests"]
+        },
+        extglob: {
+            message: "We should be able to match a pattern that contains an extglob alternation.",
+            pattern: "/root/@(src|lib)/**/*.js",
+            hits:    ["/root/src", "/root/lib/deep"],
+            misses:  ["/root/tests", "/root/node_modules/lib"]
+        },
+        wildcardSegment: {
+            message: "A single-asterisk wildcard should match exactly one directory name.",
+            pattern: "/root/src/*/js/**",
+            hits:    ["/root/src", "/root/src/foo", "/root/src/foo/js", "/root/src/foo/js/deep"],
+            misses:  ["/root/src/foo/css", "/root/lib"]
+        },
+        questionMark: {
+            message: "A question mark should match exactly one character in a directory name.",
+            pattern: "/root/v?/*.js",
+            hits:    ["/root/v1"],
+            misses:  ["/root/v10", "/root/v"]
+        },
+        caseSensitive: {
+            message: "Directory names should be case-sensitive by default.",
+            pattern: "/root/src/**/*.js",
+            hits:    ["/root/src/Deep"],
+            misses:  ["/root/SRC"]
+        },
+        nocase: {
+            message: "The `nocase` option should be respected.",
+            pattern: "/root/src/**/*.js",
+            minimatchOptions: { nocase: true },
+            hits:    ["/root/SRC", "/root/Src/deep"],
+            misses:  ["/root/lib"]
+        },
+        noDot: {
+            message: "Directory wildcards should not match directories whose names start with a dot by default.",
+            pattern: "/root/src/**/*.js",
+            hits:    ["/root/src/deep"],
+            misses:  ["/root/src/.cache", "/root/src/deep/.git"]
+        },
+        dot: {
+            message: "The `dot` option should be respected.",
+            pattern: "/root/src/**/*.js",
+            minimatchOptions: { dot: true },
+            hits:    ["/root/src/.cache", "/root/src/deep/.git"],
+            misses:  ["/root/.src"]
+        },
+        noMatchBase: {
+            message: "A pattern with no slashes should not match any directory by default.",
+            pattern: "*.js",
+            hits:    [],
+            misses:  ["/root", "/root/src"]
+        },
+        matchBase: {
+            message: "A pattern with no slashes should match any directory if `matchBase` is set.",
+            pattern: "*.js",
+            minimatchOptions: { matchBase: true },
+            hits:    ["/root", "/root/src"],
+            misses:  []
         }
     };
 
     fluid.each(testDefs, function (testDef) {
         fluid.each(testDef.hits, function (shouldMatch, index) {
-            var matches = fluid.glob.dirMightMatch(shouldMatch, testDef.pattern);
+            var matches = fluid.glob.dirMightMatch(shouldMatch, testDef.pattern, testDef.minimatchOptions);
             jqUnit.assertTrue(testDef.message + ": hit " + index, matches);
         });
         fluid.each(testDef.misses, function (shouldNotMatch, index) {
-            var matches = fluid.glob.dirMightMatch(shouldNotMatch, testDef.pattern);
+            var matches = fluid.glob.dirMightMatch(shouldNotMatch, testDef.pattern, testDef.minimatchOptions);
             jqUnit.assertFalse(testDef.message + ": miss " + index, matches);
         });
     });
 });
+
+jqUnit.test("The cache of compiled patterns should not grow without limit.", function () {
+    var originalLimit = fluid.glob.minimatchCacheLimit;
+    fluid.glob.minimatchCacheLimit = 5;
+    try {
+        var firstMinimatch = fluid.glob.getMinimatch("/root/src/*.js");
+        jqUnit.assertEquals("A compiled pattern should be reused.", firstMinimatch, fluid.glob.getMinimatch("/root/src/*.js"));
+        for (var a = 0; a < 12; a++) {
+            fluid.glob.getMinimatch("/root/src/file-" + a + ".js");
+            jqUnit.assertTrue("The cache should never hold more than the limit: " + a, Object.keys(fluid.glob.minimatchCache).length <= 5);
+        }
+        jqUnit.assertTrue("Patterns should still match once the cache has been emptied.", fluid.glob.matchesSinglePattern("/root/src/index.js", "/root/src/*.js"));
+    }
+    finally {
+        fluid.glob.minimatchCacheLimit = originalLimit;
+    }
+});
+
+jqUnit.test("Test `parseIgnoreFile` and `findIgnoreRule` functions.", function () {
+    var content = [
+        "# A comment, followed by a blank line.",
+        "",
+        "node_modules/",
+        "/build",
+        "docs/*.md",
+        "*.log",
+        "!keep.log",
+        "\\#literal-hash"
+    ].join("\n");
+    var rules = fluid.glob.parseIgnoreFile(content, "/root", ".gitignore");
+
+    jqUnit.assertDeepEq("Comments and blank lines should be skipped, and patterns should be anchored as expected.", [
+        "/root/**/node_modules",
+        "/root/build",
+        "/root/docs/*.md",
+        "/root/**/*.log",
+        "/root/**/keep.log",
+        "/root/**/#literal-hash"
+    ], fluid.getMembers(rules, "pattern"));
+    jqUnit.assertEquals("The source of each rule should be recorded.", "/root/.gitignore:3: node_modules/", rules[0].source);
+
+    var testDefs = {
+        dirOnly: {
+            message: "A rule with a trailing slash should only match directories.",
+            hits: [["/root/node_modules", true], ["/root/deep/node_modules", true]],
+            misses: [["/root/node_modules", false]]
+        },
+        anchored: {
+            message: "An anchored rule should only match relative to the ignore file.",
+            hits: [["/root/build", true], ["/root/build", false], ["/root/docs/README.md", false]],
+            misses: [["/root/src/build", true], ["/root/src/docs/README.md", false]]
+        },
+        unanchored: {
+            message: "An unanchored rule should match at any depth.",
+            hits: [["/root/debug.log", false], ["/root/deep/debug.log", false], ["/root/#literal-hash", false]],
+            misses: [["/root/debug.txt", false]]
+        },
+        negated: {
+            message: "A later negated rule should re-include material.",
+            misses: [["/root/keep.log", false], ["/root/deep/keep.log", false]]
+        }
+    };
+
+    fluid.each(testDefs, function (testDef) {
+        fluid.each(testDef.hits, function (hit) {
+            jqUnit.assertTrue(testDef.message + ": hit", !!fluid.glob.findIgnoreRule(hit[0], hit[1], rules));
+        });
+        fluid.each(testDef.misses, function (miss) {
+            jqUnit.assertFalse(testDef.message + ": miss", !!fluid.glob.findIgnoreRule(miss[0], miss[1], rules));
+        });
+    });
+});
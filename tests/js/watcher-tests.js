@@ -0,0 +1,215 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+var path   = require("path");
+var fs     = require("fs");
+var os     = require("os");
+
+require("../../");
+require("./lib/fixtures");
+
+jqUnit.module("Tests for the watcher component.", fluid.tests.glob.fixtures.testEnvironment);
+
+fluid.registerNamespace("fluid.tests.glob.watcher");
+
+// Create a temporary directory containing a small tree of files.
+fluid.tests.glob.watcher.makeFixture = function () {
+    return fluid.tests.glob.fixtures.writeFiles(fluid.tests.glob.fixtures.makeTempDir("fluid-glob-watcher-"), {
+        "src/src-file.js": "\"use strict\";\n",
+        "src/deep/deep-file.js": "\"use strict\";\n",
+        "node_modules/module/index.js": "\"use strict\";\n"
+    });
+};
+
+jqUnit.test("The initial scan should match `findFiles` and only watch relevant directories.", function () {
+    var fixturePath = fluid.tests.glob.watcher.makeFixture();
+    var watcher = fluid.glob.watcher({
+        rootPath: fixturePath,
+        includes: ["./src/**/*.js", "./*.js"],
+        excludes: ["./node_modules/**"]
+    });
+
+    jqUnit.assertDeepEq("The initial files should be the same as those returned by `findFiles`.", fluid.glob.findFiles(fixturePath, ["./src/**/*.js", "./*.js"], ["./node_modules/**"]), watcher.getFiles());
+
+    var watchedDirs = Object.keys(watcher.watchedDirs).sort();
+    jqUnit.assertDeepEq("Only the root and directories that might contain matches should be watched.", [fixturePath, fixturePath + "/src", fixturePath + "/src/deep"], watchedDirs);
+
+    watcher.destroy();
+    jqUnit.assertDeepEq("All watchers should be closed when the component is destroyed.", {}, watcher.watchedDirs);
+});
+
+jqUnit.test("Invalid patterns should be rejected.", function () {
+    jqUnit.expectFrameworkDiagnostic("A watcher with invalid patterns should fail.", function () {
+        fluid.glob.watcher({ rootPath: os.tmpdir(), includes: ["./**"] });
+    }, [fluid.glob.invalidPatternsMessage]);
+});
+
+jqUnit.test("Unsupported scan options should be rejected.", function () {
+    jqUnit.expectFrameworkDiagnostic("A watcher with an unsupported scan option should fail.", function () {
+        fluid.glob.watcher({ rootPath: os.tmpdir(), includes: ["./*.js"], scanOptions: { maxResults: 1 } });
+    }, ["`maxResults` option is not supported"]);
+});
+
+jqUnit.test("Scan options should be used by the watcher.", function () {
+    var fixturePath = fluid.tests.glob.fixtures.writeFiles(fluid.tests.glob.watcher.makeFixture(), {
+        "src/.watchignore": "deep/\n",
+        "src/lib/lib-file.js": "\"use strict\";\n"
+    });
+    var includes = ["./src/*", "./src/*/*.js"];
+    var scanOptions = { ignoreFiles: [".watchignore"], entryTypes: ["files", "directories"] };
+    var watcher = fluid.glob.watcher({
+        rootPath: fixturePath,
+        includes: includes,
+        scanOptions: scanOptions
+    });
+
+    var expected = [fixturePath + "/src/lib", fixturePath + "/src/lib/lib-file.js", fixturePath + "/src/src-file.js"];
+    jqUnit.assertDeepEq("The ignored directory should be skipped and directories should be returned.", expected, watcher.getFiles());
+    jqUnit.assertDeepEq("The initial files should be the same as those returned by `findFiles`.", fluid.glob.findFiles(fixturePath, includes, [], {}, {}, scanOptions).sort(), watcher.getFiles());
+    jqUnit.assertFalse("The ignored directory should not be watched.", !!watcher.watchedDirs[fixturePath + "/src/deep"]);
+
+    watcher.destroy();
+});
+
+jqUnit.test("An entry that disappears while its directory is being read should not affect the rest of the directory.", function () {
+    var fixturePath = fluid.tests.glob.watcher.makeFixture();
+    var srcPath = fixturePath + "/src";
+    var vanishingPath = fluid.tests.glob.fixtures.writeFiles(fixturePath, { "src/vanishing.js": "" }) + "/src/vanishing.js";
+    var watcher = fluid.glob.watcher({
+        rootPath: fixturePath,
+        includes: ["./src/**/*.js"]
+    });
+    var initialFiles = watcher.getFiles();
+
+    var events = [];
+    fluid.each(["onAdded", "onRemoved", "onError"], function (eventName) {
+        watcher.events[eventName].addListener(function (firstArg, secondArg) {
+            // `onError` is fired with the error and then its path, the other events with the path first.
+            events.push(eventName === "onError" ? { event: eventName, path: secondArg, code: firstArg.code } : { event: eventName, path: firstArg });
+        });
+    });
+
+    // Simulate the file being removed between reading the directory and reading the file's stats.
+    var nodeFileSystem = fluid.glob.nodeFileSystem;
+    var originalStat = nodeFileSystem.stat;
+    var originalLstat = nodeFileSystem.lstat;
+    var failVanishingPath = function (originalMethod) {
+        return function (singlePath) {
+            if (singlePath === vanishingPath) {
+                var error = new Error("ENOENT: no such file or directory, stat '" + singlePath + "'");
+                error.code = "ENOENT";
+                error.syscall = "stat";
+                throw error;
+            }
+            return originalMethod.apply(nodeFileSystem, arguments);
+        };
+    };
+    nodeFileSystem.stat = failVanishingPath(originalStat);
+    nodeFileSystem.lstat = failVanishingPath(originalLstat);
+    try {
+        watcher.rescanDir(srcPath);
+    }
+    finally {
+        nodeFileSystem.stat = originalStat;
+        nodeFileSystem.lstat = originalLstat;
+    }
+
+    jqUnit.assertDeepEq("Only the vanished file should be reported, along with the error encountered.", [
+        { event: "onError", path: vanishingPath, code: "ENOENT" },
+        { event: "onRemoved", path: vanishingPath }
+    ], events);
+    jqUnit.assertDeepEq("The other files should still be tracked.", fluid.glob.findFiles(fixturePath, ["./src/**/*.js"], []).filter(function (filePath) {
+        return filePath !== vanishingPath;
+    }), watcher.getFiles());
+    jqUnit.assertTrue("The initial scan should have included the vanished file.", initialFiles.indexOf(vanishingPath) !== -1);
+    jqUnit.assertTrue("The directory should still be watched.", !!watcher.watchedDirs[srcPath]);
+
+    // A directory that has itself gone should be forgotten.
+    events = [];
+    fs.rmSync(srcPath + "/deep", { recursive: true, force: true });
+    watcher.rescanDir(srcPath + "/deep");
+    jqUnit.assertDeepEq("The contents of a vanished directory should be removed.", [srcPath + "/deep/deep-file.js"], fluid.getMembers(events.filter(function (event) {
+        return event.event === "onRemoved";
+    }), "path"));
+    jqUnit.assertFalse("A vanished directory should no longer be watched.", !!watcher.watchedDirs[srcPath + "/deep"]);
+
+    watcher.destroy();
+});
+
+jqUnit.asyncTest("Changes to matching files should be reported.", function () {
+    var fixturePath = fluid.tests.glob.watcher.makeFixture();
+    var addedPath   = path.posix.resolve(fixturePath, "src/deep/added-file.js");
+    var nestedPath  = path.posix.resolve(fixturePath, "src/new/nested-file.js");
+    var changedPath = path.posix.resolve(fixturePath, "src/src-file.js");
+
+    var steps = [
+        {
+            event: "onAdded",
+            action: function () {
+                // These should not be reported.
+                fs.writeFileSync(path.posix.resolve(fixturePath, "src/deep/not-js.txt"), "text");
+                fs.writeFileSync(path.posix.resolve(fixturePath, "node_modules/module/other.js"), "\"use strict\";\n");
+                fs.writeFileSync(addedPath, "\"use strict\";\n");
+            },
+            expectedPath: addedPath
+        },
+        {
+            event: "onChanged",
+            action: function () {
+                fs.appendFileSync(changedPath, "// A change.\n");
+            },
+            expectedPath: changedPath
+        },
+        {
+            event: "onRemoved",
+            action: function () {
+                fs.unlinkSync(addedPath);
+            },
+            expectedPath: addedPath
+        },
+        {
+            event: "onAdded",
+            action: function () {
+                fs.mkdirSync(path.posix.resolve(fixturePath, "src/new"));
+                fs.writeFileSync(nestedPath, "\"use strict\";\n");
+            },
+            expectedPath: nestedPath
+        },
+        {
+            event: "onRemoved",
+            action: function () {
+                fs.rmSync(path.posix.resolve(fixturePath, "src/new"), { recursive: true, force: true });
+            },
+            expectedPath: nestedPath
+        }
+    ];
+
+    var watcher = fluid.glob.watcher({
+        rootPath: fixturePath,
+        includes: ["./src/**/*.js"],
+        excludes: ["./node_modules/**"],
+        rescanDelay: 20
+    });
+
+    var runStep = function (stepIndex) {
+        if (stepIndex >= steps.length) {
+            watcher.destroy();
+            jqUnit.start();
+            return;
+        }
+
+        var step = steps[stepIndex];
+        watcher.events[step.event].addListener(function (filePath) {
+            watcher.events[step.event].removeListener("testStep");
+            jqUnit.assertEquals("The `" + step.event + "` event should be fired for the expected path.", step.expectedPath, filePath);
+            runStep(stepIndex + 1);
+        }, "testStep");
+        step.action();
+    };
+
+    watcher.events.onAdded.addListener(function (filePath) {
+        jqUnit.assertTrue("Only matching files should be added.", /\.js$/.test(filePath) && filePath.indexOf("node_modules") === -1);
+    }, "checkAdded");
+
+    runStep(0);
+});
@@ -0,0 +1,187 @@
+"use strict";
+var fluid  = require("infusion");
+var jqUnit = require("node-jqunit");
+var path   = require("path");
+
+require("../../");
+
+jqUnit.module("Tests for windows drive letters and UNC roots.");
+
+fluid.registerNamespace("fluid.tests.glob.windowsPaths");
+
+fluid.tests.glob.windowsPaths.parseTestDefs = {
+    drive: {
+        message: "A drive letter should be preserved as the root.",
+        input: "c:\\path\\to\\filename.js",
+        expected: { root: "c:", path: "/path/to/filename.js" }
+    },
+    driveForwardSlashes: {
+        message: "A drive letter followed by forward slashes should be preserved.",
+        input: "D:/path/to/filename.js",
+        expected: { root: "D:", path: "/path/to/filename.js" }
+    },
+    driveRoot: {
+        message: "A drive root should be handled.",
+        input: "c:\\",
+        expected: { root: "c:", path: "/" }
+    },
+    unc: {
+        message: "A UNC root should be preserved.",
+        input: "\\\\server\\share\\path\\filename.js",
+        expected: { root: "//server/share", path: "/path/filename.js" }
+    },
+    uncRoot: {
+        message: "A UNC root without a path should be handled.",
+        input: "\\\\server\\share",
+        expected: { root: "//server/share", path: "/" }
+    },
+    uncForwardSlashes: {
+        message: "A UNC root written with forward slashes should be recognised.",
+        input: "//server/share/filename.js",
+        expected: { root: "//server/share", path: "/filename.js" }
+    },
+    longPath: {
+        message: "A long path prefix should be removed.",
+        input: "\\\\?\\c:\\path\\filename.js",
+        expected: { root: "c:", path: "/path/filename.js" }
+    },
+    longUncPath: {
+        message: "A long UNC prefix should be removed.",
+        input: "\\\\?\\UNC\\server\\share\\filename.js",
+        expected: { root: "//server/share", path: "/filename.js" }
+    },
+    rootRelative: {
+        message: "A path relative to the current drive should have no root.",
+        input: "\\path\\to\\filename.js",
+        expected: { root: "", path: "/path/to/filename.js" }
+    },
+    relative: {
+        message: "A relative path should have no root.",
+        input: "src\\filename.js",
+        expected: { root: "", path: "src/filename.js" }
+    }
+};
+
+jqUnit.test("Test `parsePath` function with windows paths.", function () {
+    fluid.each(fluid.tests.glob.windowsPaths.parseTestDefs, function (testDef) {
+        jqUnit.assertDeepEq(testDef.message, testDef.expected, fluid.glob.parsePath(testDef.input, path.win32));
+    });
+});
+
+jqUnit.test("Test `parsePath` function with POSIX paths.", function () {
+    jqUnit.assertDeepEq("A POSIX path should be left alone.", { root: "", path: "/path/to/filename.js" }, fluid.glob.parsePath("/path/to/filename.js", path.posix));
+    jqUnit.assertDeepEq("A POSIX path with a leading double slash should not be treated as a UNC root.", { root: "", path: "//server/share" }, fluid.glob.parsePath("//server/share", path.posix));
+    jqUnit.assertDeepEq("A windows path should be recognised on any platform.", { root: "c:", path: "/path" }, fluid.glob.parsePath("c:\\path", path.posix));
+    jqUnit.assertEquals("`sanitisePath` should remove the UNC root.", "/path/filename.js", fluid.glob.sanitisePath("\\\\server\\share\\path\\filename.js"));
+});
+
+jqUnit.test("Test `formatPath` function.", function () {
+    jqUnit.assertEquals("A drive letter should be restored with backslashes.", "c:\\path\\to\\filename.js", fluid.glob.formatPath("/path/to/filename.js", "c:", "win32"));
+    jqUnit.assertEquals("A UNC root should be restored with backslashes.", "\\\\server\\share\\filename.js", fluid.glob.formatPath("/filename.js", "//server/share", "win32"));
+    jqUnit.assertEquals("A drive root should be restored.", "c:\\", fluid.glob.formatPath("/", "c:", "win32"));
+    jqUnit.assertEquals("A drive letter should be restored with forward slashes.", "c:/path/to/filename.js", fluid.glob.formatPath("/path/to/filename.js", "c:", "posix"));
+    jqUnit.assertEquals("A UNC root should be restored with forward slashes.", "//server/share/filename.js", fluid.glob.formatPath("/filename.js", "//server/share", "posix"));
+    jqUnit.assertEquals("A path without a root should be left alone.", "/path/to/filename.js", fluid.glob.formatPath("/path/to/filename.js", "", "posix"));
+    jqUnit.assertEquals("Native paths should use the separator of the current platform.", ["", "path", "filename.js"].join(path.sep), fluid.glob.formatPath("/path/filename.js"));
+});
+
+jqUnit.test("Parsed windows paths should round-trip.", function () {
+    fluid.each(fluid.tests.glob.windowsPaths.parseTestDefs, function (testDef) {
+        var parsedPath = fluid.glob.parsePath(testDef.input, path.win32);
+        var expected = path.win32.normalize(testDef.input.replace(/^\\\\\?\\(UNC\\)?/, function (prefix, isUnc) {
+            return isUnc ? "\\\\" : "";
+        }));
+        jqUnit.assertEquals(testDef.message + " (round trip)", expected, fluid.glob.formatPath(parsedPath.path, parsedPath.root, "win32"));
+    });
+});
+
+fluid.tests.glob.windowsPaths.tree = {
+    "root-file.js": "",
+    src: {
+        "src-file.js": "",
+        deep: {
+            "deep-file.js": ""
+        }
+    }
+};
+
+fluid.tests.glob.windowsPaths.scanTestDefs = {
+    driveNative: {
+        message: "Results beneath a drive should be returned as windows paths.",
+        rootPath: "c:\\virtual",
+        options: { pathStyle: "win32" },
+        expected: ["c:\\virtual\\root-file.js", "c:\\virtual\\src\\deep\\deep-file.js", "c:\\virtual\\src\\src-file.js"]
+    },
+    drivePosix: {
+        message: "Results beneath a drive should be returned as POSIX paths if requested.",
+        rootPath: "C:/virtual",
+        options: { pathStyle: "posix" },
+        expected: ["C:/virtual/root-file.js", "C:/virtual/src/deep/deep-file.js", "C:/virtual/src/src-file.js"]
+    },
+    unc: {
+        message: "Results beneath a UNC root should be returned as windows paths.",
+        rootPath: "\\\\server\\share\\virtual",
+        options: { pathStyle: "win32" },
+        expected: ["\\\\server\\share\\virtual\\root-file.js", "\\\\server\\share\\virtual\\src\\deep\\deep-file.js", "\\\\server\\share\\virtual\\src\\src-file.js"]
+    }
+};
+
+// A filesystem adapter that records the paths it is asked to read.
+fluid.tests.glob.windowsPaths.makeRecordingFileSystem = function (readPaths) {
+    var fileSystem = fluid.glob.createMemoryFileSystem(fluid.tests.glob.windowsPaths.tree, "/virtual");
+    var recordingFileSystem = {};
+    fluid.each(fluid.glob.fileSystemMethods.concat(fluid.glob.optionalFileSystemMethods), function (methodName) {
+        recordingFileSystem[methodName] = function (singlePath) {
+            readPaths.push(singlePath);
+            return fileSystem[methodName].apply(fileSystem, arguments);
+        };
+    });
+    return recordingFileSystem;
+};
+
+jqUnit.test("Scans should preserve drive letters and UNC roots.", function () {
+    fluid.each(fluid.tests.glob.windowsPaths.scanTestDefs, function (testDef) {
+        var readPaths = [];
+        var options = fluid.extend({ fileSystem: fluid.tests.glob.windowsPaths.makeRecordingFileSystem(readPaths) }, testDef.options);
+        var output = fluid.glob.findFiles(testDef.rootPath, ["./*.js", "./src/**/*.js"], [], {}, {}, options);
+        jqUnit.assertDeepEq(testDef.message, testDef.expected, output);
+
+        var rootPrefix = fluid.glob.formatPath("/virtual", fluid.glob.parsePath(testDef.rootPath, path.win32).root, "win32");
+        var unrootedPaths = readPaths.filter(function (readPath) {
+            return readPath.indexOf(rootPrefix) !== 0;
+        });
+        jqUnit.assertDeepEq(testDef.message + ": each read should include the root.", [], unrootedPaths);
+    });
+});
+
+jqUnit.asyncTest("Asynchronous scans should preserve drive letters.", function () {
+    var options = { fileSystem: fluid.tests.glob.windowsPaths.makeRecordingFileSystem([]), pathStyle: "win32", resultMode: "details" };
+    fluid.glob.findFilesAsync("c:\\virtual", ["./src/*.js"], [], {}, {}, options).then(function (output) {
+        jqUnit.start();
+        jqUnit.assertEquals("The full path should include the drive.", "c:\\virtual\\src\\src-file.js", output[0].path);
+        jqUnit.assertEquals("The relative path should use POSIX separators.", "src/src-file.js", output[0].relativePath);
+    }, function (error) {
+        jqUnit.start();
+        jqUnit.fail("The scan should not have failed: " + error.message);
+    });
+});
+
+jqUnit.test("Errors should be reported with the root.", function () {
+    var options = { fileSystem: fluid.tests.glob.windowsPaths.makeRecordingFileSystem([]), pathStyle: "win32", onError: "collect" };
+    var output = fluid.glob.findFiles("d:\\missing", ["./*.js"], [], {}, {}, options);
+    jqUnit.assertDeepEq("The missing root should be reported with its drive.", ["d:\\missing"], fluid.getMembers(output.errors, "path"));
+});
+
+jqUnit.test("Matchers should only select paths with the same root.", function () {
+    var matcher = fluid.glob.createMatcher("c:\\project", ["./src/*.js"]);
+    jqUnit.assertTrue("A path on the same drive should be selected.", matcher("C:\\project\\src\\index.js"));
+    jqUnit.assertTrue("A relative path should be selected.", matcher("src\\index.js"));
+    jqUnit.assertFalse("A path on another drive should not be selected.", matcher("d:\\project\\src\\index.js"));
+    jqUnit.assertFalse("A path beneath a UNC root should not be selected.", matcher("\\\\server\\share\\project\\src\\index.js"));
+});
+
+jqUnit.test("Invalid path styles should be reported.", function () {
+    jqUnit.expectFrameworkDiagnostic("An invalid `pathStyle` option should be reported.", function () {
+        fluid.glob.findFiles("%fluid-glob/tests/find-fixture", ["./*.js"], [], {}, {}, { pathStyle: "dos" });
+    }, ["Invalid `pathStyle` option 'dos'", "native, posix, win32"]);
+});